@@ -1,6 +1,20 @@
 const axios = require('axios');
 const winston = require('winston');
 const { Buffer } = require('buffer');
+const AgentIdentityService = require('./services/agentIdentityService');
+const {
+  getBusinessTimezone,
+  getZonedParts,
+  toBusinessYMD,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayWindow
+} = require('./utils/businessTime');
+
+// Page cap per /calls fetch (50 calls a page); callers fetch long ranges a day at a time
+const MAX_CALL_PAGES = 100;
+// Report types counted against agents' shifts: the scheduled reports. Custom ranges opt in.
+const SHIFT_REPORT_TYPES = ['afternoon', 'night', 'Weekly Average', 'Monthly', 'Leaderboard', 'Pacing'];
 
 class AircallService {
   constructor(aircallApiId, aircallApiToken, excludedUsers = [], dispoAgents = [], acquisitionAgents = []) {
@@ -10,6 +24,9 @@ class AircallService {
     this.dispoAgents = dispoAgents;
     this.acquisitionAgents = acquisitionAgents;
     this.aircallBaseUrl = 'https://api.aircall.io/v1';
+    this.callStore = null;
+    this.roster = null;
+    this.shifts = null;
     
     this.logger = winston.createLogger({
       level: 'info',
@@ -31,6 +48,8 @@ class AircallService {
       ]
     });
     
+    this.identity = new AgentIdentityService({ excludedUsers, dispoAgents, acquisitionAgents }, this.logger);
+    
     this.aircallHeaders = {
       'Authorization': `Basic ${this.encodeCredentials()}`,
       'Content-Type': 'application/json'
@@ -52,43 +71,49 @@ class AircallService {
   }
   
   /**
-   * Check if user should be excluded from reports
+   * Use the team roster (services/rosterService.js) for categories and exclusions.
+   * The roster is read on every lookup, so edits apply without a restart; agents not
+   * on the roster fall back to the env var lists.
    */
-  isUserExcluded(userName) {
-    return this.excludedUsers.some(excludedName => 
-      userName.toLowerCase().includes(excludedName.toLowerCase()) ||
-      excludedName.toLowerCase().includes(userName.toLowerCase())
-    );
+  setRoster(roster) {
+    this.roster = roster;
+  }
+  
+  getRosterEntry(userId) {
+    return this.roster ? this.roster.get(userId) : null;
   }
   
   /**
-   * Determine agent category based on name
-   * Returns 'dispo', 'acquisition', or 'other'
+   * Check if user should be excluded from reports
+   * @param {{ id: any, name?: string, email?: string }} user - Aircall user
    */
-  getAgentCategory(userName) {
-    const nameLower = userName.toLowerCase();
-    
-    // Check if user is a Dispo agent
-    const isDispo = this.dispoAgents.some(agentName => 
-      nameLower.includes(agentName.toLowerCase()) ||
-      agentName.toLowerCase().includes(nameLower)
-    );
-    
-    if (isDispo) {
-      return 'dispo';
+  isUserExcluded(user) {
+    const rosterEntry = this.getRosterEntry(user.id);
+    if (rosterEntry) {
+      return !rosterEntry.active;
     }
     
-    // Check if user is an Acquisition agent
-    const isAcquisition = this.acquisitionAgents.some(agentName => 
-      nameLower.includes(agentName.toLowerCase()) ||
-      agentName.toLowerCase().includes(nameLower)
-    );
-    
-    if (isAcquisition) {
-      return 'acquisition';
+    return this.identity.resolve(user).excluded;
+  }
+  
+  /**
+   * Determine agent category from the roster, then the env var lists (by id, email, or name as a fallback)
+   * Returns 'dispo', 'acquisition', or 'other'
+   */
+  getAgentCategory(user) {
+    const rosterEntry = this.getRosterEntry(user.id);
+    if (rosterEntry) {
+      return rosterEntry.category;
     }
     
-    return 'other';
+    return this.identity.resolve(user).category;
+  }
+  
+  /**
+   * Env var entries that could not be resolved to exactly one Aircall user
+   */
+  getIdentityIssues() {
+    return this.identity.getIssues();
   }
   
   /**
@@ -98,10 +123,11 @@ class AircallService {
     try {
       const response = await this.aircallClient.get('/users');
       const allUsers = response.data.users || [];
+      this.identity.setKnownUsers(allUsers);
       
       // Filter out excluded users
       const users = allUsers.filter(user => {
-        const isExcluded = this.isUserExcluded(user.name);
+        const isExcluded = this.isUserExcluded(user);
         if (isExcluded) {
           this.logger.info(`Excluding user from report: ${user.name}`);
         }
@@ -117,119 +143,160 @@ class AircallService {
   }
   
   /**
-   * Get calls for a specific user within a time range
+   * Fetch every call in a time range, paging through /calls once.
+   * The Aircall API does not filter by user, so callers bucket the result themselves.
+   * Stops after MAX_CALL_PAGES pages; the returned array then has `truncated: true` and is
+   * missing the rest of the range, so callers must not treat it as complete.
    */
-  async getUserCalls(userId, startTimestamp, endTimestamp) {
-    try {
-      let allCalls = [];
-      let page = 1;
-      const perPage = 50;
-      let hasMore = true;
-      
-      this.logger.info(`Making API call for user ${userId} with params:`, {
-        from: startTimestamp,
-        to: endTimestamp,
-        per_page: perPage,
-        page: page,
-        user_id: userId
-      });
-      
-      // Also log the actual date strings for debugging
-      this.logger.info(`Date range for API call:`, {
-        startDate: new Date(startTimestamp * 1000).toISOString(),
-        endDate: new Date(endTimestamp * 1000).toISOString(),
-        startTimestamp,
-        endTimestamp
-      });
+  async getCallsInRange(startTimestamp, endTimestamp) {
+    let allCalls = [];
+    let page = 1;
+    const perPage = 50;
+    let hasMore = true;
+    let truncated = false;
+    
+    this.logger.info(`Fetching calls for window:`, {
+      startDate: new Date(startTimestamp * 1000).toISOString(),
+      endDate: new Date(endTimestamp * 1000).toISOString(),
+      startTimestamp,
+      endTimestamp
+    });
+    
+    while (hasMore) {
+      let response;
+      let retryCount = 0;
+      const maxRetries = 3;
       
-      while (hasMore) {
-        let response;
-        let retryCount = 0;
-        const maxRetries = 3;
-        
-        while (retryCount < maxRetries) {
-          try {
-            response = await this.aircallClient.get('/calls', {
-              params: {
-                from: startTimestamp,
-                to: endTimestamp,
-                per_page: perPage,
-                page: page
-                // Note: user_id parameter removed as it may not be supported by Aircall API
-              }
-            });
-            break; // Success, exit retry loop
-          } catch (error) {
-            if (error.response?.status === 429 && retryCount < maxRetries - 1) {
-              // Rate limited, wait with exponential backoff
-              const waitTime = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
-              this.logger.warn(`Rate limited for user ${userId}, page ${page}. Retrying in ${waitTime}ms...`);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              retryCount++;
-            } else {
-              throw error; // Re-throw if not rate limit or max retries reached
+      while (retryCount < maxRetries) {
+        try {
+          response = await this.aircallClient.get('/calls', {
+            params: {
+              from: startTimestamp,
+              to: endTimestamp,
+              per_page: perPage,
+              page: page
             }
-          }
-        }
-        
-        if (!response) {
-          throw new Error(`Failed to fetch data after ${maxRetries} retries`);
-        }
-        
-        const calls = response.data.calls || [];
-        
-        // Debug: Log API response structure
-        this.logger.info(`API Response for user ${userId}, page ${page}:`, {
-          totalCalls: calls.length,
-          responseData: response.data,
-          hasCalls: calls.length > 0
-        });
-        
-        // Debug: Log first few calls to see if they're actually for the right user
-        if (page === 1 && calls.length > 0) {
-          this.logger.info(`First call from API:`, {
-            callId: calls[0].id,
-            direction: calls[0].direction,
-            user: calls[0].user,
-            userId: calls[0].user?.id,
-            expectedUserId: userId
           });
+          break; // Success, exit retry loop
+        } catch (error) {
+          if (error.response?.status === 429 && retryCount < maxRetries - 1) {
+            // Rate limited, wait with exponential backoff
+            const waitTime = Math.pow(2, retryCount) * 1000; // 1s, 2s, 4s
+            this.logger.warn(`Rate limited on page ${page}. Retrying in ${waitTime}ms...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+            retryCount++;
+          } else {
+            throw error; // Re-throw if not rate limit or max retries reached
+          }
         }
-        
-        allCalls = [...allCalls, ...calls];
-        
-        hasMore = calls.length === perPage;
-        page++;
-        
-        // Add small delay between pages to avoid rate limiting
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay between pages
-        }
-        
-        if (page > 100) {
-          this.logger.warn(`Reached maximum page limit for user ${userId}`);
-          break;
-        }
       }
       
-      // Filter calls by user ID since the API doesn't filter properly
-      const userCalls = allCalls.filter(call => call.user && call.user.id === userId);
+      if (!response) {
+        throw new Error(`Failed to fetch data after ${maxRetries} retries`);
+      }
+      
+      const calls = response.data.calls || [];
+      allCalls = [...allCalls, ...calls];
       
-      this.logger.info(`Fetched ${allCalls.length} total calls, filtered to ${userCalls.length} calls for user ${userId} (${startTimestamp} to ${endTimestamp})`);
+      hasMore = calls.length === perPage;
+      page++;
       
-      // Debug: Log sample calls to see what we're getting
-      if (userCalls.length > 0) {
-        this.logger.info(`Sample call for user ${userId}:`, {
-          callId: userCalls[0].id,
-          direction: userCalls[0].direction,
-          answered_at: userCalls[0].answered_at,
-          duration: userCalls[0].duration,
-          created_at: userCalls[0].created_at
-        });
-      } else {
-        this.logger.info(`No calls found for user ${userId} in date range ${startTimestamp} to ${endTimestamp}`);
+      // Add small delay between pages to avoid rate limiting
+      if (hasMore) {
+        await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay between pages
       }
       
+      if (hasMore && page > MAX_CALL_PAGES) {
+        truncated = true;
+        this.logger.warn(`Reached maximum page limit (${page - 1} pages) for window ${startTimestamp} to ${endTimestamp}; results are incomplete`);
+        break;
+      }
+    }
+    
+    this.logger.info(`Fetched ${allCalls.length} calls in ${page - 1} page(s) (${startTimestamp} to ${endTimestamp})`);
+    allCalls.truncated = truncated;
+    return allCalls;
+  }
+  
+  /**
+   * Use a persistent call store (see services/callStoreService.js) for window lookups
+   */
+  setCallStore(callStore) {
+    this.callStore = callStore;
+  }
+  
+  /**
+   * Get every call in a window, reading from the call store when one is configured
+   * and only pulling the missing ranges from Aircall
+   */
+  async getCallsForWindow(startTimestamp, endTimestamp) {
+    if (this.callStore?.isConfigured?.()) {
+      try {
+        return await this.callStore.getCallsForWindow(
+          startTimestamp,
+          endTimestamp,
+          (start, end) => this.getCallsInRange(start, end)
+        );
+      } catch (error) {
+        this.logger.warn('Call store lookup failed, falling back to Aircall:', error.message);
+      }
+    }
+    
+    return this.getCallsInRange(startTimestamp, endTimestamp);
+  }
+  
+  /**
+   * getCallsForWindow one business day at a time, merged, so month-long windows stay under
+   * the page cap of a single fetch
+   */
+  async getCallsForWindowByDay(startTimestamp, endTimestamp, timezone = getBusinessTimezone()) {
+    const callsById = new Map();
+    let truncated = false;
+    
+    let dayStart = startTimestamp;
+    while (dayStart < endTimestamp) {
+      const nextDay = addDaysYMD(toBusinessYMD(new Date(dayStart * 1000), timezone), 1);
+      const dayEnd = Math.min(endTimestamp, Math.floor(businessTimeToDate(nextDay, 0, 0, 0, 0, timezone).getTime() / 1000));
+      const calls = await this.getCallsForWindow(dayStart, dayEnd);
+      truncated = truncated || Boolean(calls.truncated);
+      // Adjacent windows share their boundary second
+      for (const call of calls) {
+        callsById.set(call.id, call);
+      }
+      dayStart = dayEnd;
+    }
+    
+    const allCalls = Array.from(callsById.values());
+    allCalls.truncated = truncated;
+    return allCalls;
+  }
+  
+  /**
+   * Bucket calls by the Aircall user id that handled them
+   * Calls without a user (e.g. unanswered IVR calls) are dropped
+   */
+  groupCallsByUser(calls) {
+    const callsByUser = new Map();
+    for (const call of calls) {
+      const userId = call.user?.id;
+      if (userId === undefined || userId === null) continue;
+      if (!callsByUser.has(userId)) {
+        callsByUser.set(userId, []);
+      }
+      callsByUser.get(userId).push(call);
+    }
+    return callsByUser;
+  }
+  
+  /**
+   * Get calls for a specific user within a time range
+   */
+  async getUserCalls(userId, startTimestamp, endTimestamp) {
+    try {
+      const allCalls = await this.getCallsForWindow(startTimestamp, endTimestamp);
+      const userCalls = this.groupCallsByUser(allCalls).get(userId) || [];
+      
+      this.logger.info(`Filtered ${allCalls.length} total calls to ${userCalls.length} calls for user ${userId} (${startTimestamp} to ${endTimestamp})`);
       return userCalls;
     } catch (error) {
       this.logger.error(`Error fetching calls for user ${userId}:`, {
@@ -247,10 +314,42 @@ class AircallService {
   }
   
   /**
-   * Calculate time range based on period type
+   * Use per-team shift hours (services/shiftService.js): each agent's calls are counted
+   * against their own shift, and calls outside it are reported as after-hours activity
+   */
+  setShifts(shiftService) {
+    this.shifts = shiftService;
+  }
+  
+  /**
+   * Split an agent's calls by their shift hours for a report period (a no-op without shifts
+   * and, unless `enabled` is passed, for report types outside SHIFT_REPORT_TYPES)
+   * @param {{ user_id: any, team?: string, agentCategory?: string }} user
+   * @param {boolean} [enabled] - whether shifts apply; defaults by report type
+   * @returns {{ calls: object[], shift?: object, afterHours?: object }} calls counted for the
+   *   period, plus the agent's shift and after-hours stats when shifts apply
+   */
+  applyShift(user, timePeriod, calls, timezone = getBusinessTimezone(), enabled = SHIFT_REPORT_TYPES.includes(timePeriod)) {
+    if (!this.shifts || !enabled) {
+      return { calls };
+    }
+    
+    const { shift, inShift, afterHours } = this.shifts.splitCalls(user, timePeriod, calls, timezone);
+    return {
+      calls: inShift,
+      shift,
+      afterHours: { ...this.processCallData(afterHours), callCount: afterHours.length }
+    };
+  }
+  
+  /**
+   * Calculate time range based on period type, in the business timezone (BUSINESS_TIMEZONE).
+   * With shifts, afternoon and night span every agent's hours and are narrowed per agent
+   * later; the night fetch (timestamps) covers the whole day for after-hours calls.
    */
-  getTimeRange(timePeriod, customStart = null, customEnd = null) {
-    const now = new Date();
+  getTimeRange(timePeriod, customStart = null, customEnd = null, now = new Date()) {
+    const timezone = getBusinessTimezone();
+    const today = toBusinessYMD(now, timezone);
     let startTime, endTime;
     
     if (customStart && customEnd) {
@@ -258,26 +357,30 @@ class AircallService {
       endTime = new Date(customEnd);
     } else if (timePeriod === 'hourly') {
       // For hourly sync, use the current hour if no custom times provided
-      startTime = new Date(now);
-      startTime.setMinutes(0, 0, 0);
+      startTime = businessTimeToDate(today, getZonedParts(now, timezone).hour, 0, 0, 0, timezone);
       endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+    } else if (this.shifts && (timePeriod === 'afternoon' || timePeriod === 'night')) {
+      const fetchWindow = this.shifts.getFetchWindow(timePeriod, today, timezone);
+      ({ startTime, endTime } = this.shifts.getReportWindow(timePeriod, today, timezone));
+      return {
+        startTime,
+        endTime,
+        timezone,
+        startTimestamp: Math.floor(fetchWindow.startTime.getTime() / 1000),
+        endTimestamp: Math.floor(fetchWindow.endTime.getTime() / 1000)
+      };
     } else if (timePeriod === 'afternoon') {
-      // 9AM CST to 1PM CST
-      startTime = new Date(now);
-      startTime.setHours(9, 0, 0, 0);
-      endTime = new Date(now);
-      endTime.setHours(13, 0, 0, 0);
+      // 9AM to 1PM business time
+      ({ startTime, endTime } = getDayWindow(today, 9, 13, timezone));
     } else { // night
-      // 7AM CST to 7PM CST (entire day)
-      startTime = new Date(now);
-      startTime.setHours(7, 0, 0, 0);
-      endTime = new Date(now);
-      endTime.setHours(19, 0, 0, 0);
+      // 7AM to 7PM business time (entire day)
+      ({ startTime, endTime } = getDayWindow(today, 7, 19, timezone));
     }
     
     return {
       startTime,
       endTime,
+      timezone,
       startTimestamp: Math.floor(startTime.getTime() / 1000),
       endTimestamp: Math.floor(endTime.getTime() / 1000)
     };
@@ -337,8 +440,11 @@ class AircallService {
   
   /**
    * Get user activity for a specific time period
+   * @param {{ fetchByDay?: boolean, applyShifts?: boolean }} [options] - fetchByDay pulls
+   *   multi-day windows one business day at a time (getCallsForWindowByDay); applyShifts
+   *   overrides whether calls are counted against shifts (see applyShift)
    */
-  async getUserActivity(timePeriod = 'afternoon', customStart = null, customEnd = null) {
+  async getUserActivity(timePeriod = 'afternoon', customStart = null, customEnd = null, { fetchByDay = false, applyShifts } = {}) {
     try {
       const timeRange = this.getTimeRange(timePeriod, customStart, customEnd);
       
@@ -349,25 +455,6 @@ class AircallService {
       const users = await this.getUsers();
       this.logger.info(`Retrieved ${users.length} users for processing`);
       
-      // Test API connection with a simple call first
-      try {
-        const testResponse = await this.aircallClient.get('/calls', {
-          params: {
-            from: timeRange.startTimestamp,
-            to: timeRange.endTimestamp,
-            per_page: 1,
-            page: 1
-          }
-        });
-        this.logger.info(`API test call successful: ${testResponse.data.calls?.length || 0} calls found in date range`);
-      } catch (testError) {
-        this.logger.error(`API test call failed:`, {
-          message: testError.message,
-          status: testError.response?.status,
-          data: testError.response?.data
-        });
-      }
-      
       // Use more descriptive period name for night report (entire day)
       const periodName = timePeriod === 'night' ? 'Daily' : timePeriod;
       
@@ -375,71 +462,75 @@ class AircallService {
         period: periodName,
         startTime: timeRange.startTime.toISOString(),
         endTime: timeRange.endTime.toISOString(),
+        timezone: timeRange.timezone,
         users: []
       };
       
-      // Get activity for each user with proper rate limiting
+      // Pull the window's calls once and bucket them, instead of re-paging /calls per user
+      let callsByUser;
+      try {
+        const allCalls = fetchByDay
+          ? await this.getCallsForWindowByDay(timeRange.startTimestamp, timeRange.endTimestamp, timeRange.timezone)
+          : await this.getCallsForWindow(timeRange.startTimestamp, timeRange.endTimestamp);
+        callsByUser = this.groupCallsByUser(allCalls);
+      } catch (error) {
+        this.logger.error(`Error fetching calls for window:`, {
+          message: error.message,
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          data: error.response?.data
+        });
+        throw error;
+      }
+      
       for (const user of users) {
-        try {
-          // Add longer delay between users to avoid rate limiting
-          if (users.indexOf(user) > 0) {
-            await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay between users
-          }
-          
-          const calls = await this.getUserCalls(user.id, timeRange.startTimestamp, timeRange.endTimestamp);
-          const callStats = this.processCallData(calls);
-          
-          const userActivity = {
-            user_id: user.id,
-            name: user.name,
-            email: user.email,
-            calls: calls,
-            ...callStats,
-            availability: user.availability_status || 'unknown',
-            agentCategory: this.getAgentCategory(user.name)
-          };
-          
-          activitySummary.users.push(userActivity);
-          
-          // Log detailed breakdown for debugging
-          this.logger.info(`User ${user.name} activity:`, {
-            userId: user.id,
-            totalCalls: callStats.totalCalls, // Outbound dials only
-            outboundCalls: callStats.outboundCalls,
-            inboundCalls: callStats.inboundCalls,
-            totalTalkTime: callStats.totalDurationMinutes, // Connected time only (inbound + outbound)
-            inboundTalkTime: callStats.inboundDurationMinutes,
-            outboundTalkTime: callStats.outboundDurationMinutes,
-            callCount: calls.length
-          });
-          
-        } catch (error) {
-          this.logger.error(`Error processing user ${user.name} (ID: ${user.id}):`, error.message);
-          // Add user with zero activity if API call fails
-          activitySummary.users.push({
-            user_id: user.id,
-            name: user.name,
-            email: user.email,
-            calls: [],
-            totalCalls: 0,
-            answeredCalls: 0,
-            missedCalls: 0,
-            totalDurationMinutes: 0,
-            outboundCalls: 0,
-            answeredOutboundCalls: 0,
-            inboundCalls: 0,
-            answeredInboundCalls: 0,
-            inboundDurationMinutes: 0,
-            outboundDurationMinutes: 0,
-            availability: user.availability_status || 'unknown',
-            agentCategory: this.getAgentCategory(user.name),
-            error: 'Failed to fetch call data'
-          });
-        }
+        const agent = {
+          user_id: user.id,
+          agentCategory: this.getAgentCategory(user),
+          team: this.getRosterEntry(user.id)?.team || null
+        };
+        const { calls, ...shiftActivity } = this.applyShift(agent, timePeriod, callsByUser.get(user.id) || [], timeRange.timezone, applyShifts);
+        const callStats = this.processCallData(calls);
+        
+        activitySummary.users.push({
+          user_id: user.id,
+          name: user.name,
+          email: user.email,
+          calls: calls,
+          ...callStats,
+          ...shiftActivity,
+          availability: user.availability_status || 'unknown',
+          agentCategory: agent.agentCategory,
+          team: agent.team,
+          manager: this.getRosterEntry(user.id)?.manager || null
+        });
+        
+        // Log detailed breakdown for debugging
+        this.logger.info(`User ${user.name} activity:`, {
+          userId: user.id,
+          totalCalls: callStats.totalCalls, // Outbound dials only
+          outboundCalls: callStats.outboundCalls,
+          inboundCalls: callStats.inboundCalls,
+          totalTalkTime: callStats.totalDurationMinutes, // Connected time only (inbound + outbound)
+          inboundTalkTime: callStats.inboundDurationMinutes,
+          outboundTalkTime: callStats.outboundDurationMinutes,
+          callCount: calls.length,
+          afterHoursCallCount: shiftActivity.afterHours?.callCount || 0
+        });
       }
       
       this.logger.info(`Retrieved activity for ${activitySummary.users.length} users`);
-      this.logger.info('Final activity summary being returned:', { summary: JSON.stringify(activitySummary, null, 2) });
+      // Counts only: the full summary carries every call, megabytes for a month
+      this.logger.info('Final activity summary being returned:', {
+        period: activitySummary.period,
+        startTime: activitySummary.startTime,
+        endTime: activitySummary.endTime,
+        timezone: activitySummary.timezone,
+        totalUsers: activitySummary.users.length,
+        dispoCount: activitySummary.users.filter(user => user.agentCategory === 'dispo').length,
+        acquisitionCount: activitySummary.users.filter(user => user.agentCategory === 'acquisition').length,
+        callCount: activitySummary.users.reduce((sum, user) => sum + user.calls.length, 0)
+      });
       return activitySummary;
       
     } catch (error) {
@@ -14,7 +14,39 @@ const healthRouter = require('./routes/health');
 const reportRouter = require('./routes/report');
 const syncRouter = require('./routes/sync');
 const testConnectionsRouter = require('./routes/testConnections');
+const webhooksRouter = require('./routes/webhooks');
+const liveRouter = require('./routes/live');
+const kpiOverridesRouter = require('./routes/kpiOverrides');
+const holidaysRouter = require('./routes/holidays');
+const rosterRouter = require('./routes/roster');
+const dmPreferencesRouter = require('./routes/dmPreferences');
+const slackRouter = require('./routes/slack');
+const jobsRouter = require('./routes/jobs');
+const schedulerRouter = require('./routes/scheduler');
 const SupabaseSyncService = require('./services/supabaseSyncService');
+const CallStoreService = require('./services/callStoreService');
+const LiveActivityService = require('./services/liveActivityService');
+const KpiRulesService = require('./services/kpiRulesService');
+const KpiOverridesService = require('./services/kpiOverridesService');
+const RosterService = require('./services/rosterService');
+const JobManager = require('./services/jobManager');
+const ReportRunner = require('./services/reportRunner');
+const WeeklyReportService = require('./services/weeklyReportService');
+const MonthlyReportService = require('./services/monthlyReportService');
+const TrendService = require('./services/trendService');
+const LeaderboardService = require('./services/leaderboardService');
+const PacingService = require('./services/pacingService');
+const SlackThreadService = require('./services/slackThreadService');
+const DmPreferenceService = require('./services/dmPreferenceService');
+const DirectMessageService = require('./services/directMessageService');
+const SlackCommandService = require('./services/slackCommandService');
+const ReportScheduler = require('./services/reportScheduler');
+const RunLockService = require('./services/runLockService');
+const IdempotencyService = require('./services/idempotencyService');
+const HolidayService = require('./services/holidayService');
+const ShiftService = require('./services/shiftService');
+const ChannelRouteService = require('./services/channelRouteService');
+const { getBusinessTimezone, assertValidTimezone } = require('./utils/businessTime');
 const { sanitizeError } = require('./utils/errorHandler');
 const { decrypt } = require('./utils/encryption');
 class ApiServer {
@@ -76,6 +108,10 @@ class ApiServer {
     const acquisitionAgentsEnv = process.env.ACQUISITION_AGENTS || process.env.INPUT_ACQUISITION_AGENTS || '';
     this.config.acquisitionAgents = acquisitionAgentsEnv.split(',').map(name => name.trim()).filter(name => name);
 
+    // Report windows and dates are computed in this zone, not the server's TZ
+    this.config.businessTimezone = getBusinessTimezone();
+    assertValidTimezone(this.config.businessTimezone);
+
     // Validate required environment variables
     this.validateConfiguration();
 
@@ -88,6 +124,7 @@ class ApiServer {
     this.logger.info('✓ EXCLUDED_USERS:', this.config.excludedUsers.join(', '));
     this.logger.info('✓ DISPO_AGENTS:', this.config.dispoAgents.length > 0 ? `${this.config.dispoAgents.length} configured` : 'none');
     this.logger.info('✓ ACQUISITION_AGENTS:', this.config.acquisitionAgents.length > 0 ? `${this.config.acquisitionAgents.length} configured` : 'none');
+    this.logger.info('✓ BUSINESS_TIMEZONE:', this.config.businessTimezone);
   }
 
   /**
@@ -229,11 +266,21 @@ class ApiServer {
    * Initialize service instances
    */
   initializeServices() {
+    // KPI targets shared by the daily Slack report and the weekly average report
+    this.kpiRulesService = new KpiRulesService(this.logger);
+    this.kpiOverridesService = new KpiOverridesService(this.logger);
+    this.kpiRulesService.setOverridesService(this.kpiOverridesService);
+
+    // Business holidays: not working days, and scheduled reports don't post on them
+    this.holidayService = new HolidayService(this.logger);
+    this.kpiOverridesService.setHolidays(this.holidayService);
+
     this.slackService = new SlackService(
       this.config.slackApiToken,
       this.config.slackChannelId,
       this.config.dispoAgents,
-      this.config.acquisitionAgents
+      this.config.acquisitionAgents,
+      this.kpiRulesService
     );
     
     this.aircallService = new AircallService(
@@ -244,11 +291,118 @@ class ApiServer {
       this.config.acquisitionAgents
     );
 
+    // Team roster (categories, teams, exclusions by Aircall user id); env var lists are the fallback
+    this.rosterService = new RosterService(this.logger);
+    this.aircallService.setRoster(this.rosterService);
+    this.slackService.setHolidays(this.holidayService);
+    this.rosterService.on('change', ({ action, agent }) => {
+      this.logger.info(`Roster ${action}${agent ? `: ${agent.name || agent.agentId}` : ''} (${this.rosterService.list().length} agents)`);
+    });
+
+    // Shift hours per category/team/agent; calls outside them are reported as after-hours activity
+    this.shiftService = new ShiftService(this.logger);
+    this.aircallService.setShifts(this.shiftService);
+    this.logger.info('✓ SHIFTS:', this.shiftService.list().map(shift => `${shift.id} ${shift.start}-${shift.end}`).join(', '));
+
+    // Per-team Slack channels per report type; unrouted reports go to SLACK_CHANNEL_ID
+    this.channelRouteService = new ChannelRouteService(this.logger);
+    this.slackService.setChannelRoutes(this.channelRouteService);
+    const channelRoutes = this.channelRouteService.describe();
+    this.logger.info('✓ SLACK_CHANNELS:', channelRoutes.length > 0 ? channelRoutes.join('; ') : 'all reports to SLACK_CHANNEL_ID');
+
     this.supabaseSyncService = new SupabaseSyncService(this.logger);
+    this.supabaseSyncService.setShifts(this.shiftService);
+
+    // Persistent call store: reports read stored calls and only pull missing ranges from Aircall
+    this.callStoreService = new CallStoreService(this.logger);
+    this.aircallService.setCallStore(this.callStoreService);
+    this.logger.info('✓ CALL_STORE:', this.callStoreService.isConfigured() ? 'enabled (Supabase)' : 'disabled');
+
+    // Background runs (night/custom reports, KPI syncs, backfills) with pollable status
+    this.jobManager = new JobManager(this.logger);
+    this.weeklyReportService = new WeeklyReportService(
+      this.logger,
+      this.generateReport.bind(this),
+      this.kpiRulesService,
+      this.aircallService
+    );
+    this.weeklyReportService.setHolidays(this.holidayService);
+    this.monthlyReportService = new MonthlyReportService(
+      this.logger,
+      this.generateReport.bind(this),
+      this.kpiRulesService,
+      this.aircallService
+    );
+    this.monthlyReportService.setHolidays(this.holidayService);
+    this.trendService = new TrendService(this.logger, this.aircallService);
+    this.trendService.setHolidays(this.holidayService);
+    this.leaderboardService = new LeaderboardService(
+      this.logger,
+      this.generateReport.bind(this),
+      this.kpiRulesService,
+      this.aircallService
+    );
+    this.leaderboardService.setHolidays(this.holidayService);
+    this.pacingService = new PacingService(this.logger, this.generateReport.bind(this), this.kpiRulesService);
+    this.slackThreadService = new SlackThreadService(this.logger);
+    this.slackService.setThreadStore(this.slackThreadService);
+    this.dmPreferenceService = new DmPreferenceService(this.logger);
+    this.directMessageService = new DirectMessageService(
+      this.logger,
+      this.slackService,
+      this.kpiRulesService,
+      this.dmPreferenceService
+    );
+    this.logger.info('✓ SLACK_DM:', this.directMessageService.isEnabled() ? 'after night report' : 'on demand only (POST /report/dm)');
+    this.reportRunner = new ReportRunner(
+      this.logger,
+      this.generateReport.bind(this),
+      this.slackService,
+      this.supabaseSyncService,
+      this.weeklyReportService,
+      this.monthlyReportService,
+      this.trendService,
+      this.leaderboardService,
+      this.pacingService,
+      this.directMessageService
+    );
+    this.slackCommandService = new SlackCommandService(
+      this.logger,
+      this.generateReport.bind(this),
+      this.slackService,
+      this.kpiRulesService,
+      this.weeklyReportService,
+      this.trendService,
+      this.channelRouteService
+    );
+    this.logger.info('✓ SLACK_SIGNING_SECRET:', process.env.SLACK_SIGNING_SECRET ? 'configured (/kpi at POST /slack/kpi)' : 'missing (/kpi disabled)');
+
+    // Live per-agent counters fed by Aircall webhooks
+    this.liveActivityService = new LiveActivityService(this.aircallService, this.logger);
+
+    // One run per (report type, date) across replicas, scheduler retries and /report/* calls;
+    // run dates follow each report's schedule timezone
+    this.runLockService = new RunLockService(this.logger, {
+      // Per-checkpoint lock types look like "pacing@11:00"
+      timezoneFor: reportType => this.reportScheduler.schedules[reportType.split('@')[0]]?.timezone
+    });
+    this.logger.info('✓ RUN_LOCK:', this.runLockService.isPersistent() ? 'Supabase ("ReportRunLock")' : 'in-process only');
+    this.reportRunner.setRunLock(this.runLockService);
+
+    // Replays the first response for retried POST /report/* and /sync/* calls
+    this.idempotencyService = new IdempotencyService(this.logger, {
+      today: reportType => this.runLockService.getRunDate(reportType)
+    });
 
-    // Removed: Initialize report scheduler
-    // Removed: const baseUrl = `http://0.0.0.0:${this.config.port}`;
-    // Removed: this.reportScheduler = new ReportScheduler(baseUrl, this.logger);
+    // In-process scheduler (config/schedules.js); only started when SCHEDULER_ENABLED=true
+    this.reportScheduler = new ReportScheduler(this.logger, this.jobManager, {
+      afternoon: ctx => this.reportRunner.runAfternoon(ctx),
+      night: ctx => this.reportRunner.runNight(ctx),
+      'weekly-avg': ctx => this.reportRunner.runWeeklyAverage(ctx),
+      pacing: ctx => this.reportRunner.runPacing(ctx),
+      'nightly-sync': ctx => this.reportRunner.runNightlySync(this.supabaseSyncService.getDefaultEntryDateYMD(), ctx)
+    }, this.runLockService);
+    this.reportScheduler.setHolidays(this.holidayService);
   }
   
   /**
@@ -324,11 +478,24 @@ class ApiServer {
       max: 100,
       standardHeaders: true,
       legacyHeaders: false,
+      // Aircall webhooks arrive once per call event from a few IPs; webhookLimiter covers them.
+      // Slash commands all come from Slack's IPs; routes/slack.js limits them per Slack user.
+      skip: (req) => req.path.startsWith('/webhooks/') || req.path.startsWith('/slack/'),
+      message: { success: false, error: 'Too many requests, please try again later' }
+    });
+
+    // Webhooks get a ceiling sized for call volume rather than none, so the token can't be guessed at will
+    const webhookLimiter = rateLimit({
+      windowMs: 60 * 1000, // 1 minute
+      max: parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_MINUTE || '600', 10),
+      standardHeaders: true,
+      legacyHeaders: false,
       message: { success: false, error: 'Too many requests, please try again later' }
     });
 
     // Apply general limiter globally
     this.app.use(generalLimiter);
+    this.app.use('/webhooks', webhookLimiter);
     
     this.app.use(express.json());
     
@@ -358,6 +525,16 @@ class ApiServer {
         return next();
       }
 
+      // Aircall webhooks carry their own token (verified in routes/webhooks.js)
+      if (req.path.startsWith('/webhooks/')) {
+        return next();
+      }
+
+      // Slack slash commands are signed with SLACK_SIGNING_SECRET (verified in routes/slack.js)
+      if (req.path.startsWith('/slack/')) {
+        return next();
+      }
+
       const authHeader = req.headers['authorization'];
       const token = authHeader && authHeader.split(' ')[1];
 
@@ -463,27 +640,52 @@ class ApiServer {
     });
 
     // API routes
-    this.app.use(healthRouter(this.logger, this.config));
+    this.app.use(healthRouter(this.logger, this.config, this.aircallService, this.reportScheduler));
     this.app.use('/report', reportLimiter); // Apply stricter limit to report endpoints
+    this.app.use(['/report', '/sync'], this.idempotencyService.middleware());
+    this.app.use(
+      reportRouter(
+        this.logger,
+        this.generateReport.bind(this),
+        this.slackService,
+        this.supabaseSyncService,
+        this.kpiRulesService,
+        this.jobManager,
+        this.reportRunner,
+        this.runLockService,
+        this.monthlyReportService,
+        this.leaderboardService
+      )
+    );
     this.app.use(
-      reportRouter(this.logger, this.generateReport.bind(this), this.slackService, this.supabaseSyncService)
+      '/sync',
+      syncRouter(this.logger, this.supabaseSyncService, this.aircallService, this.jobManager, this.reportRunner, this.holidayService)
     );
-    this.app.use('/sync', syncRouter(this.logger, this.generateReport.bind(this), this.supabaseSyncService));
     this.app.use(testConnectionsRouter(this.logger, this.slackService, this.aircallService));
-    // Removed: this.app.use(schedulerRouter(this.logger, this.reportScheduler, this.generateReport.bind(this), this.slackService));
+    this.app.use(webhooksRouter(this.logger, this.liveActivityService));
+    this.app.use(slackRouter(this.logger, this.slackCommandService, this.jobManager));
+    this.app.use(liveRouter(this.logger, this.liveActivityService));
+    this.app.use(kpiOverridesRouter(this.logger, this.kpiOverridesService));
+    this.app.use(holidaysRouter(this.logger, this.holidayService));
+    this.app.use(rosterRouter(this.logger, this.rosterService));
+    this.app.use(dmPreferencesRouter(this.logger, this.dmPreferenceService));
+    this.app.use(jobsRouter(this.logger, this.jobManager));
+    this.app.use(schedulerRouter(this.logger, this.reportScheduler));
   }
   
   /**
    * Generate and send a report
+   * @param {{ fetchByDay?: boolean }} [options] - passed to AircallService.getUserActivity
    */
-  async generateReport(reportType, customStart = null, customEnd = null) {
+  async generateReport(reportType, customStart = null, customEnd = null, options = {}) {
     const startTime = Date.now();
     try {
       // Get activity data from Aircall
       const activityData = await this.aircallService.getUserActivity(
         reportType,
         customStart,
-        customEnd
+        customEnd,
+        options
       );
       
       if (!activityData) {
@@ -532,6 +734,17 @@ class ApiServer {
    */
   async start() {
     try {
+      const kpiRulesStatus = await this.kpiRulesService.load();
+      this.logger.info(`✓ KPI rules: ${kpiRulesStatus.ruleCount} loaded (source: ${kpiRulesStatus.source})`);
+      const rosterStatus = await this.rosterService.load();
+      this.logger.info(`✓ Roster: ${rosterStatus.agentCount} agents loaded (${rosterStatus.persistent ? 'Supabase' : 'in-memory'})`);
+      const kpiOverridesStatus = await this.kpiOverridesService.load();
+      this.logger.info(`✓ KPI overrides: ${kpiOverridesStatus.overrideCount} loaded (${kpiOverridesStatus.persistent ? 'Supabase' : 'in-memory'})`);
+      const holidayStatus = await this.holidayService.load();
+      this.logger.info(`✓ Holidays: ${holidayStatus.customCount} adjustments loaded (source: ${holidayStatus.source}, ${holidayStatus.persistent ? 'Supabase' : 'in-memory'})`);
+      const dmPreferenceStatus = await this.dmPreferenceService.load();
+      this.logger.info(`✓ DM preferences: ${dmPreferenceStatus.preferenceCount} loaded (${dmPreferenceStatus.persistent ? 'Supabase' : 'in-memory'})`);
+
       // Try to validate connections, but don't fail if they don't work
       try {
         await this.validateConnections();
@@ -541,10 +754,14 @@ class ApiServer {
         this.logger.warn('The service will start but some features may not work without valid credentials');
       }
       
+      if (process.env.SCHEDULER_ENABLED === 'true') {
+        this.reportScheduler.start();
+      }
+      
       // Start the Express server
       this.server = this.app.listen(this.config.port, '0.0.0.0', () => {
         this.logger.info(`Aircall Slack Agent API server started on port ${this.config.port}`);
-        this.logger.info('Service running in ON-DEMAND mode');
+        this.logger.info(`Service running in ${this.reportScheduler.isRunning() ? 'SCHEDULED' : 'ON-DEMAND'} mode`);
         this.logger.info(`Excluded users: ${this.config.excludedUsers.join(', ')}`);
         this.logger.info('Available endpoints:');
         this.logger.info('  Public endpoints (no auth required):');
@@ -557,7 +774,18 @@ class ApiServer {
         this.logger.info('    POST /report/night - Trigger night report');
         this.logger.info('    POST /report/custom - Trigger custom time range report');
         this.logger.info('    POST /sync/nightly-kpis - Sync nightly daily KPIs to Supabase');
+        this.logger.info('    POST /sync/backfill - Sync DailyKpiEntry rows for a date range (poll GET /sync/backfill/:jobId)');
+        this.logger.info('    GET|POST /sync/mappings - Aircall user mappings and unresolved users');
+        this.logger.info('    GET /live/activity - Live per-agent counters from Aircall webhooks');
+        this.logger.info('    GET|PUT|DELETE /kpi/overrides/:agentId - Per-agent KPI overrides');
+        this.logger.info('    GET|PUT|DELETE /roster/agents/:agentId - Team roster');
+        this.logger.info('    GET /holidays, PUT|DELETE /holidays/:date - Business holiday calendar');
+        this.logger.info('    GET /jobs, GET /jobs/:id - Background job status');
+        this.logger.info('    GET /scheduler/status, GET /scheduler/next-runs - Scheduled reports');
+        this.logger.info('    POST /scheduler/start|stop, POST /scheduler/trigger/:type - Control scheduled reports');
         this.logger.info('    GET /metrics - Prometheus metrics (requires JWT)');
+        this.logger.info('  Webhooks (Aircall token required):');
+        this.logger.info('    POST /webhooks/aircall - Aircall call events');
 
       });
       
@@ -574,9 +802,9 @@ class ApiServer {
    */
   stop() {
     // Stop the report scheduler
-    // Removed: if (this.reportScheduler) {
-    // Removed:   this.reportScheduler.stop();
-    // Removed: }
+    if (this.reportScheduler) {
+      this.reportScheduler.stop();
+    }
     
     if (this.server) {
       this.server.close(() => {
@@ -1,12 +1,22 @@
 const axios = require('axios');
 const winston = require('winston');
+const KpiRulesService = require('./services/kpiRulesService');
+const { getBusinessTimezone, toBusinessYMD, addDaysYMD, getDayOfWeekYMD } = require('./utils/businessTime');
+
+// chat.postMessage rejects messages with more blocks than this (invalid_blocks)
+const SLACK_MAX_BLOCKS = 50;
 
 class SlackService {
-  constructor(slackApiToken, slackChannelId, dispoAgents = [], acquisitionAgents = []) {
+  constructor(slackApiToken, slackChannelId, dispoAgents = [], acquisitionAgents = [], kpiRulesService = null) {
     this.slackApiToken = slackApiToken;
     this.slackChannelId = slackChannelId;
     this.dispoAgents = dispoAgents;
     this.acquisitionAgents = acquisitionAgents;
+    this.holidays = null;
+    this.threadStore = null;
+    this.channelRoutes = null;
+    this.slackUserIds = new Map();
+    this.kpiRules = kpiRulesService || new KpiRulesService();
     this.slackBaseUrl = 'https://slack.com/api';
     
     this.logger = winston.createLogger({
@@ -41,6 +51,28 @@ class SlackService {
     });
   }
   
+  /**
+   * Leave business holidays (services/holidayService.js) out of working-day counts
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+  
+  /**
+   * Keep parent messages of daily threads (services/slackThreadService.js) so each day's
+   * pacing alerts reply under one message
+   */
+  setThreadStore(threadStore) {
+    this.threadStore = threadStore;
+  }
+  
+  /**
+   * Post reports to per-team channels (services/channelRouteService.js) instead of SLACK_CHANNEL_ID
+   */
+  setChannelRoutes(channelRoutes) {
+    this.channelRoutes = channelRoutes;
+  }
+  
   /**
    * Validate Slack connection and permissions
    */
@@ -90,34 +122,107 @@ class SlackService {
   }
 
   /**
-   * Calculate working days between two dates (excluding weekends)
+   * Category and roster team shown after an agent's name, e.g. " (Dispo · Team North)"
+   */
+  formatAgentLabel(user) {
+    const parts = [];
+    if (user.agentCategory) {
+      parts.push(user.agentCategory.charAt(0).toUpperCase() + user.agentCategory.slice(1));
+    }
+    if (user.team) {
+      parts.push(user.team);
+    }
+    return parts.length > 0 ? ` (${parts.join(' · ')})` : '';
+  }
+
+  /**
+   * Field for an agent's calls outside their shift hours, or none
+   */
+  formatAfterHoursFields(user) {
+    if (!user.afterHours || !user.afterHours.callCount) {
+      return [];
+    }
+    return [{
+      type: 'mrkdwn',
+      text: `🌙 *${user.afterHours.callCount}* after-hours calls (${this.formatTimeInHoursAndMinutes(user.afterHours.totalDurationMinutes)} talk time)`
+    }];
+  }
+
+  /**
+   * Change from a previous value, e.g. "▲12", "▼1h 5m" or "±0"
+   */
+  formatDelta(current, previous, formatValue = n => String(Math.round(n))) {
+    const diff = current - previous;
+    if (Math.round(Math.abs(diff)) === 0) {
+      return '±0';
+    }
+    return `${diff > 0 ? '▲' : '▼'}${formatValue(Math.abs(diff))}`;
+  }
+
+  /**
+   * Deltas of one metric against the previous working day and the trailing average
+   * (services/trendService.js), e.g. " ▲12 vs yesterday · ▼3 vs 5-day avg"; empty without a comparison
+   *
+   * @param {number} current
+   * @param {object} comparison - { previousDay, trailingAverage } from TrendService
+   * @param {string} metric - e.g. 'totalCalls'
+   * @param {string} reportDate - YYYY-MM-DD the report covers
+   */
+  formatComparison(current, comparison, metric, reportDate, formatValue) {
+    if (!comparison || !comparison.previousDay) {
+      return '';
+    }
+    const { previousDay, trailingAverage } = comparison;
+    const dayLabel = previousDay.date === addDaysYMD(reportDate, -1)
+      ? 'yesterday'
+      : ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][getDayOfWeekYMD(previousDay.date)];
+    const parts = [`${this.formatDelta(current, previousDay[metric], formatValue)} vs ${dayLabel}`];
+    if (trailingAverage && trailingAverage.days > 1) {
+      parts.push(`${this.formatDelta(current, trailingAverage[metric], formatValue)} vs ${trailingAverage.days}-day avg`);
+    }
+    return ` ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Note for KPI targets changed by a per-agent override, e.g. " _(targets adjusted: prorated 50%)_"
+   */
+  formatKpiAdjustmentNote(evaluation) {
+    const reasons = evaluation?.adjustment?.reasons || [];
+    return reasons.length > 0 ? ` _(targets adjusted: ${reasons.join(', ')})_` : '';
+  }
+
+  /**
+   * Calculate working days between two dates (business dates, excluding weekends and business holidays)
    */
   calculateWorkingDays(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const end = toBusinessYMD(new Date(endDate));
     let workingDays = 0;
     
-    while (start <= end) {
-      const dayOfWeek = start.getDay();
+    for (let day = toBusinessYMD(new Date(startDate)); day <= end; day = addDaysYMD(day, 1)) {
+      const dayOfWeek = getDayOfWeekYMD(day);
       // Count Monday (1) through Friday (5) as working days
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) {
+      if (dayOfWeek >= 1 && dayOfWeek <= 5 && !this.holidays?.isHoliday(day)) {
         workingDays++;
       }
-      start.setDate(start.getDate() + 1);
     }
     
     return workingDays;
   }
 
   /**
-   * Format activity data into Slack block format
+   * Format activity data into Slack blocks, in parts: the summary, one section of agent
+   * blocks per category and the closing details (laid out by formatActivityMessage and
+   * formatActivityMessages)
    * Updated to reflect new metrics:
    * - Total calls = Outbound calls only
    * - Total talk time = Inbound + Outbound connected call time only
    */
-  formatActivityMessage(activityData) {
+  buildActivityMessageParts(activityData) {
     const period = activityData.period.charAt(0).toUpperCase() + activityData.period.slice(1);
+    // Times shown in the business timezone the window was computed in, whatever the server TZ
+    const timezone = activityData.timezone || getBusinessTimezone();
     const startTime = new Date(activityData.startTime).toLocaleString('en-US', {
+      timeZone: timezone,
       month: 'short',
       day: 'numeric',
       hour: 'numeric',
@@ -125,11 +230,13 @@ class SlackService {
       hour12: true
     });
     const endTime = new Date(activityData.endTime).toLocaleString('en-US', {
+      timeZone: timezone,
       month: 'short',
       day: 'numeric',
       hour: 'numeric',
       minute: '2-digit',
-      hour12: true
+      hour12: true,
+      timeZoneName: 'short'
     });
     
     // Calculate summary statistics (outbound calls only)
@@ -146,6 +253,12 @@ class SlackService {
     const workingDays = this.calculateWorkingDays(activityData.startTime, activityData.endTime);
     const avgDailyTalkTime = workingDays > 0 ? totalTalkTime / workingDays : 0;
     
+    // Deltas vs the previous working day and trailing average, when the report carries them
+    const reportDate = toBusinessYMD(new Date(activityData.startTime), timezone);
+    const formatTalkTime = minutes => this.formatTimeInHoursAndMinutes(minutes);
+    const compare = (current, comparison, metric, formatValue) =>
+      this.formatComparison(current, comparison, metric, reportDate, formatValue);
+    
     // Create header with custom title for Daily reports
     const reportTitle = period === 'Daily' ? 'End of Day Report' : period;
     const blocks = [
@@ -161,7 +274,7 @@ class SlackService {
         elements: [
           {
             type: 'mrkdwn',
-            text: `📅 *Reporting Period:* ${startTime} - ${endTime}`
+            text: `📅 *Reporting Period:* ${startTime} - ${endTime} (${timezone})`
           }
         ]
       },
@@ -169,14 +282,14 @@ class SlackService {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `📤 *Outbound Summary:* ${totalOutboundCalls} calls • ${totalAnsweredOutbound} answered • ${answerRate}% answer rate`
+          text: `📤 *Outbound Summary:* ${totalOutboundCalls} calls${compare(totalOutboundCalls, activityData.comparison, 'totalCalls')} • ${totalAnsweredOutbound} answered • ${answerRate}% answer rate`
         }
       },
       {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `📥 *Inbound Summary:* ${totalInboundCalls} calls • ${totalAnsweredInbound} answered • ${this.formatTimeInHoursAndMinutes(totalTalkTime)} total talk time`
+          text: `📥 *Inbound Summary:* ${totalInboundCalls} calls${compare(totalInboundCalls, activityData.comparison, 'inboundCalls')} • ${totalAnsweredInbound} answered • ${this.formatTimeInHoursAndMinutes(totalTalkTime)} total talk time${compare(totalTalkTime, activityData.comparison, 'totalDurationMinutes', formatTalkTime)}`
         }
       },
       {
@@ -185,12 +298,27 @@ class SlackService {
           type: 'mrkdwn',
           text: `📊 *Period Analysis:* ${workingDays} working days • ${this.formatTimeInHoursAndMinutes(avgDailyTalkTime)} avg daily talk time`
         }
-      },
-      {
-        type: 'divider'
       }
     ];
     
+    // Calls outside each agent's shift hours are reported apart and don't count towards KPIs
+    const afterHoursUsers = activityData.users.filter(user => user.afterHours && user.afterHours.callCount > 0);
+    if (afterHoursUsers.length > 0) {
+      const afterHoursOutbound = afterHoursUsers.reduce((sum, user) => sum + user.afterHours.totalCalls, 0);
+      const afterHoursInbound = afterHoursUsers.reduce((sum, user) => sum + user.afterHours.inboundCalls, 0);
+      const afterHoursTalkTime = afterHoursUsers.reduce((sum, user) => sum + user.afterHours.totalDurationMinutes, 0);
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🌙 *After Hours:* ${afterHoursOutbound} outbound • ${afterHoursInbound} inbound • ${this.formatTimeInHoursAndMinutes(afterHoursTalkTime)} talk time (${afterHoursUsers.length} agent${afterHoursUsers.length === 1 ? '' : 's'}, outside shift hours, not counted toward KPIs)`
+        }
+      });
+    }
+    blocks.push({
+      type: 'divider'
+    });
+    
     // Categorize users by agent type
     const dispoUsers = activityData.users.filter(user => user.agentCategory === 'dispo');
     const acquisitionUsers = activityData.users.filter(user => user.agentCategory === 'acquisition');
@@ -201,69 +329,53 @@ class SlackService {
     const sortedAcquisitionUsers = [...acquisitionUsers].sort((a, b) => b.totalCalls - a.totalCalls);
     const sortedOtherUsers = [...otherUsers].sort((a, b) => b.totalCalls - a.totalCalls);
     
-    // KPI thresholds
-    const dispoKpiDials = 60;
-    const dispoKpiTalkTimeMinutes = 60;
-    // Acquisition agents: 50 dials/day AND 3.5 hours (210 minutes) talk time/day
-    const acquisitionKpiDials = 50;
-    const acquisitionKpiTalkTimeMinutes = 210; // 3.5 hours
-    
-    // Helper function to check if Dispo agent meets KPIs (BOTH must be met)
-    const dispoMeetsKPIs = (user) => {
-      return user.totalCalls >= dispoKpiDials && user.totalDurationMinutes >= dispoKpiTalkTimeMinutes;
-    };
-    
-    // Helper function to check if Acquisition agent meets KPIs
-    // TODO: Update when Acquisition KPI requirements are provided
-    const acquisitionMeetsKPIs = (user) => {
-      return user.totalCalls >= acquisitionKpiDials && user.totalDurationMinutes >= acquisitionKpiTalkTimeMinutes;
-    };
+    // KPI targets come from the rules engine (services/kpiRulesService.js), effective as of the report date
+    const kpiEvaluations = new Map(
+      activityData.users.map(user => [user, this.kpiRules.evaluate(user, user, { date: reportDate })])
+    );
+    const dispoRule = this.kpiRules.getCategoryRule('dispo', reportDate);
+    const acquisitionRule = this.kpiRules.getCategoryRule('acquisition', reportDate);
     
     // Add KPI summary for end of day report
     if (period === 'Daily') {
-      const dispoNotMeetingKPIs = sortedDispoUsers.filter(user => !dispoMeetsKPIs(user));
-      const acquisitionNotMeetingKPIs = sortedAcquisitionUsers.filter(user => !acquisitionMeetsKPIs(user));
+      const notMeetingKPIs = (users) => users.filter(user => {
+        const evaluation = kpiEvaluations.get(user);
+        return evaluation.hasKpis && !evaluation.meetsKPIs;
+      });
+      const alertGroups = [
+        { title: 'Dispo Agents', label: 'Dispo', users: notMeetingKPIs(sortedDispoUsers) },
+        { title: 'Acquisition Agents', label: 'Acquisition', users: notMeetingKPIs(sortedAcquisitionUsers) },
+        { title: 'Other Users', label: null, users: notMeetingKPIs(sortedOtherUsers) }
+      ].filter(group => group.users.length > 0);
+      const alertCount = alertGroups.reduce((sum, group) => sum + group.users.length, 0);
       
-      if (dispoNotMeetingKPIs.length > 0 || acquisitionNotMeetingKPIs.length > 0) {
+      if (alertCount > 0) {
         blocks.push({
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: `🚨 *KPI Alert:* ${dispoNotMeetingKPIs.length + acquisitionNotMeetingKPIs.length} agent(s) have not met daily KPIs`
+            text: `🚨 *KPI Alert:* ${alertCount} agent(s) have not met daily KPIs`
           }
         });
         
-        if (dispoNotMeetingKPIs.length > 0) {
-          const dispoAlertText = dispoNotMeetingKPIs.map(user => {
-            const dialsDeficit = Math.max(0, dispoKpiDials - user.totalCalls);
-            const talkTimeDeficit = Math.max(0, dispoKpiTalkTimeMinutes - user.totalDurationMinutes);
-            return `🔸 *${user.name}* (Dispo): ${dialsDeficit} more dials, ${talkTimeDeficit} more minutes needed`;
-          }).join('\n');
-          
-          blocks.push({
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*Dispo Agents:*\n${dispoAlertText}`
-            }
-          });
-        }
-        
-        if (acquisitionNotMeetingKPIs.length > 0) {
-          const acquisitionAlertText = acquisitionNotMeetingKPIs.map(user => {
-            const dialsDeficit = Math.max(0, acquisitionKpiDials - user.totalCalls);
-            const talkTimeDeficit = Math.max(0, acquisitionKpiTalkTimeMinutes - user.totalDurationMinutes);
-            return `🔸 *${user.name}* (Acquisition): ${dialsDeficit} more dials, ${talkTimeDeficit} more minutes needed`;
-          }).join('\n');
+        alertGroups.forEach(group => {
+          const formatAlertLine = user => {
+            const shortfalls = this.kpiRules.describeShortfalls(kpiEvaluations.get(user));
+            return `🔸 *${user.name}*${group.label ? ` (${group.label})` : ''}: ${shortfalls} needed`;
+          };
           
-          blocks.push({
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `*Acquisition Agents:*\n${acquisitionAlertText}`
-            }
-          });
-        }
+          // Section text is capped at 3000 characters, so long alert lists span several sections
+          for (let i = 0; i < group.users.length; i += 15) {
+            const lines = group.users.slice(i, i + 15).map(formatAlertLine).join('\n');
+            blocks.push({
+              type: 'section',
+              text: {
+                type: 'mrkdwn',
+                text: i === 0 ? `*${group.title}:*\n${lines}` : lines
+              }
+            });
+          }
+        });
         
         blocks.push({
           type: 'divider'
@@ -271,8 +383,11 @@ class SlackService {
       }
     }
     
+    // Agent blocks are collected per category section and laid out by the caller
+    const sections = [];
+    
     // Helper function to add user activity block
-    const addUserBlock = (user, index, totalUsers) => {
+    const addUserBlock = (user, index, totalUsers, section) => {
       const userAnswerRate = user.totalCalls > 0 ? Math.round((user.answeredCalls / user.totalCalls) * 100) : 0;
       const inboundAnswerRate = (user.inboundCalls || 0) > 0 ? Math.round(((user.answeredInboundCalls || 0) / (user.inboundCalls || 0)) * 100) : 0;
       const userAvgDailyTalkTime = workingDays > 0 ? user.totalDurationMinutes / workingDays : 0;
@@ -287,39 +402,20 @@ class SlackService {
         totalDurationMinutes: user.totalDurationMinutes
       });
       
-      // Determine KPI thresholds based on agent category
-      let kpiDials, kpiTalkTimeMinutes, meetsKPIs;
-      
-      if (user.agentCategory === 'dispo') {
-        kpiDials = dispoKpiDials;
-        kpiTalkTimeMinutes = dispoKpiTalkTimeMinutes;
-        meetsKPIs = dispoMeetsKPIs(user);
-      } else if (user.agentCategory === 'acquisition') {
-        kpiDials = acquisitionKpiDials;
-        kpiTalkTimeMinutes = acquisitionKpiTalkTimeMinutes;
-        meetsKPIs = acquisitionMeetsKPIs(user);
-      } else {
-        // Other users - no KPI requirements
-        kpiDials = 0;
-        kpiTalkTimeMinutes = 0;
-        meetsKPIs = true;
-      }
-      
       // Create KPI status indicators
-      const dialsStatus = kpiDials > 0 ? (user.totalCalls >= kpiDials ? '✅' : '❌') : '';
-      const talkTimeStatus = kpiTalkTimeMinutes > 0 ? (user.totalDurationMinutes >= kpiTalkTimeMinutes ? '✅' : '❌') : '';
-      const overallStatus = meetsKPIs ? '✅' : '❌';
+      const kpiEvaluation = kpiEvaluations.get(user);
+      const overallStatus = kpiEvaluation.meetsKPIs ? '✅' : '❌';
       
       const userBlock = {
         type: 'section',
         fields: [
           {
             type: 'mrkdwn',
-            text: `*${user.name}*${user.agentCategory ? ` (${user.agentCategory.charAt(0).toUpperCase() + user.agentCategory.slice(1)})` : ''}`
+            text: `*${user.name}*${this.formatAgentLabel(user)}`
           },
           {
             type: 'mrkdwn',
-            text: `📤 *${user.totalCalls}* outbound calls`
+            text: `📤 *${user.totalCalls}* outbound calls${compare(user.totalCalls, user.comparison, 'totalCalls')}`
           },
           {
             type: 'mrkdwn',
@@ -335,7 +431,7 @@ class SlackService {
           },
           {
             type: 'mrkdwn',
-            text: `⏰ *${this.formatTimeInHoursAndMinutes(user.totalDurationMinutes)}* total talk time`
+            text: `⏰ *${this.formatTimeInHoursAndMinutes(user.totalDurationMinutes)}* total talk time${compare(user.totalDurationMinutes, user.comparison, 'totalDurationMinutes', formatTalkTime)}`
           },
           {
             type: 'mrkdwn',
@@ -344,6 +440,15 @@ class SlackService {
         ]
       };
       
+      if (user.shift && user.shift.id !== 'default') {
+        userBlock.fields.push({
+          type: 'mrkdwn',
+          text: `🕘 Shift ${user.shift.start}–${user.shift.end}`
+        });
+      }
+      
+      userBlock.fields.push(...this.formatAfterHoursFields(user));
+      
       // Add error field if present
       if (user.error) {
         userBlock.fields.push({
@@ -352,47 +457,45 @@ class SlackService {
         });
       }
       
-      blocks.push(userBlock);
+      const userBlocks = [userBlock];
       
       // Add KPI status section for end of day report
-      if (period === 'Daily' && kpiDials > 0) {
-        blocks.push({
+      if (period === 'Daily' && kpiEvaluation.excused) {
+        userBlocks.push({
           type: 'context',
           elements: [
             {
               type: 'mrkdwn',
-              text: `${overallStatus} *KPI Status:* ${dialsStatus} Dials (${user.totalCalls}/${kpiDials}) | ${talkTimeStatus} Talk Time (${user.totalDurationMinutes}/${kpiTalkTimeMinutes} min)`
+              text: '🌴 *KPI Status:* Excused today'
             }
           ]
         });
-      }
-      
-      // Add separator between users (except for the last one)
-      if (index < totalUsers - 1) {
-        blocks.push({
+      } else if (period === 'Daily' && kpiEvaluation.hasKpis) {
+        const metricStatuses = kpiEvaluation.results.map(result =>
+          `${result.passed ? '✅' : '❌'} ${result.label} (${result.actual}/${result.target}${result.unit ? ` ${result.unit}` : ''})`
+        ).join(' | ');
+        userBlocks.push({
           type: 'context',
           elements: [
             {
               type: 'mrkdwn',
-              text: '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
+              text: `${overallStatus} *KPI Status:* ${metricStatuses}${this.formatKpiAdjustmentNote(kpiEvaluation)}`
             }
           ]
         });
       }
+      
+      section.users.push(userBlocks);
     };
     
     // Add Dispo agents section
     if (sortedDispoUsers.length > 0) {
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `📋 *Dispo Agents* (${sortedDispoUsers.length}) - KPI: ${dispoKpiDials}+ dials/day AND ${dispoKpiTalkTimeMinutes}+ min talk time/day`
-        }
-      });
-      blocks.push({
-        type: 'divider'
-      });
+      const section = {
+        label: 'Dispo Agents',
+        title: `📋 *Dispo Agents* (${sortedDispoUsers.length})${dispoRule ? ` - KPI: ${this.kpiRules.describeRule(dispoRule)}` : ''}`,
+        users: []
+      };
+      sections.push(section);
       
       sortedDispoUsers.forEach((user, index) => {
         const userAnswerRate = user.totalCalls > 0 ? Math.round((user.answeredCalls / user.totalCalls) * 100) : 0;
@@ -408,28 +511,18 @@ class SlackService {
           totalDurationMinutes: user.totalDurationMinutes
         });
         
-        addUserBlock(user, index, sortedDispoUsers.length);
+        addUserBlock(user, index, sortedDispoUsers.length, section);
       });
-      
-      if (sortedAcquisitionUsers.length > 0 || sortedOtherUsers.length > 0) {
-        blocks.push({
-          type: 'divider'
-        });
-      }
     }
     
     // Add Acquisition agents section
     if (sortedAcquisitionUsers.length > 0) {
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `📋 *Acquisition Agents* (${sortedAcquisitionUsers.length}) - KPI: ${acquisitionKpiDials}+ dials/day AND ${this.formatTimeInHoursAndMinutes(acquisitionKpiTalkTimeMinutes)} talk time/day`
-        }
-      });
-      blocks.push({
-        type: 'divider'
-      });
+      const section = {
+        label: 'Acquisition Agents',
+        title: `📋 *Acquisition Agents* (${sortedAcquisitionUsers.length})${acquisitionRule ? ` - KPI: ${this.kpiRules.describeRule(acquisitionRule)}` : ''}`,
+        users: []
+      };
+      sections.push(section);
       
       sortedAcquisitionUsers.forEach((user, index) => {
         const userAnswerRate = user.totalCalls > 0 ? Math.round((user.answeredCalls / user.totalCalls) * 100) : 0;
@@ -445,28 +538,18 @@ class SlackService {
           totalDurationMinutes: user.totalDurationMinutes
         });
         
-        addUserBlock(user, index, sortedAcquisitionUsers.length);
+        addUserBlock(user, index, sortedAcquisitionUsers.length, section);
       });
-      
-      if (sortedOtherUsers.length > 0) {
-        blocks.push({
-          type: 'divider'
-        });
-      }
     }
     
     // Add Other users section (if any)
     if (sortedOtherUsers.length > 0) {
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `📋 *Other Users* (${sortedOtherUsers.length})`
-        }
-      });
-      blocks.push({
-        type: 'divider'
-      });
+      const section = {
+        label: 'Other Users',
+        title: `📋 *Other Users* (${sortedOtherUsers.length})`,
+        users: []
+      };
+      sections.push(section);
       
       sortedOtherUsers.forEach((user, index) => {
         const userAnswerRate = user.totalCalls > 0 ? Math.round((user.answeredCalls / user.totalCalls) * 100) : 0;
@@ -482,15 +565,16 @@ class SlackService {
           totalDurationMinutes: user.totalDurationMinutes
         });
         
-        addUserBlock(user, index, sortedOtherUsers.length);
+        addUserBlock(user, index, sortedOtherUsers.length, section);
       });
     }
     
     // Add detailed breakdown section
-    blocks.push({
+    const closingBlocks = [];
+    closingBlocks.push({
       type: 'divider'
     });
-    blocks.push({
+    closingBlocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
@@ -499,47 +583,172 @@ class SlackService {
     });
     
     // Add footer with timestamp
-    blocks.push({
+    closingBlocks.push({
       type: 'context',
       elements: [
         {
           type: 'mrkdwn',
           text: `📊 Report generated on ${new Date().toLocaleString('en-US', {
+            timeZone: timezone,
             weekday: 'long',
             year: 'numeric',
             month: 'long',
             day: 'numeric',
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true
+            hour12: true,
+            timeZoneName: 'short'
           })}`
         }
       ]
     });
     
     return {
-      blocks,
+      name: `Call Activity Report - ${period}`,
+      summaryBlocks: blocks,
+      sections,
+      closingBlocks,
       text: `Call Activity Report - ${period} | ${totalOutboundCalls} outbound calls, ${totalAnsweredOutbound} answered (${answerRate}%), ${totalInboundCalls} inbound calls`
     };
   }
   
   /**
-   * Send message to Slack channel
-   * @returns {{ ok: true } | { ok: false, error: string }}
+   * Blocks for one category of agents: its heading, then each agent with separators between
+   */
+  formatActivitySectionBlocks(title, users) {
+    const separator = {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
+        }
+      ]
+    };
+    return [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: title
+        }
+      },
+      {
+        type: 'divider'
+      },
+      ...users.flatMap((userBlocks, index) => (index < users.length - 1 ? [...userBlocks, separator] : userBlocks))
+    ];
+  }
+  
+  /**
+   * Lay out buildActivityMessageParts output as a single message
+   */
+  layoutActivityMessage(parts) {
+    const sectionBlocks = parts.sections.flatMap((section, index) => [
+      ...(index > 0 ? [{ type: 'divider' }] : []),
+      ...this.formatActivitySectionBlocks(section.title, section.users)
+    ]);
+    return {
+      blocks: [...parts.summaryBlocks, ...sectionBlocks, ...parts.closingBlocks],
+      text: parts.text
+    };
+  }
+  
+  /**
+   * Format activity data into a single Slack message, whatever its size
+   */
+  formatActivityMessage(activityData) {
+    return this.layoutActivityMessage(this.buildActivityMessageParts(activityData));
+  }
+  
+  /**
+   * Format activity data into the messages to post: one message when it fits in
+   * SLACK_MAX_BLOCKS, otherwise a summary message (totals, KPI alerts, details) followed by
+   * thread replies with each category's agents, split further when a category is too long
+   * @param {{ threaded?: boolean }} [options] - threaded false when the messages are posted
+   *   one after another rather than as a thread (e.g. slash command replies)
+   */
+  formatActivityMessages(activityData, { threaded = true } = {}) {
+    const parts = this.buildActivityMessageParts(activityData);
+    const message = this.layoutActivityMessage(parts);
+    if (message.blocks.length <= SLACK_MAX_BLOCKS) {
+      return [message];
+    }
+    
+    const summary = {
+      blocks: [
+        ...parts.summaryBlocks,
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: threaded
+                ? `🧵 Agent details are in the thread: ${parts.sections.map(section => section.label).join(', ')}`
+                : `Agent details follow by category: ${parts.sections.map(section => section.label).join(', ')}`
+            }
+          ]
+        },
+        ...parts.closingBlocks
+      ],
+      text: parts.text
+    };
+    
+    const replies = [];
+    for (const section of parts.sections) {
+      // Pages of agents that fit with the heading, divider and separators
+      const pages = [];
+      let page = [];
+      let blockCount = 2;
+      for (const userBlocks of section.users) {
+        if (page.length > 0 && blockCount + 1 + userBlocks.length > SLACK_MAX_BLOCKS) {
+          pages.push(page);
+          page = [];
+          blockCount = 2;
+        }
+        blockCount += (page.length > 0 ? 1 : 0) + userBlocks.length;
+        page.push(userBlocks);
+      }
+      if (page.length > 0) {
+        pages.push(page);
+      }
+      
+      let first = 1;
+      for (const pageUsers of pages) {
+        const last = first + pageUsers.length - 1;
+        const range = pages.length > 1 ? ` · ${first}–${last} of ${section.users.length}` : '';
+        replies.push({
+          blocks: this.formatActivitySectionBlocks(`${section.title}${range}`, pageUsers),
+          text: `${parts.name} | ${section.label}${range}`
+        });
+        first = last + 1;
+      }
+    }
+    
+    return [summary, ...replies];
+  }
+  
+  /**
+   * Send message to Slack channel (SLACK_CHANNEL_ID unless another channel or DM is given),
+   * as a thread reply when threadTs is given
+   * @returns {{ ok: true, ts: string, channel: string } | { ok: false, error: string }}
    */
-  async sendMessage(message) {
+  async sendMessage(message, { threadTs = null, channel = null } = {}) {
     try {
       const payload = {
-        channel: this.slackChannelId,
+        channel: channel || this.slackChannelId,
         blocks: message.blocks,
         text: message.text
       };
+      if (threadTs) {
+        payload.thread_ts = threadTs;
+      }
       
       const response = await this.slackClient.post('/chat.postMessage', payload);
       
       if (response.data.ok) {
         this.logger.info('Successfully sent message to Slack');
-        return { ok: true };
+        return { ok: true, ts: response.data.ts, channel: response.data.channel };
       }
       const slackError = response.data.error || JSON.stringify(response.data);
       const errorMsg = `Slack API error: ${slackError}`;
@@ -558,10 +767,75 @@ class SlackService {
     }
   }
   
+  /**
+   * Post messages as one thread: the first to the channel, the rest as replies to it
+   * @returns {{ ok: boolean, ts?: string, channel?: string, error?: string }} the first
+   *   message's ts and channel; not ok if any message failed
+   */
+  async sendThreaded(messages, { channel = null } = {}) {
+    const parent = await this.sendMessage(messages[0], { channel });
+    if (!parent.ok) {
+      return parent;
+    }
+    
+    for (let i = 1; i < messages.length; i++) {
+      const reply = await this.sendMessage(messages[i], { threadTs: parent.ts, channel: parent.channel || channel });
+      if (!reply.ok) {
+        return { ...parent, ok: false, error: `Thread reply ${i} of ${messages.length - 1} failed: ${reply.error}` };
+      }
+    }
+    return parent;
+  }
+  
+  /**
+   * Post a report to each channel routed for its type, limited to the route's agent
+   * categories, or as a whole to SLACK_CHANNEL_ID when the type has no routes
+   * @param {string} reportType - afternoon, night, custom, weekly-avg, monthly, leaderboard or pacing
+   * @param {object} data - report data, as passed to formatMessage
+   * @param {function(object): (object|object[])} formatMessage - builds the Slack message for
+   *   (scoped) data, or several to post as a thread
+   * @param {function(object[], string|null): Promise<object>} [deliver] - posts the messages to
+   *   a channel (null for SLACK_CHANNEL_ID); a new thread per report by default
+   * @returns {{ ok: boolean, partial?: boolean, error?: string, deliveries?: object[] }} ok when
+   *   any channel got it (partial, with the failed channels in error, if not all did), so a
+   *   retry doesn't post it again to the channels that have it
+   */
+  async sendReport(reportType, data, formatMessage, deliver = (messages, channel) => this.sendThreaded(messages, { channel })) {
+    const routes = this.channelRoutes ? this.channelRoutes.getRoutes(reportType) : [];
+    if (routes.length === 0) {
+      return await deliver([].concat(formatMessage(data)), null);
+    }
+    
+    const deliveries = [];
+    for (const route of routes) {
+      const scoped = route.categories ? this.channelRoutes.scopeReport(data, route.categories) : data;
+      const sent = await deliver([].concat(formatMessage(scoped)), route.channel);
+      deliveries.push({
+        channel: route.channel,
+        categories: route.categories,
+        ok: sent.ok,
+        ...(sent.ok ? { ts: sent.ts } : { error: sent.error })
+      });
+    }
+    
+    const failed = deliveries.filter(delivery => !delivery.ok);
+    if (failed.length > 0) {
+      const error = failed.map(delivery => `${delivery.channel}: ${delivery.error}`).join('; ');
+      if (failed.length === deliveries.length) {
+        return { ok: false, error, deliveries };
+      }
+      this.logger.error(`SlackService: ${reportType} report failed in ${failed.length} of ${deliveries.length} channel(s): ${error}`);
+      return { ok: true, partial: true, error, deliveries };
+    }
+    this.logger.info(`SlackService: ${reportType} report sent to ${deliveries.length} channel(s)`);
+    return { ok: true, deliveries };
+  }
+  
   /**
    * Send activity report to Slack
+   * @param {string} [reportType] - afternoon, night or custom, for channel routing
    */
-  async sendActivityReport(activityData) {
+  async sendActivityReport(activityData, reportType = 'custom') {
     // Log the data structure for debugging
     this.logger.info('SlackService: Activity data structure:', {
       period: activityData.period,
@@ -576,15 +850,18 @@ class SlackService {
       })) : []
     });
     
-    const message = this.formatActivityMessage(activityData);
-    
-    // Log the formatted message structure
-    this.logger.info('SlackService: Formatted message structure:', {
-      blockCount: message.blocks ? message.blocks.length : 0,
-      userBlocks: message.blocks ? message.blocks.filter(b => b.type === 'section' && b.fields).length : 0
+    // Reports over Slack's block limit go out as a summary with threaded replies per category
+    const result = await this.sendReport(reportType, activityData, data => {
+      const messages = this.formatActivityMessages(data);
+      
+      // Log the formatted message structure
+      this.logger.info('SlackService: Formatted message structure:', {
+        messageCount: messages.length,
+        blockCounts: messages.map(message => message.blocks.length),
+        userBlocks: messages.reduce((sum, message) => sum + message.blocks.filter(b => b.type === 'section' && b.fields).length, 0)
+      });
+      return messages;
     });
-    
-    const result = await this.sendMessage(message);
     return result;
   }
   
@@ -592,23 +869,30 @@ class SlackService {
    * Format weekly average data into Slack block format
    */
   formatWeeklyAverageMessage(weeklyData) {
+    const timezone = weeklyData.timezone || getBusinessTimezone();
     const startTime = new Date(weeklyData.startTime).toLocaleString('en-US', {
+      timeZone: timezone,
       month: 'short',
       day: 'numeric',
       year: 'numeric'
     });
     const endTime = new Date(weeklyData.endTime).toLocaleString('en-US', {
+      timeZone: timezone,
       month: 'short',
       day: 'numeric',
       year: 'numeric'
     });
     
+    const holidayNote = (weeklyData.holidays || []).length > 0
+      ? `; holiday: ${weeklyData.holidays.map(h => h.name).join(', ')}`
+      : '';
+    
     const blocks = [
       {
         type: 'header',
         text: {
           type: 'plain_text',
-          text: '📊 Weekly Average Report'
+          text: `📊 Weekly Average Report${weeklyData.weekToDate ? ' (week to date)' : ''}`
         }
       },
       {
@@ -616,54 +900,76 @@ class SlackService {
         elements: [
           {
             type: 'mrkdwn',
-            text: `📅 *Week:* ${startTime} - ${endTime} (${weeklyData.workingDays} working days)`
+            text: `📅 *Week:* ${startTime} - ${endTime} (${weeklyData.workingDays} working days${weeklyData.weekToDate ? ' so far' : ''}${holidayNote}) · ${timezone}`
           }
         ]
-      },
-      {
-        type: 'divider'
       }
     ];
     
-    // Dispo Agents Section
-    if (weeklyData.dispoAgents.length > 0) {
-      const dispoKpiTalkTime = weeklyData.kpiThresholds.dispo.talkTimePerDay;
-      const dispoKpiDials = weeklyData.kpiThresholds.dispo.dialsPerDay;
-      
+    // Team change vs the same span of the previous week, per working day
+    const weekOverWeek = weeklyData.weekOverWeek;
+    if (weekOverWeek) {
+      const formatChange = (metric, formatValue) => {
+        const { percent } = weekOverWeek[metric];
+        const delta = this.formatDelta(weekOverWeek.current[metric], weekOverWeek.previous[metric], formatValue);
+        return percent === null ? delta : `${delta} (${percent > 0 ? '+' : ''}${percent}%)`;
+      };
+      const previousWeek = new Date(`${weekOverWeek.previousWeekOf}T12:00:00Z`).toLocaleString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        day: 'numeric'
+      });
       blocks.push({
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `📋 *Dispo Agents* (${weeklyData.dispoAgents.length}) - KPI: Avg ${dispoKpiDials}+ dials/day AND Avg ${dispoKpiTalkTime}+ min talk time/day`
+          text: `📈 *Week over Week (team):* ${weekOverWeek.current.dialsPerDay.toFixed(1)} dials/day ${formatChange('dialsPerDay')} • ${this.formatTimeInHoursAndMinutes(weekOverWeek.current.talkTimePerDay)} talk time/day ${formatChange('talkTimePerDay', minutes => this.formatTimeInHoursAndMinutes(minutes))} vs week of ${previousWeek}`
         }
       });
+    }
+    blocks.push({
+      type: 'divider'
+    });
+    
+    // Dispo and Acquisition sections: agents are checked against their category's KPIs
+    const kpiSections = [
+      { key: 'dispo', title: 'Dispo Agents', label: 'Dispo', agents: weeklyData.dispoAgents },
+      { key: 'acquisition', title: 'Acquisition Agents', label: 'Acquisition', agents: weeklyData.acquisitionAgents }
+    ];
+    kpiSections.forEach(({ key, title, label, agents }) => {
+      if (agents.length === 0) return;
+      const ruleText = weeklyData.kpiRuleDescriptions?.[key];
       
-      // KPI Alert for Dispo agents
-      const dispoNotMeetingKPIs = weeklyData.dispoAgents.filter(agent => {
-        return agent.dailyAverage.talkTimePerDay < dispoKpiTalkTime || 
-               agent.dailyAverage.dialsPerDay < dispoKpiDials;
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `📋 *${title}* (${agents.length})${ruleText ? ` - KPI: Avg ${ruleText}` : ''}`
+        }
       });
       
-      if (dispoNotMeetingKPIs.length > 0) {
+      // KPI Alert (evaluated against daily averages in services/weeklyReportService.js)
+      const notMeetingKPIs = agents.filter(agent => agent.kpi?.hasKpis && !agent.kpi.meetsKPIs);
+      
+      if (notMeetingKPIs.length > 0) {
         blocks.push({
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: `🚨 *KPI Alert:* ${dispoNotMeetingKPIs.length} Dispo agent(s) have not met weekly average KPIs`
+            text: `🚨 *KPI Alert:* ${notMeetingKPIs.length} ${label} agent(s) have not met weekly average KPIs`
           }
         });
         
-        const dispoAlertText = dispoNotMeetingKPIs.map(agent => {
-          const dialsDeficit = Math.max(0, dispoKpiDials - agent.dailyAverage.dialsPerDay);
-          const talkTimeDeficit = Math.max(0, dispoKpiTalkTime - agent.dailyAverage.talkTimePerDay);
-          return `🔸 *${agent.name}*: ${dialsDeficit.toFixed(1)} more dials/day avg, ${talkTimeDeficit.toFixed(1)} more min/day avg needed`;
+        const alertText = notMeetingKPIs.map(agent => {
+          const shortfalls = this.kpiRules.describeShortfalls(agent.kpi, n => n.toFixed(1));
+          return `🔸 *${agent.name}*: ${shortfalls} per day (avg) needed`;
         }).join('\n');
         
         blocks.push({
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: dispoAlertText
+            text: alertText
           }
         });
         
@@ -672,88 +978,47 @@ class SlackService {
         });
       }
       
-      // Dispo agent details
-      weeklyData.dispoAgents.forEach((agent, index) => {
-        const meetsTalkTime = agent.dailyAverage.talkTimePerDay >= dispoKpiTalkTime;
-        const meetsDials = agent.dailyAverage.dialsPerDay >= dispoKpiDials;
-        const meetsKPIs = meetsTalkTime && meetsDials;
+      // Agent details
+      agents.forEach((agent, index) => {
+        const fields = [
+          {
+            type: 'mrkdwn',
+            text: `*${agent.name}* (${label})`
+          },
+          {
+            type: 'mrkdwn',
+            text: `📊 *Weekly Total:* ${agent.weeklyTotal.totalCalls} dials, ${this.formatTimeInHoursAndMinutes(agent.weeklyTotal.totalDurationMinutes)} talk time`
+          },
+          {
+            type: 'mrkdwn',
+            text: `📈 *Daily Average:* ${agent.dailyAverage.dialsPerDay.toFixed(1)} dials/day, ${this.formatTimeInHoursAndMinutes(agent.dailyAverage.talkTimePerDay)} talk time/day`
+          }
+        ];
+        fields.push(...this.formatAfterHoursFields(agent));
         
-        const talkTimeStatus = meetsTalkTime ? '✅' : '❌';
-        const dialsStatus = meetsDials ? '✅' : '❌';
-        const overallStatus = meetsKPIs ? '✅' : '❌';
+        if (agent.kpi?.excused) {
+          fields.push({
+            type: 'mrkdwn',
+            text: '🌴 *KPI Status:* Excused all week'
+          });
+        } else if (agent.kpi?.hasKpis) {
+          const overallStatus = agent.kpi.meetsKPIs ? '✅' : '❌';
+          const metricStatuses = agent.kpi.results.map(result =>
+            `${result.passed ? '✅' : '❌'} ${result.label} (${result.actual.toFixed(1)}/${result.target}${result.unit ? ` ${result.unit}` : ''})`
+          ).join(' | ');
+          const excusedNote = agent.excusedDays ? ` _(averaged over ${agent.workingDays} days, ${agent.excusedDays} excused)_` : '';
+          fields.push({
+            type: 'mrkdwn',
+            text: `${overallStatus} *KPI Status:* ${metricStatuses}${this.formatKpiAdjustmentNote(agent.kpi)}${excusedNote}`
+          });
+        }
         
         blocks.push({
           type: 'section',
-          fields: [
-            {
-              type: 'mrkdwn',
-              text: `*${agent.name}* (Dispo)`
-            },
-            {
-              type: 'mrkdwn',
-              text: `📊 *Weekly Total:* ${agent.weeklyTotal.totalCalls} dials, ${this.formatTimeInHoursAndMinutes(agent.weeklyTotal.totalDurationMinutes)} talk time`
-            },
-            {
-              type: 'mrkdwn',
-              text: `📈 *Daily Average:* ${agent.dailyAverage.dialsPerDay.toFixed(1)} dials/day, ${this.formatTimeInHoursAndMinutes(agent.dailyAverage.talkTimePerDay)} talk time/day`
-            },
-            {
-              type: 'mrkdwn',
-              text: `${overallStatus} *KPI Status:* ${dialsStatus} Dials (${agent.dailyAverage.dialsPerDay.toFixed(1)}/${dispoKpiDials}) | ${talkTimeStatus} Talk Time (${agent.dailyAverage.talkTimePerDay.toFixed(1)}/${dispoKpiTalkTime} min)`
-            }
-          ]
-        });
-        
-        if (index < weeklyData.dispoAgents.length - 1) {
-          blocks.push({
-            type: 'context',
-            elements: [
-              {
-                type: 'mrkdwn',
-                text: '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
-              }
-            ]
-          });
-        }
-      });
-      
-      if (weeklyData.acquisitionAgents.length > 0 || weeklyData.otherUsers.length > 0) {
-        blocks.push({
-          type: 'divider'
-        });
-      }
-    }
-    
-    // Acquisition Agents Section
-    if (weeklyData.acquisitionAgents.length > 0) {
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `📋 *Acquisition Agents* (${weeklyData.acquisitionAgents.length})`
-        }
-      });
-      
-      weeklyData.acquisitionAgents.forEach((agent, index) => {
-        blocks.push({
-          type: 'section',
-          fields: [
-            {
-              type: 'mrkdwn',
-              text: `*${agent.name}* (Acquisition)`
-            },
-            {
-              type: 'mrkdwn',
-              text: `📊 *Weekly Total:* ${agent.weeklyTotal.totalCalls} dials, ${this.formatTimeInHoursAndMinutes(agent.weeklyTotal.totalDurationMinutes)} talk time`
-            },
-            {
-              type: 'mrkdwn',
-              text: `📈 *Daily Average:* ${agent.dailyAverage.dialsPerDay.toFixed(1)} dials/day, ${this.formatTimeInHoursAndMinutes(agent.dailyAverage.talkTimePerDay)} talk time/day`
-            }
-          ]
+          fields
         });
         
-        if (index < weeklyData.acquisitionAgents.length - 1) {
+        if (index < agents.length - 1) {
           blocks.push({
             type: 'context',
             elements: [
@@ -766,12 +1031,12 @@ class SlackService {
         }
       });
       
-      if (weeklyData.otherUsers.length > 0) {
+      if (weeklyData.otherUsers.length > 0 || (key === 'dispo' && weeklyData.acquisitionAgents.length > 0)) {
         blocks.push({
           type: 'divider'
         });
       }
-    }
+    });
     
     // Other Users Section (if any)
     if (weeklyData.otherUsers.length > 0) {
@@ -798,7 +1063,8 @@ class SlackService {
             {
               type: 'mrkdwn',
               text: `📈 *Daily Average:* ${agent.dailyAverage.dialsPerDay.toFixed(1)} dials/day, ${this.formatTimeInHoursAndMinutes(agent.dailyAverage.talkTimePerDay)} talk time/day`
-            }
+            },
+            ...this.formatAfterHoursFields(agent)
           ]
         });
         
@@ -826,13 +1092,15 @@ class SlackService {
         {
           type: 'mrkdwn',
           text: `📊 Report generated on ${new Date().toLocaleString('en-US', {
+            timeZone: timezone,
             weekday: 'long',
             year: 'numeric',
             month: 'long',
             day: 'numeric',
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true
+            hour12: true,
+            timeZoneName: 'short'
           })}`
         }
       ]
@@ -856,13 +1124,581 @@ class SlackService {
       summary: weeklyData.summary
     });
     
-    const message = this.formatWeeklyAverageMessage(weeklyData);
+    return await this.sendReport('weekly-avg', weeklyData, data => {
+      const message = this.formatWeeklyAverageMessage(data);
+      
+      this.logger.info('SlackService: Formatted weekly average message structure:', {
+        blockCount: message.blocks ? message.blocks.length : 0
+      });
+      return message;
+    });
+  }
+  
+  /**
+   * Format the monthly KPI report: one ranked list per agent category
+   */
+  formatMonthlyReportMessage(monthlyData) {
+    const timezone = monthlyData.timezone || getBusinessTimezone();
+    const dateFormat = { timeZone: timezone, month: 'short', day: 'numeric', year: 'numeric' };
+    const startTime = new Date(monthlyData.startTime).toLocaleString('en-US', dateFormat);
+    const endTime = new Date(monthlyData.endTime).toLocaleString('en-US', dateFormat);
+    
+    const holidayNote = (monthlyData.holidays || []).length > 0
+      ? `; holidays: ${monthlyData.holidays.map(h => h.name).join(', ')}`
+      : '';
+    
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `📊 Monthly KPI Report - ${monthlyData.label}${monthlyData.monthToDate ? ' (month to date)' : ''}`
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `📅 *Month:* ${startTime} - ${endTime} (${monthlyData.workingDays} working days${holidayNote}) · ${timezone}`
+          }
+        ]
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `📤 *Team Total:* ${monthlyData.summary.totalCalls} outbound calls • ${this.formatTimeInHoursAndMinutes(monthlyData.summary.totalDurationMinutes)} talk time • ${monthlyData.summary.totalUsers} agents`
+        }
+      },
+      {
+        type: 'divider'
+      }
+    ];
+    
+    const formatAgentLine = agent => {
+      const averages = `${agent.dailyAverage.dialsPerDay.toFixed(1)} dials/day · ${this.formatTimeInHoursAndMinutes(agent.dailyAverage.talkTimePerDay)} talk/day`;
+      let kpiText = '';
+      if (agent.kpi.hasKpis) {
+        const metricHits = agent.kpi.metrics.map(m => `${m.label} ${m.daysHit}`).join(', ');
+        const status = agent.kpi.daysMet === agent.kpi.evaluatedDays ? '✅' : '📉';
+        kpiText = ` · ${status} KPI met ${agent.kpi.daysMet}/${agent.kpi.evaluatedDays} days (${metricHits})`;
+      }
+      const excusedNote = agent.excusedDays ? ` _(${agent.excusedDays} excused)_` : '';
+      return `${agent.rank}. *${agent.name}*${agent.team ? ` (${agent.team})` : ''} — ${averages}${kpiText}${excusedNote}`;
+    };
+    
+    const sections = [
+      { title: 'Dispo Agents', agents: monthlyData.dispoAgents, rule: monthlyData.kpiRuleDescriptions?.dispo },
+      { title: 'Acquisition Agents', agents: monthlyData.acquisitionAgents, rule: monthlyData.kpiRuleDescriptions?.acquisition },
+      { title: 'Other Users', agents: monthlyData.otherUsers }
+    ].filter(section => section.agents.length > 0);
+    
+    sections.forEach(section => {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🏆 *${section.title}* (${section.agents.length})${section.rule ? ` - KPI: ${section.rule}` : ''}`
+        }
+      });
+      
+      // Section text is capped at 3000 characters, so long rankings span several sections
+      for (let i = 0; i < section.agents.length; i += 15) {
+        blocks.push({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: section.agents.slice(i, i + 15).map(formatAgentLine).join('\n')
+          }
+        });
+      }
+    });
+    
+    blocks.push({
+      type: 'divider'
+    });
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `📊 Report generated on ${new Date().toLocaleString('en-US', {
+            timeZone: timezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZoneName: 'short'
+          })}`
+        }
+      ]
+    });
+    
+    return {
+      blocks,
+      text: `Monthly KPI Report | ${monthlyData.label}${monthlyData.monthToDate ? ' (month to date)' : ''} | ${monthlyData.summary.totalUsers} agents`
+    };
+  }
+  
+  /**
+   * Send monthly KPI report to Slack
+   */
+  async sendMonthlyReport(monthlyData) {
+    this.logger.info('SlackService: Monthly report data structure:', {
+      month: monthlyData.month,
+      startTime: monthlyData.startTime,
+      endTime: monthlyData.endTime,
+      workingDays: monthlyData.workingDays,
+      summary: monthlyData.summary
+    });
+    
+    return await this.sendReport('monthly', monthlyData, data => {
+      const message = this.formatMonthlyReportMessage(data);
+      
+      this.logger.info('SlackService: Formatted monthly message structure:', {
+        blockCount: message.blocks ? message.blocks.length : 0
+      });
+      return message;
+    });
+  }
+  
+  /**
+   * Format leaderboard data (services/leaderboardService.js) into a compact Slack message
+   */
+  formatLeaderboardMessage(leaderboardData) {
+    const timezone = leaderboardData.timezone || getBusinessTimezone();
+    const medals = ['🥇', '🥈', '🥉'];
+    const metricKeys = leaderboardData.metrics.map(metric => metric.key);
+    const formatValue = {
+      dials: value => `${value} dials`,
+      talkTime: value => `${this.formatTimeInHoursAndMinutes(value)} talk`,
+      answerRate: value => `${value}% answered`
+    };
+    
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `🏆 Leaderboard - ${leaderboardData.label}`
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Ranked by ${leaderboardData.metrics.map(metric => metric.label).join(', then ')} · ${timezone}`
+          }
+        ]
+      },
+      {
+        type: 'divider'
+      }
+    ];
+    
+    const formatAgentLine = agent => {
+      const leadValue = agent.values[metricKeys[0]];
+      const position = agent.rank <= medals.length && leadValue > 0 ? medals[agent.rank - 1] : `${agent.rank}.`;
+      const values = metricKeys.map(key => formatValue[key](agent.values[key])).join(' · ');
+      const streak = agent.streak && agent.streak.current >= 2 ? ` · 🔥 ${agent.streak.current}-day streak` : '';
+      const newBests = Object.entries(agent.personalBests || {})
+        .filter(([, best]) => best.setThisPeriod)
+        .map(([key]) => leaderboardData.metrics.find(metric => metric.key === key).label.toLowerCase());
+      const bestNote = newBests.length > 0 ? ` · ⭐ best ${newBests.join(', ')}` : '';
+      return `${position} *${agent.name}*${agent.team ? ` (${agent.team})` : ''} — ${values}${streak}${bestNote}`;
+    };
+    
+    const sections = [
+      { title: 'Dispo Agents', agents: leaderboardData.dispoAgents },
+      { title: 'Acquisition Agents', agents: leaderboardData.acquisitionAgents },
+      { title: 'Other Users', agents: leaderboardData.otherUsers }
+    ].filter(section => section.agents.length > 0);
+    
+    sections.forEach(section => {
+      // Section text is capped at 3000 characters, so long rankings span several sections
+      for (let i = 0; i < section.agents.length; i += 15) {
+        const lines = section.agents.slice(i, i + 15).map(formatAgentLine).join('\n');
+        blocks.push({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: i === 0 ? `*${section.title}*\n${lines}` : lines
+          }
+        });
+      }
+    });
+    
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `🔥 consecutive working days meeting KPIs · ⭐ personal best (last ${leaderboardData.lookbackDays} working days) set this period`
+        }
+      ]
+    });
+    
+    return {
+      blocks,
+      text: `Leaderboard | ${leaderboardData.label} | ${leaderboardData.summary.totalUsers} agents`
+    };
+  }
+  
+  /**
+   * Send leaderboard to Slack
+   */
+  async sendLeaderboard(leaderboardData) {
+    this.logger.info('SlackService: Leaderboard data structure:', {
+      period: leaderboardData.period,
+      startTime: leaderboardData.startTime,
+      endTime: leaderboardData.endTime,
+      metrics: leaderboardData.metrics,
+      summary: leaderboardData.summary
+    });
+    
+    return await this.sendReport('leaderboard', leaderboardData, data => {
+      const message = this.formatLeaderboardMessage(data);
+      
+      this.logger.info('SlackService: Formatted leaderboard message structure:', {
+        blockCount: message.blocks ? message.blocks.length : 0
+      });
+      return message;
+    });
+  }
+  
+  /**
+   * Slack user id for an email (users.lookupByEmail, needs the users:read.email scope),
+   * or null if no Slack user has it. Results are cached for the life of the process.
+   */
+  async lookupUserByEmail(email) {
+    if (!email) return null;
+    const key = String(email).toLowerCase();
+    if (this.slackUserIds.has(key)) return this.slackUserIds.get(key);
+    
+    const response = await this.slackClient.get('/users.lookupByEmail', { params: { email: key } });
+    if (response.data.ok) {
+      this.slackUserIds.set(key, response.data.user.id);
+      return response.data.user.id;
+    }
+    if (response.data.error === 'users_not_found') {
+      this.slackUserIds.set(key, null);
+      return null;
+    }
+    throw new Error(`Slack API error: ${response.data.error}`);
+  }
+  
+  /**
+   * Email on a Slack user's profile (users.info, needs the users:read.email scope), or null
+   */
+  async getUserEmail(slackUserId) {
+    const response = await this.slackClient.get('/users.info', { params: { user: slackUserId } });
+    if (!response.data.ok) {
+      throw new Error(`Slack API error: ${response.data.error}`);
+    }
+    return response.data.user?.profile?.email || null;
+  }
+  
+  /**
+   * Reply to a slash command through its response_url, visible only to the user who ran it.
+   * Slack accepts up to 5 replies per command within 30 minutes.
+   * @returns {{ ok: true } | { ok: false, error: string }}
+   */
+  async respondToCommand(responseUrl, message) {
+    // Only ever post to Slack's own hooks host, whatever the request carried
+    if (!/^https:\/\/hooks\.slack\.com\//.test(responseUrl || '')) {
+      return { ok: false, error: 'Invalid response_url' };
+    }
+    try {
+      await axios.post(responseUrl, { response_type: 'ephemeral', ...message }, { timeout: 30000 });
+      return { ok: true };
+    } catch (error) {
+      const errorMsg = `Slack response_url request failed: ${error.response?.data || error.message}`;
+      this.logger.error(errorMsg);
+      return { ok: false, error: errorMsg };
+    }
+  }
+  
+  /**
+   * DM a Slack user: opens (or reuses) the DM channel with conversations.open (needs the
+   * im:write scope) and posts the message there
+   * @returns {{ ok: true, ts: string, channel: string } | { ok: false, error: string }}
+   */
+  async sendDirectMessage(slackUserId, message) {
+    try {
+      const response = await this.slackClient.post('/conversations.open', { users: slackUserId });
+      if (!response.data.ok) {
+        const errorMsg = `Slack API error: ${response.data.error}`;
+        this.logger.error(`Could not open DM with ${slackUserId}: ${errorMsg}`);
+        return { ok: false, error: errorMsg };
+      }
+      return await this.sendMessage(message, { channel: response.data.channel.id });
+    } catch (error) {
+      const errorMsg = `Slack request failed: ${error.response?.data?.error || error.message}`;
+      this.logger.error(`Could not open DM with ${slackUserId}: ${errorMsg}`);
+      return { ok: false, error: errorMsg };
+    }
+  }
+  
+  /**
+   * KPI status line for DMs: met, excused or what is still missing
+   */
+  formatKpiStatusText(evaluation) {
+    if (evaluation.excused) return '🌴 Excused today';
+    if (!evaluation.hasKpis) return 'No KPI targets';
+    if (evaluation.meetsKPIs) return '✅ All KPIs met';
+    return `❌ ${this.kpiRules.describeShortfalls(evaluation)} needed`;
+  }
+  
+  /**
+   * An agent's own numbers for a daily report as a DM: stats, trend vs previous days
+   * (when the report carries comparisons) and KPI gaps
+   * @param {string} [title] - header, e.g. "Alex's KPIs" when shown to someone else
+   */
+  formatAgentDmMessage(user, evaluation, activityData, title = 'Your KPIs') {
+    const timezone = activityData.timezone || getBusinessTimezone();
+    const reportDate = toBusinessYMD(new Date(activityData.startTime), timezone);
+    const dateLabel = new Date(`${reportDate}T12:00:00Z`).toLocaleString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+    const compare = (current, metric, formatValue) => this.formatComparison(current, user.comparison, metric, reportDate, formatValue);
+    const answerRate = user.totalCalls > 0 ? Math.round((user.answeredCalls / user.totalCalls) * 100) : 0;
+    
+    const fields = [
+      {
+        type: 'mrkdwn',
+        text: `📤 *${user.totalCalls}* outbound calls${compare(user.totalCalls, 'totalCalls')}`
+      },
+      {
+        type: 'mrkdwn',
+        text: `⏰ *${this.formatTimeInHoursAndMinutes(user.totalDurationMinutes)}* talk time${compare(user.totalDurationMinutes, 'totalDurationMinutes', minutes => this.formatTimeInHoursAndMinutes(minutes))}`
+      },
+      {
+        type: 'mrkdwn',
+        text: `✅ *${user.answeredCalls}* answered (${answerRate}%)`
+      },
+      {
+        type: 'mrkdwn',
+        text: `📥 *${user.inboundCalls || 0}* inbound calls`
+      },
+      ...this.formatAfterHoursFields(user)
+    ];
+    
+    const kpiDetail = evaluation.hasKpis
+      ? evaluation.results.map(result => `${result.passed ? '✅' : '❌'} ${result.label} (${result.actual}/${result.target}${result.unit ? ` ${result.unit}` : ''})`).join(' | ')
+      : '';
+    
+    return {
+      blocks: [
+        {
+          type: 'header',
+          text: {
+            type: 'plain_text',
+            text: `📊 ${title} - ${dateLabel}`
+          }
+        },
+        {
+          type: 'section',
+          fields
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*KPI Status:* ${this.formatKpiStatusText(evaluation)}${this.formatKpiAdjustmentNote(evaluation)}`
+          }
+        },
+        ...(kpiDetail ? [{
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: kpiDetail }]
+        }] : [])
+      ],
+      text: `${title} for ${dateLabel}: ${user.totalCalls} outbound calls, ${this.formatTimeInHoursAndMinutes(user.totalDurationMinutes)} talk time`
+    };
+  }
+  
+  /**
+   * A manager's team for a daily report as one DM: who met KPIs and each agent's gaps
+   *
+   * @param {string} manager - roster manager
+   * @param {Array<{ user: object, evaluation: object }>} members
+   */
+  formatManagerDigestMessage(manager, members, activityData) {
+    const timezone = activityData.timezone || getBusinessTimezone();
+    const reportDate = toBusinessYMD(new Date(activityData.startTime), timezone);
+    const dateLabel = new Date(`${reportDate}T12:00:00Z`).toLocaleString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+    
+    const withKpis = members.filter(({ evaluation }) => evaluation.hasKpis);
+    const metCount = withKpis.filter(({ evaluation }) => evaluation.meetsKPIs).length;
+    const totalCalls = members.reduce((sum, { user }) => sum + user.totalCalls, 0);
+    const totalTalkTime = members.reduce((sum, { user }) => sum + user.totalDurationMinutes, 0);
+    
+    // Agents missing KPIs first, then by dials
+    const sorted = [...members].sort((a, b) =>
+      Number(a.evaluation.hasKpis && a.evaluation.meetsKPIs) - Number(b.evaluation.hasKpis && b.evaluation.meetsKPIs) ||
+      b.user.totalCalls - a.user.totalCalls
+    );
+    const formatMemberLine = ({ user, evaluation }) => {
+      const change = user.comparison?.previousDay ? ` (${this.formatDelta(user.totalCalls, user.comparison.previousDay.totalCalls)})` : '';
+      const dials = `${user.totalCalls} dials${change}`;
+      return `*${user.name}*${this.formatAgentLabel(user)} — ${dials}, ${this.formatTimeInHoursAndMinutes(user.totalDurationMinutes)} talk · ${this.formatKpiStatusText(evaluation)}`;
+    };
+    
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `👥 Team KPI Digest - ${dateLabel}`
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${metCount} of ${withKpis.length}* agents met KPIs • ${totalCalls} outbound calls • ${this.formatTimeInHoursAndMinutes(totalTalkTime)} talk time${members.some(({ user }) => user.comparison) ? '\n_Dial changes are vs the previous working day_' : ''}`
+        }
+      }
+    ];
+    // Section text is capped at 3000 characters, so large teams span several sections
+    for (let i = 0; i < sorted.length; i += 15) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: sorted.slice(i, i + 15).map(formatMemberLine).join('\n')
+        }
+      });
+    }
+    
+    return {
+      blocks,
+      text: `Team KPI Digest for ${manager} - ${dateLabel}: ${metCount} of ${withKpis.length} agents met KPIs`
+    };
+  }
+  
+  /**
+   * Format a pacing check (services/pacingService.js) as a thread reply
+   */
+  formatPacingAlertMessage(pacingData) {
+    const [hours, minutes] = pacingData.checkpoint.split(':').map(Number);
+    const checkpoint = `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+    
+    if (pacingData.atRisk.length === 0) {
+      return {
+        blocks: [{
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `✅ *${checkpoint} checkpoint* — all ${pacingData.evaluatedCount} agents on pace for their KPIs`
+          }
+        }],
+        text: `${checkpoint} pacing: all agents on pace`
+      };
+    }
+    
+    const blocks = [{
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `⏳ *${checkpoint} checkpoint* — ${pacingData.atRisk.length} of ${pacingData.evaluatedCount} agents projected to miss KPIs`
+      }
+    }];
+    
+    const formatAgentLine = agent => {
+      const soFar = `${agent.actual.totalCalls} dials, ${this.formatTimeInHoursAndMinutes(agent.actual.totalDurationMinutes)} talk`;
+      const projected = `${Math.round(agent.projected.totalCalls)} dials, ${this.formatTimeInHoursAndMinutes(agent.projected.totalDurationMinutes)} talk`;
+      const needed = this.kpiRules.describeShortfalls(agent.remaining, n => Math.ceil(n));
+      const [endHours, endMinutes] = agent.shift.end.split(':').map(Number);
+      const shiftEnd = `${endHours % 12 || 12}:${String(endMinutes).padStart(2, '0')} ${endHours < 12 || endHours === 24 ? 'AM' : 'PM'}`;
+      return `🔸 *${agent.name}*${this.formatAgentLabel(agent)}: ${soFar} at ${agent.elapsedPercent}% of shift → on pace for ${projected}${needed ? `; needs ${needed} by ${shiftEnd}` : ''}`;
+    };
     
-    this.logger.info('SlackService: Formatted weekly average message structure:', {
-      blockCount: message.blocks ? message.blocks.length : 0
+    // Section text is capped at 3000 characters, so long lists span several sections
+    for (let i = 0; i < pacingData.atRisk.length; i += 15) {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: pacingData.atRisk.slice(i, i + 15).map(formatAgentLine).join('\n')
+        }
+      });
+    }
+    
+    return {
+      blocks,
+      text: `${checkpoint} pacing: ${pacingData.atRisk.length} agent(s) projected to miss KPIs`
+    };
+  }
+  
+  /**
+   * Post a pacing check to each channel routed for 'pacing', as a reply under that
+   * channel's pacing parent message for the day
+   */
+  async sendPacingAlert(pacingData) {
+    this.logger.info('SlackService: Pacing data structure:', {
+      date: pacingData.date,
+      checkpoint: pacingData.checkpoint,
+      evaluatedCount: pacingData.evaluatedCount,
+      atRiskCount: pacingData.atRisk.length
     });
     
-    return await this.sendMessage(message);
+    return await this.sendReport(
+      'pacing',
+      pacingData,
+      data => this.formatPacingAlertMessage(data),
+      ([message], channel) => this.sendPacingReply(pacingData, message, channel || this.slackChannelId)
+    );
+  }
+  
+  /**
+   * Reply in a channel's pacing thread for the day, posting the parent first if this is
+   * the day's first checkpoint there
+   */
+  async sendPacingReply(pacingData, message, channel) {
+    let threadTs = this.threadStore
+      ? await this.threadStore.get('pacing', pacingData.date, channel)
+      : null;
+    if (!threadTs) {
+      const label = new Date(`${pacingData.date}T12:00:00Z`).toLocaleString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'long',
+        month: 'short',
+        day: 'numeric'
+      });
+      const parent = await this.sendMessage({
+        blocks: [
+          {
+            type: 'header',
+            text: {
+              type: 'plain_text',
+              text: `⏳ Intraday Pacing - ${label}`
+            }
+          },
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `Checkpoint alerts are posted in this thread. Agents are projected to the end of their shift at today's pace (${pacingData.timezone}).`
+              }
+            ]
+          }
+        ],
+        text: `Intraday Pacing - ${label}`
+      }, { channel });
+      if (!parent.ok) {
+        return parent;
+      }
+      threadTs = parent.ts;
+      if (this.threadStore) {
+        await this.threadStore.save('pacing', pacingData.date, channel, threadTs);
+      }
+    }
+    
+    return await this.sendMessage(message, { threadTs, channel });
   }
 }
 
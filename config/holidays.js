@@ -0,0 +1,30 @@
+/**
+ * Business holiday calendar (used unless HOLIDAYS_FILE is set). Holidays are not working
+ * days: they are left out of working-day counts and weekly averages, and scheduled
+ * reports with skipHolidays (config/schedules.js) don't post on them.
+ *
+ * - federal: built-in US federal holidays to observe, by id (see services/holidayService.js).
+ *   Weekend dates move to the Friday before / Monday after, as for federal employees.
+ * - holidays: extra company holidays, { date: 'YYYY-MM-DD', name }
+ *
+ * Dates added or un-observed through /holidays are stored in the "BusinessHoliday" table
+ * and take precedence over this file.
+ */
+module.exports = {
+  federal: [
+    'new-years-day',
+    'mlk-day',
+    'presidents-day',
+    'memorial-day',
+    'juneteenth',
+    'independence-day',
+    'labor-day',
+    'columbus-day',
+    'veterans-day',
+    'thanksgiving',
+    'christmas'
+  ],
+  holidays: [
+    // { date: '2026-11-27', name: 'Day after Thanksgiving' }
+  ]
+};
@@ -0,0 +1,31 @@
+/**
+ * Default KPI rules (used unless KPI_RULES_FILE or KPI_RULES_SOURCE=supabase is set).
+ *
+ * Fields per rule:
+ * - id
+ * - scope: one of { category }, { team } or { agentId } (Aircall user id); the most specific match wins
+ * - effectiveFrom / effectiveTo (optional, YYYY-MM-DD, inclusive): lets targets change without rewriting history
+ * - metrics: list of { metric, operator, value }, all of which must pass
+ *   metric: 'dials' | 'talkTimeMinutes' | 'answerRate' | 'inboundAnswered'
+ *   operator: '>=' | '>' | '<=' | '<' | '=='
+ *
+ * Targets are per working day; weekly reports compare daily averages against them.
+ */
+module.exports = [
+  {
+    id: 'dispo-default',
+    scope: { category: 'dispo' },
+    metrics: [
+      { metric: 'dials', operator: '>=', value: 60 },
+      { metric: 'talkTimeMinutes', operator: '>=', value: 60 }
+    ]
+  },
+  {
+    id: 'acquisition-default',
+    scope: { category: 'acquisition' },
+    metrics: [
+      { metric: 'dials', operator: '>=', value: 50 },
+      { metric: 'talkTimeMinutes', operator: '>=', value: 210 } // 3.5 hours
+    ]
+  }
+];
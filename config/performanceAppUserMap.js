@@ -1,8 +1,11 @@
 /**
  * Aircall user -> presidential-performance-hub identifiers.
  *
+ * Fallback only: mappings are normally managed in the "AircallUserMapping" Supabase table
+ * (POST /sync/mappings), whose rows win over entries here.
+ *
  * Required fields per mapping:
- * - aircallUserName
+ * - aircallUserId or aircallUserName
  * - userId (DailyKpiEntry.userId)
  * - teamId (DailyKpiEntry.teamId)
  *
@@ -0,0 +1,38 @@
+/**
+ * Default report schedules for the in-process scheduler (services/reportScheduler.js).
+ *
+ * Fields per report type:
+ * - cron: 5-field cron expression, evaluated in `timezone`
+ * - timezone: IANA zone (e.g. 'America/Chicago'); defaults to SCHEDULER_TIMEZONE, then BUSINESS_TIMEZONE
+ * - enabled: whether the scheduler runs it
+ * - skipHolidays: don't post on business holidays (config/holidays.js); defaults to true
+ * - lockPerCheckpoint: take the run lock per firing time (HH:MM) instead of once a day, for
+ *   schedules that fire several times a day; defaults to false
+ *
+ * Each field can be overridden with SCHEDULE_<TYPE>_CRON / _TIMEZONE / _ENABLED, where
+ * TYPE is the key upper-cased with dashes as underscores (e.g. SCHEDULE_WEEKLY_AVG_CRON).
+ */
+module.exports = {
+  afternoon: {
+    cron: '1 13 * * 1-5', // Weekdays 1:01 PM
+    enabled: true
+  },
+  night: {
+    cron: '30 18 * * 1-5', // Weekdays 6:30 PM (includes the Supabase nightly sync)
+    enabled: true
+  },
+  'weekly-avg': {
+    cron: '0 17 * * 5', // Fridays 5:00 PM
+    enabled: true
+  },
+  pacing: {
+    cron: '0 11,14,16 * * 1-5', // Weekdays 11 AM, 2 PM and 4 PM checkpoints, threaded under one daily message
+    enabled: true,
+    lockPerCheckpoint: true
+  },
+  'nightly-sync': {
+    cron: '0 6 * * 2-6', // Tue-Sat 6:00 AM, re-syncs the previous day once late calls have settled
+    enabled: false,
+    skipHolidays: false // the day after a holiday still needs the previous day synced
+  }
+};
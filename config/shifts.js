@@ -0,0 +1,36 @@
+/**
+ * Shift hours (used unless SHIFTS_FILE is set). Times are 'HH:MM' in BUSINESS_TIMEZONE.
+ *
+ * - default: shift of every agent no entry in `shifts` matches
+ * - shifts: list of { id, scope, start, end, afternoon? }
+ *   scope: one of { category }, { team } or { agentId } (Aircall user id); the most specific match wins
+ *   start / end: the daily ("night") report and the nightly Supabase sync count calls in [start, end)
+ *   afternoon: optional { start, end } for the afternoon report; defaults to the default
+ *     afternoon window clipped to the shift
+ *
+ * In the scheduled reports, calls outside an agent's shift are reported separately as
+ * after-hours activity and do not count towards KPIs. Custom-range reports count every
+ * call unless they ask for shift hours (applyShifts). The night report's header shows the
+ * earliest start to the latest end.
+ */
+module.exports = {
+  default: {
+    start: '07:00',
+    end: '19:00',
+    afternoon: { start: '09:00', end: '13:00' }
+  },
+  shifts: [
+    {
+      id: 'acquisition',
+      scope: { category: 'acquisition' },
+      start: '08:00',
+      end: '17:00'
+    }
+    // {
+    //   id: 'dispo-late',
+    //   scope: { team: 'Dispo Pod B' },
+    //   start: '10:00',
+    //   end: '19:00'
+    // }
+  ]
+};
@@ -0,0 +1,18 @@
+/**
+ * Slack channel routing per report type (used unless SLACK_CHANNELS_FILE is set).
+ *
+ * Keys are report types: afternoon, night, custom, weekly-avg, monthly, leaderboard, pacing,
+ * or default for every type without its own entry. Each maps to a list of routes:
+ * - channel: Slack channel id; the bot must be a member
+ * - categories: optional list of agent categories ('dispo', 'acquisition', 'other') the
+ *   channel gets, with summaries and KPI alerts limited to them; omit for the full report
+ *
+ * Report types with no routes post the full report to SLACK_CHANNEL_ID.
+ */
+module.exports = {
+  // night: [
+  //   { channel: 'C0DISPO0000', categories: ['dispo'] },
+  //   { channel: 'C0ACQUISITN', categories: ['acquisition'] },
+  //   { channel: 'C0LEADERSHP' }
+  // ]
+};
@@ -40,12 +40,26 @@ const schedulerRuns = new promClient.Counter({
   labelNames: ['report_type', 'status']
 });
 
+const aircallWebhookEvents = new promClient.Counter({
+  name: 'aircall_webhook_events_total',
+  help: 'Total number of Aircall webhook events received',
+  labelNames: ['event', 'status']
+});
+
+const reportRunsSkipped = new promClient.Counter({
+  name: 'report_runs_skipped_total',
+  help: 'Report runs skipped because the run lock for that report type and date was already taken',
+  labelNames: ['report_type', 'trigger']
+});
+
 // Register custom business metrics
 register.registerMetric(reportGenerationDuration);
 register.registerMetric(reportGenerationTotal);
 register.registerMetric(slackMessageSent);
 register.registerMetric(aircallApiCalls);
 register.registerMetric(schedulerRuns);
+register.registerMetric(aircallWebhookEvents);
+register.registerMetric(reportRunsSkipped);
 
 // Prometheus middleware configuration
 // NOTE: metricsPath set to '/internal-prometheus-metrics' to avoid conflicts
@@ -89,6 +103,14 @@ const recordSchedulerRun = (reportType, status = 'success') => {
   schedulerRuns.labels(reportType, status).inc();
 };
 
+const recordAircallWebhookEvent = (event, status = 'applied') => {
+  aircallWebhookEvents.labels(event, status).inc();
+};
+
+const recordReportRunSkipped = (reportType, trigger = 'manual') => {
+  reportRunsSkipped.labels(reportType, trigger).inc();
+};
+
 module.exports = {
   register,
   prometheusMiddlewareConfig,
@@ -97,11 +119,15 @@ module.exports = {
   recordSlackMessage,
   recordAircallApiCall,
   recordSchedulerRun,
+  recordAircallWebhookEvent,
+  recordReportRunSkipped,
   metrics: {
     reportGenerationDuration,
     reportGenerationTotal,
     slackMessageSent,
     aircallApiCalls,
-    schedulerRuns
+    schedulerRuns,
+    aircallWebhookEvents,
+    reportRunsSkipped
   }
 }; 
\ No newline at end of file
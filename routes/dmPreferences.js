@@ -0,0 +1,127 @@
+const express = require('express');
+const { param, body, validationResult } = require('express-validator');
+const { sanitizeError } = require('../utils/errorHandler');
+
+module.exports = (logger, dmPreferenceService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /dm-preferences:
+   *   get:
+   *     summary: List agent DM preferences
+   *     description: Stored opt-in/opt-out choices for KPI status DMs, keyed by Aircall user id. Agents without one follow SLACK_DM_DEFAULT_OPT_IN.
+   *     tags: [Direct Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: DM preferences
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/dm-preferences', (req, res) => {
+    res.json({
+      success: true,
+      persistent: dmPreferenceService.isPersistent(),
+      defaultOptIn: dmPreferenceService.defaultOptIn,
+      data: dmPreferenceService.list()
+    });
+  });
+
+  /**
+   * @swagger
+   * /dm-preferences/{agentId}:
+   *   put:
+   *     summary: Opt an agent in or out of KPI status DMs
+   *     tags: [Direct Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Aircall user id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [optIn]
+   *             properties:
+   *               optIn:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Preference saved
+   *       400:
+   *         description: Invalid preference
+   */
+  router.put(
+    '/dm-preferences/:agentId',
+    [
+      param('agentId').trim().notEmpty(),
+      body('optIn').isBoolean({ strict: true }).withMessage('optIn must be boolean')
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      try {
+        const preference = await dmPreferenceService.set(req.params.agentId, req.body.optIn);
+        logger.info('DM preference saved', preference);
+        res.json({ success: true, data: preference });
+      } catch (error) {
+        const sanitized = sanitizeError(error, logger);
+        res.status(500).json(sanitized);
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /dm-preferences/{agentId}:
+   *   delete:
+   *     summary: Remove an agent's DM preference
+   *     description: The agent follows SLACK_DM_DEFAULT_OPT_IN afterwards.
+   *     tags: [Direct Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Preference removed
+   *       404:
+   *         description: No preference stored for the agent
+   */
+  router.delete('/dm-preferences/:agentId', [param('agentId').trim().notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const removed = await dmPreferenceService.remove(req.params.agentId);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'No DM preference stored for this agent' });
+      }
+      logger.info('DM preference removed', { agentId: req.params.agentId });
+      res.json({ success: true });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  return router;
+};
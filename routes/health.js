@@ -1,6 +1,6 @@
 const express = require('express');
 
-module.exports = (logger, config) => {
+module.exports = (logger, config, aircallService = null, reportScheduler = null) => {
   const router = express.Router();
 
   /**
@@ -44,9 +44,12 @@ module.exports = (logger, config) => {
   router.get('/status', (req, res) => {
     res.json({
       service: 'aircall-slack-agent',
-      mode: 'on-demand',
+      mode: reportScheduler && reportScheduler.isRunning() ? 'scheduled' : 'on-demand',
       timestamp: new Date().toISOString(),
+      timezone: config.businessTimezone,
       excludedUsers: config.excludedUsers,
+      // Agent list entries that matched several Aircall users (or none) and were not applied
+      agentIdentityIssues: aircallService ? aircallService.getIdentityIssues() : [],
               endpoints: {
           health: 'GET /health',
           status: 'GET /status',
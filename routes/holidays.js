@@ -0,0 +1,153 @@
+const express = require('express');
+const { param, query, body, validationResult } = require('express-validator');
+const { sanitizeError } = require('../utils/errorHandler');
+const { getZonedParts } = require('../utils/businessTime');
+
+module.exports = (logger, holidayService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /holidays:
+   *   get:
+   *     summary: List business holidays for a year
+   *     description: Built-in US federal holidays, config/holidays.js entries and dates added or un-observed through this API. Holidays are not working days and scheduled reports skip them.
+   *     tags: [Holidays]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: year
+   *         schema:
+   *           type: integer
+   *           example: 2026
+   *         description: Defaults to the current year
+   *     responses:
+   *       200:
+   *         description: Holidays by date; entries with observed false are worked as normal days
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/holidays', [query('year').optional().isInt({ min: 2000, max: 2100 })], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year, 10) : getZonedParts(new Date()).year;
+    res.json({
+      success: true,
+      year,
+      persistent: holidayService.isPersistent(),
+      data: holidayService.list(year)
+    });
+  });
+
+  /**
+   * @swagger
+   * /holidays/{date}:
+   *   put:
+   *     summary: Add or rename a holiday, or stop observing a built-in one
+   *     tags: [Holidays]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: date
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: Day after Thanksgiving
+   *               observed:
+   *                 type: boolean
+   *                 description: false keeps a built-in holiday as a working day
+   *                 default: true
+   *     responses:
+   *       200:
+   *         description: Holiday saved
+   *       400:
+   *         description: Invalid holiday
+   */
+  router.put(
+    '/holidays/:date',
+    [
+      param('date').isISO8601().withMessage('date must be YYYY-MM-DD'),
+      body('name').optional({ nullable: true }).isString(),
+      body('observed').optional({ nullable: true }).isBoolean()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let holiday;
+      try {
+        holiday = await holidayService.upsert(req.params.date, req.body || {});
+      } catch (error) {
+        if (!error.code) {
+          // Validation failures from the service have no driver error code
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        const sanitized = sanitizeError(error, logger);
+        return res.status(500).json(sanitized);
+      }
+
+      logger.info('Holiday saved', { date: holiday.date, observed: holiday.observed });
+      res.json({ success: true, data: holiday });
+    }
+  );
+
+  /**
+   * @swagger
+   * /holidays/{date}:
+   *   delete:
+   *     summary: Remove a holiday added or changed through the API
+   *     description: The date falls back to the built-in calendar (federal holidays and config/holidays.js).
+   *     tags: [Holidays]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: date
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Adjustment removed
+   *       404:
+   *         description: No adjustment for this date
+   */
+  router.delete('/holidays/:date', [param('date').isISO8601().withMessage('date must be YYYY-MM-DD')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const removed = await holidayService.remove(req.params.date);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'No holiday adjustment for this date' });
+      }
+      logger.info('Holiday adjustment removed', { date: req.params.date });
+      res.json({ success: true });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  return router;
+};
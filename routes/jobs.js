@@ -0,0 +1,88 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+module.exports = (logger, jobManager) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /jobs:
+   *   get:
+   *     summary: List background jobs
+   *     description: Recent night/custom report runs, KPI syncs and backfills, newest first. Jobs are kept in memory and reset on restart.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           example: report-night
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [queued, running, succeeded, failed]
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *     responses:
+   *       200:
+   *         description: Jobs
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get(
+    '/jobs',
+    [
+      query('type').optional().isString(),
+      query('status').optional().isIn(JOB_STATUSES),
+      query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+    ],
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { type, status, limit } = req.query;
+      res.json({ success: true, data: jobManager.list({ type, status, limit }) });
+    }
+  );
+
+  /**
+   * @swagger
+   * /jobs/{id}:
+   *   get:
+   *     summary: Get a background job
+   *     description: State (queued/running/succeeded/failed), progress, timings and the final result or error.
+   *     tags: [Jobs]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Job found
+   *       404:
+   *         description: Unknown job id (or expired from history)
+   */
+  router.get('/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  });
+
+  return router;
+};
@@ -0,0 +1,194 @@
+const express = require('express');
+const { param, body, validationResult } = require('express-validator');
+const { sanitizeError } = require('../utils/errorHandler');
+
+module.exports = (logger, kpiOverridesService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /kpi/overrides:
+   *   get:
+   *     summary: List per-agent KPI overrides
+   *     description: Proration factors, ramp-up schedules and excused days applied on top of the KPI rules.
+   *     tags: [KPI]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: All overrides
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/kpi/overrides', (req, res) => {
+    res.json({
+      success: true,
+      persistent: kpiOverridesService.isPersistent(),
+      data: kpiOverridesService.list()
+    });
+  });
+
+  /**
+   * @swagger
+   * /kpi/overrides/{agentId}:
+   *   get:
+   *     summary: Get the KPI override for an agent
+   *     tags: [KPI]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Aircall user id
+   *     responses:
+   *       200:
+   *         description: Override found
+   *       404:
+   *         description: No override for this agent
+   */
+  router.get('/kpi/overrides/:agentId', [param('agentId').trim().notEmpty()], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const override = kpiOverridesService.get(req.params.agentId);
+    if (!override) {
+      return res.status(404).json({ success: false, error: 'No KPI override for this agent' });
+    }
+    res.json({ success: true, data: override });
+  });
+
+  /**
+   * @swagger
+   * /kpi/overrides/{agentId}:
+   *   put:
+   *     summary: Create or replace the KPI override for an agent
+   *     tags: [KPI]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Aircall user id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               agentName:
+   *                 type: string
+   *               prorateFactor:
+   *                 type: number
+   *                 description: Multiplier for volume targets (e.g. 0.5 for a half-time agent)
+   *                 example: 0.5
+   *               startDate:
+   *                 type: string
+   *                 format: date
+   *                 description: Agent is excused before this date; ramp weeks count from it
+   *               rampSchedule:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     week:
+   *                       type: integer
+   *                       example: 1
+   *                     factor:
+   *                       type: number
+   *                       example: 0.5
+   *               excusedDates:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: date
+   *               note:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Override saved
+   *       400:
+   *         description: Invalid override
+   */
+  router.put(
+    '/kpi/overrides/:agentId',
+    [
+      param('agentId').trim().notEmpty(),
+      body('prorateFactor').optional({ nullable: true }).isFloat({ gt: 0, max: 1 }),
+      body('startDate').optional({ nullable: true }).isISO8601(),
+      body('rampSchedule').optional().isArray(),
+      body('excusedDates').optional().isArray(),
+      body('note').optional({ nullable: true }).isString()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let override;
+      try {
+        override = await kpiOverridesService.upsert(req.params.agentId, req.body || {});
+      } catch (error) {
+        if (!error.code) {
+          // Validation failures from the service have no driver error code
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        const sanitized = sanitizeError(error, logger);
+        return res.status(500).json(sanitized);
+      }
+
+      logger.info('KPI override saved', { agentId: override.agentId });
+      res.json({ success: true, data: override });
+    }
+  );
+
+  /**
+   * @swagger
+   * /kpi/overrides/{agentId}:
+   *   delete:
+   *     summary: Remove the KPI override for an agent
+   *     tags: [KPI]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Override removed
+   *       404:
+   *         description: No override for this agent
+   */
+  router.delete('/kpi/overrides/:agentId', [param('agentId').trim().notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const removed = await kpiOverridesService.remove(req.params.agentId);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'No KPI override for this agent' });
+      }
+      logger.info('KPI override removed', { agentId: req.params.agentId });
+      res.json({ success: true });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  return router;
+};
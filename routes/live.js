@@ -0,0 +1,44 @@
+const express = require('express');
+const { sanitizeError } = require('../utils/errorHandler');
+
+module.exports = (logger, liveActivityService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /live/activity:
+   *   get:
+   *     summary: Live per-agent counters for today
+   *     description: Returns running call counters built from Aircall webhooks (same metrics as the pulled reports), without calling the Aircall API.
+   *     tags: [Reports]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Live counters
+   *       401:
+   *         description: Unauthorized
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   */
+  router.get('/live/activity', (req, res) => {
+    try {
+      const snapshot = liveActivityService.getSnapshot();
+      const users = [...snapshot.users].sort((a, b) => b.totalCalls - a.totalCalls);
+      res.json({
+        success: true,
+        data: {
+          ...snapshot,
+          users
+        }
+      });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  return router;
+};
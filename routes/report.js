@@ -1,65 +1,65 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { sanitizeError } = require('../utils/errorHandler');
+const { organizeUsersByCategory, formatUserData } = require('../utils/reportData');
+const { toBusinessYMD, businessTimeToDate } = require('../utils/businessTime');
+const monitoring = require('../monitoring');
 
 
-module.exports = (logger, generateReport, slackService, supabaseSyncService) => {
+module.exports = (logger, generateReport, slackService, supabaseSyncService, kpiRulesService, jobManager, reportRunner, runLockService = null, monthlyReportService = null, leaderboardService = null) => {
   const router = express.Router();
-  
+  const weeklyReportService = reportRunner.weeklyReportService;
+
   /**
-   * Helper function to organize users by agent category
+   * Claim today's run of a report type so retries and other replicas don't post it twice.
+   * Answers the request and returns null when the run is already taken; ?force=true skips the lock.
+   *
+   * @returns {Promise<{ lock: object|null }|null>}
    */
-  const organizeUsersByCategory = (users) => {
-    const dispoAgents = users.filter(user => user.agentCategory === 'dispo');
-    const acquisitionAgents = users.filter(user => user.agentCategory === 'acquisition');
-    const otherUsers = users.filter(user => !user.agentCategory || user.agentCategory === 'other');
-    
-    return {
-      dispoAgents,
-      acquisitionAgents,
-      otherUsers,
-      totalUsers: users.length,
-      dispoCount: dispoAgents.length,
-      acquisitionCount: acquisitionAgents.length,
-      otherCount: otherUsers.length
-    };
+  const acquireRunLock = async (reportType, req, res) => {
+    if (!runLockService || req.query.force === 'true') {
+      return { lock: null };
+    }
+
+    const { acquired, lock } = await runLockService.acquire(reportType, { trigger: 'api' });
+    if (acquired) {
+      return { lock };
+    }
+
+    logger.warn(`Skipping ${reportType} report: already ${lock?.status || 'taken'} for ${lock?.runDate} (${lock?.holder || 'unknown holder'})`);
+    monitoring.recordReportRunSkipped(reportType, 'api');
+    res.json({
+      success: true,
+      skipped: true,
+      message: `${reportType} report already ${lock?.status || 'taken'} for ${lock?.runDate}; pass force=true to send it again.`,
+      lock
+    });
+    return null;
   };
-  
-  /**
-   * Helper function to format user data for API responses
-   */
-  const formatUserData = (user) => ({
-    name: user.name,
-    user_id: user.user_id,
-    email: user.email,
-    agentCategory: user.agentCategory || 'other',
-    totalCalls: user.totalCalls,
-    answeredCalls: user.answeredCalls,
-    missedCalls: user.missedCalls,
-    totalDurationMinutes: user.totalDurationMinutes,
-    outboundCalls: user.outboundCalls,
-    answeredOutboundCalls: user.answeredOutboundCalls,
-    inboundCalls: user.inboundCalls,
-    answeredInboundCalls: user.answeredInboundCalls,
-    inboundDurationMinutes: user.inboundDurationMinutes,
-    outboundDurationMinutes: user.outboundDurationMinutes,
-    callCount: user.calls ? user.calls.length : 0,
-    availability: user.availability,
-    error: user.error
-  });
 
+  const releaseRunLock = async (lock, status) => {
+    if (lock) await runLockService.release(lock, status);
+  };
+  
   /**
    * @swagger
    * /report/afternoon:
    *   post:
    *     summary: Generate and send afternoon report
-   *     description: Triggers the generation and sending of an afternoon activity report to Slack
+   *     description: Triggers the generation and sending of an afternoon activity report to Slack. Runs at most once per day; repeat calls are skipped unless force=true.
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *       - in: query
+   *         name: force
+   *         schema:
+   *           type: boolean
+   *         description: Send even if today's run lock for this report is taken
    *     responses:
    *       200:
-   *         description: Report sent successfully
+   *         description: Report sent successfully, or skipped (skipped true) because it already ran today
    *         content:
    *           application/json:
    *             schema:
@@ -78,8 +78,13 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
    *               $ref: '#/components/schemas/Error'
    */
   router.post('/report/afternoon', async (req, res) => {
+    let lock = null;
     try {
       logger.info('Afternoon report triggered via API');
+      const claim = await acquireRunLock('afternoon', req, res);
+      if (!claim) return;
+      ({ lock } = claim);
+
       const data = await generateReport('afternoon');
       
       // Debug: Log the data structure organized by category
@@ -108,16 +113,23 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
         }))
       });
       
-      const sent = await slackService.sendActivityReport(data);
+      const sent = await slackService.sendActivityReport(data, 'afternoon');
       if (sent && sent.ok) {
         logger.info('Afternoon report sent to Slack successfully');
-        res.json({ success: true, message: 'Afternoon report sent to Slack successfully' });
+        await releaseRunLock(lock, 'completed');
+        res.json({
+          success: true,
+          message: 'Afternoon report sent to Slack successfully',
+          ...(sent.partial && { error: sent.error })
+        });
       } else {
         const errMsg = sent && sent.error ? sent.error : 'Failed to send afternoon report to Slack';
         logger.error('Failed to send afternoon report to Slack:', errMsg);
+        await releaseRunLock(lock, 'failed');
         res.status(500).json({ success: false, error: errMsg });
       }
     } catch (error) {
+      await releaseRunLock(lock, 'failed');
       const sanitized = sanitizeError(error, logger);
       res.status(500).json(sanitized);
     }
@@ -128,11 +140,20 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
    * /report/night:
    *   post:
    *     summary: Generate and send night report
-   *     description: Starts night report generation (Aircall fetch + Slack send). Returns 202 immediately; report runs in background to avoid Heroku 30s timeout.
+   *     description: Starts night report generation (Aircall fetch + Slack send). Returns 202 immediately with a job id; poll GET /jobs/{id} for the outcome. Runs at most once per day; repeat calls are skipped unless force=true.
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *       - in: query
+   *         name: force
+   *         schema:
+   *           type: boolean
+   *         description: Send even if today's run lock for this report is taken
    *     responses:
+   *       200:
+   *         description: Skipped; the night report already ran (or is running) today
    *       202:
    *         description: Report started; running in background
    *         content:
@@ -155,87 +176,22 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
   router.post('/report/night', async (req, res) => {
     try {
       logger.info('Night report triggered via API');
-      // Return 202 immediately to avoid Heroku H12 timeout (30s). Report runs in background.
+      const claim = await acquireRunLock('night', req, res);
+      if (!claim) return;
+
+      // Return 202 immediately to avoid Heroku H12 timeout (30s). Report runs as a background job.
+      const run = ctx => reportRunner.runNight(ctx);
+      const job = jobManager.start(
+        'report-night',
+        { trigger: 'api', runDate: claim.lock?.runDate || null },
+        claim.lock ? runLockService.guard(claim.lock, run) : run
+      );
       res.status(202).json({
         success: true,
-        message: 'Night report started; will complete in background (Aircall fetch + Slack send may take 30+ seconds).'
+        message: 'Night report started; will complete in background (Aircall fetch + Slack send may take 30+ seconds).',
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
       });
-
-      // Run report in background (do not await)
-      (async () => {
-        try {
-          const data = await generateReport('night');
-          const organized = organizeUsersByCategory(data.users || []);
-          logger.info('Night report data ready', {
-            period: data.period,
-            totalUsers: organized.totalUsers,
-            dispoCount: organized.dispoCount,
-            acquisitionCount: organized.acquisitionCount
-          });
-
-          // Slack should not block Supabase sync; if Slack send throws, we log and continue.
-          try {
-            const sent = await slackService.sendActivityReport(data);
-            if (sent && sent.ok) {
-              logger.info('Night report sent to Slack successfully');
-            } else {
-              const errMsg = sent && sent.error ? sent.error : 'Failed to send night report to Slack';
-              logger.error('Failed to send night report to Slack:', errMsg);
-            }
-          } catch (slackErr) {
-            logger.error('Night report Slack send error:', {
-              message: slackErr.message,
-              stack: slackErr.stack
-            });
-          }
-
-          // Supabase sync (server-side only). Failures should not affect Slack reporting.
-          if (supabaseSyncService?.isConfigured?.()) {
-            const entryDateYMD = supabaseSyncService.getDefaultEntryDateYMD();
-            try {
-              const { startISO, endISO } = supabaseSyncService.getNightWindowISOForEntryDate(entryDateYMD);
-
-              // If the Slack night fetch already matches the desired entry date, reuse it.
-              const slackEntryDateYMD = supabaseSyncService.getEntryDateFromActivityData(data);
-              const activityDataForSync =
-                slackEntryDateYMD === entryDateYMD ? data : await generateReport('night', startISO, endISO);
-
-              const syncResult = await supabaseSyncService.syncDailyPhoneKpisFromActivity({
-                entryDateYMD,
-                activityData: activityDataForSync
-              });
-
-              if (syncResult?.success) {
-                logger.info('✅ Supabase nightly KPI sync complete (from /report/night)', {
-                  entryDateYMD: syncResult.entryDateYMD,
-                  rowsProcessed: syncResult.usersProcessed,
-                  rowsPrepared: syncResult.rowsPrepared,
-                  rowsInsertedOrUpdated: syncResult.rowsInsertedOrUpdated,
-                  insertedCount: syncResult.insertedCount,
-                  updatedCount: syncResult.updatedCount,
-                  unresolvedCount: syncResult.unresolvedCount
-                });
-              } else {
-                logger.warn('⚠️ Supabase nightly KPI sync not successful (from /report/night)', {
-                  entryDateYMD: syncResult?.entryDateYMD || entryDateYMD,
-                  rowsProcessed: syncResult?.usersProcessed,
-                  reason: syncResult?.reason || 'unknown'
-                });
-              }
-            } catch (syncErr) {
-              logger.error('❌ Supabase nightly KPI sync failed (from /report/night):', {
-                entryDateYMD,
-                message: syncErr.message,
-                stack: syncErr.stack
-              });
-            }
-          } else {
-            logger.info('Skipping Supabase nightly KPI sync (not configured)');
-          }
-        } catch (err) {
-          logger.error('Night report background error:', err.message, err.stack);
-        }
-      })();
     } catch (error) {
       const sanitized = sanitizeError(error, logger);
       res.status(500).json(sanitized);
@@ -251,6 +207,8 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
    *     requestBody:
    *       required: true
    *       content:
@@ -298,6 +256,7 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
       body('endTime').exists().withMessage('endTime is required').isISO8601().withMessage('endTime must be ISO8601'),
       body('returnRaw').optional().isBoolean().withMessage('returnRaw must be boolean'),
       body('reportName').optional().isString().trim().escape(),
+      body('applyShifts').optional().isBoolean().withMessage('applyShifts must be boolean'),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -307,11 +266,13 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
       try {
         const { startTime, endTime, reportName, returnRaw } = req.body;
         const name = reportName || 'Custom';
+        // Custom ranges count every call unless shift hours are asked for
+        const applyShifts = req.body.applyShifts === true || req.body.applyShifts === 'true';
 
         // If returnRaw is true, synchronously return data and do not send to Slack
         if (returnRaw === true || returnRaw === 'true') {
           logger.info(`Custom raw report requested: ${name} from ${startTime} to ${endTime}`);
-          const data = await generateReport(name, startTime, endTime);
+          const data = await generateReport(name, startTime, endTime, { applyShifts });
           const organized = organizeUsersByCategory(data.users || []);
           
           return res.json({
@@ -320,6 +281,7 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
               period: data.period,
               startTime: data.startTime,
               endTime: data.endTime,
+              timezone: data.timezone,
               summary: {
                 totalUsers: organized.totalUsers,
                 dispoCount: organized.dispoCount,
@@ -335,59 +297,16 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
           });
         }
 
-        // Default behavior: fire-and-forget, send to Slack, and respond immediately
-        res.json({ success: true, message: 'Custom report generation started. Check Slack for results.' });
-        logger.info(`Custom report triggered: ${name} from ${startTime} to ${endTime}`);
-
-        // Process asynchronously to avoid timeout
-        setImmediate(async () => {
-          try {
-            logger.info(`Starting custom report generation: ${name} from ${startTime} to ${endTime}`);
-            const data = await generateReport(name, startTime, endTime);
-            
-            // Debug: Log the data structure organized by category
-            const organized = organizeUsersByCategory(data.users || []);
-            logger.info('DEBUG: Custom report data structure:', {
-              period: data.period,
-              startTime: data.startTime,
-              endTime: data.endTime,
-              summary: {
-                totalUsers: organized.totalUsers,
-                dispoCount: organized.dispoCount,
-                acquisitionCount: organized.acquisitionCount,
-                otherCount: organized.otherCount
-              },
-              dispoAgents: organized.dispoAgents.map(u => ({
-                name: u.name,
-                user_id: u.user_id,
-                totalCalls: u.totalCalls,
-                answeredCalls: u.answeredCalls,
-                totalDurationMinutes: u.totalDurationMinutes,
-                outboundCalls: u.outboundCalls,
-                inboundCalls: u.inboundCalls
-              })),
-              acquisitionAgents: organized.acquisitionAgents.map(u => ({
-                name: u.name,
-                user_id: u.user_id,
-                totalCalls: u.totalCalls,
-                answeredCalls: u.answeredCalls,
-                totalDurationMinutes: u.totalDurationMinutes,
-                outboundCalls: u.outboundCalls,
-                inboundCalls: u.inboundCalls
-              }))
-            });
-            
-            const sent = await slackService.sendActivityReport(data);
-            if (sent && sent.ok) {
-              logger.info('Custom report sent to Slack successfully');
-            } else {
-              const errMsg = sent && sent.error ? sent.error : 'Failed to send custom report to Slack';
-              logger.error('Failed to send custom report to Slack:', errMsg);
-            }
-          } catch (error) {
-            logger.error('Error running custom report:', error.message);
-            logger.error('Custom report error stack:', error.stack);
-          }
+        // Default behavior: run as a background job, send to Slack, and respond immediately
+        const job = jobManager.start('report-custom', { reportName: name, startTime, endTime, applyShifts }, ctx =>
+          reportRunner.runCustom({ name, startTime, endTime, applyShifts }, ctx)
+        );
+        logger.info(`Custom report triggered: ${name} from ${startTime} to ${endTime}`, { jobId: job.id });
+        res.json({
+          success: true,
+          message: 'Custom report generation started. Check Slack for results.',
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
         });
       } catch (error) {
         logger.error('Error initiating custom report:', error.message);
@@ -431,7 +350,7 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
     try {
       logger.info("/report/today route called");
       const now = new Date();
-      const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const startOfDay = businessTimeToDate(toBusinessYMD(now), 0);
       logger.info(`Today's report triggered: from ${startOfDay.toISOString()} to ${now.toISOString()}`);
       // Get raw data from Aircall
       const data = await generateReport('Today', startOfDay.toISOString(), now.toISOString());
@@ -446,6 +365,7 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
           period: data.period,
           startTime: data.startTime,
           endTime: data.endTime,
+          timezone: data.timezone,
           summary: {
             totalUsers: organized.totalUsers,
             dispoCount: organized.dispoCount,
@@ -469,53 +389,37 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
 
   // Removed GET /report/custom/raw in favor of returnRaw flag on POST /report/custom
 
-  /**
-   * Helper function to get current week range (Monday to Friday)
-   */
-  const getCurrentWeekRange = () => {
-    const now = new Date();
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    
-    // Calculate days to subtract to get to Monday
-    // If today is Sunday (0), go back 6 days to get last Monday
-    // If today is Monday (1), go back 0 days
-    // If today is Tuesday (2), go back 1 day, etc.
-    const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    
-    // Get Monday of current week
-    const monday = new Date(now);
-    monday.setDate(now.getDate() - daysToMonday);
-    monday.setHours(0, 0, 0, 0);
-    
-    // Get Friday of current week
-    const friday = new Date(monday);
-    friday.setDate(monday.getDate() + 4); // Monday + 4 days = Friday
-    friday.setHours(23, 59, 59, 999);
-    
-    return {
-      startTime: monday,
-      endTime: friday,
-      startTimeISO: monday.toISOString(),
-      endTimeISO: friday.toISOString()
-    };
-  };
-
   /**
    * @swagger
    * /report/weekly-avg:
    *   post:
    *     summary: Generate and send weekly average report
-   *     description: Generates a weekly average report for the current week (Monday-Friday) and sends it to Slack. Calculates daily averages and checks Dispo agent KPIs.
+   *     description: Generates a weekly average report (Monday-Friday) and sends it to Slack. Defaults to the current week, which is averaged over its elapsed working days; weekOf or weeksAgo select a past week. Calculates daily averages and checks Dispo and Acquisition agent KPIs. The current week's report runs at most once per day; repeat calls are skipped unless force=true.
    *     tags: [Reports]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *       - in: query
+   *         name: force
+   *         schema:
+   *           type: boolean
+   *         description: Send even if today's run lock for this report is taken
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/WeeklyReportRequest'
    *     responses:
    *       200:
-   *         description: Report sent successfully
+   *         description: Report sent successfully (or returned, with returnRaw), or skipped (skipped true) because it already ran today
    *         content:
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Success'
+   *       400:
+   *         description: Bad request - invalid weekOf / weeksAgo
    *       401:
    *         description: Unauthorized
    *         content:
@@ -529,103 +433,288 @@ module.exports = (logger, generateReport, slackService, supabaseSyncService) =>
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.post('/report/weekly-avg', async (req, res) => {
-    try {
-      logger.info('Weekly average report triggered via API');
-      
-      // Get current week range (Monday to Friday)
-      const weekRange = getCurrentWeekRange();
-      logger.info(`Weekly report: ${weekRange.startTimeISO} to ${weekRange.endTimeISO}`);
-      
-      // Get data for the week
-      const data = await generateReport('Weekly Average', weekRange.startTimeISO, weekRange.endTimeISO);
-      
-      // Calculate daily averages (5 working days: Monday-Friday)
-      const workingDays = 5;
-      const organized = organizeUsersByCategory(data.users || []);
-      
-      // Process each category and calculate averages
-      const processWeeklyData = (users) => {
-        return users.map(user => {
-          const avgDialsPerDay = workingDays > 0 ? (user.totalCalls / workingDays) : 0;
-          const avgTalkTimePerDay = workingDays > 0 ? (user.totalDurationMinutes / workingDays) : 0;
-          
-          return {
-            ...formatUserData(user),
-            weeklyTotal: {
-              totalCalls: user.totalCalls,
-              totalDurationMinutes: user.totalDurationMinutes,
-              answeredCalls: user.answeredCalls,
-              inboundCalls: user.inboundCalls || 0,
-              outboundCalls: user.outboundCalls || 0
-            },
-            dailyAverage: {
-              dialsPerDay: Math.round(avgDialsPerDay * 100) / 100,
-              talkTimePerDay: Math.round(avgTalkTimePerDay * 100) / 100
-            },
-            workingDays: workingDays
-          };
-        });
-      };
-      
-      const processedDispo = processWeeklyData(organized.dispoAgents);
-      const processedAcquisition = processWeeklyData(organized.acquisitionAgents);
-      const processedOther = processWeeklyData(organized.otherUsers);
-      
-      // Check Dispo agent KPIs (avg 60+ min talk time/day AND avg 60+ dials/day)
-      const dispoKpiTalkTime = 60; // minutes per day
-      const dispoKpiDials = 60; // dials per day
-      
-      const dispoNotMeetingKPIs = processedDispo.filter(agent => {
-        return agent.dailyAverage.talkTimePerDay < dispoKpiTalkTime || 
-               agent.dailyAverage.dialsPerDay < dispoKpiDials;
-      });
-      
-      // Prepare data for Slack
-      const weeklyData = {
-        period: 'Weekly Average',
-        startTime: weekRange.startTimeISO,
-        endTime: weekRange.endTimeISO,
-        workingDays: workingDays,
-        summary: {
-          totalUsers: organized.totalUsers,
-          dispoCount: organized.dispoCount,
-          acquisitionCount: organized.acquisitionCount,
-          otherCount: organized.otherCount,
-          dispoNotMeetingKPIs: dispoNotMeetingKPIs.length
-        },
-        dispoAgents: processedDispo,
-        acquisitionAgents: processedAcquisition,
-        otherUsers: processedOther,
-        kpiThresholds: {
-          dispo: {
-            dialsPerDay: dispoKpiDials,
-            talkTimePerDay: dispoKpiTalkTime
-          }
+  router.post(
+    '/report/weekly-avg',
+    [
+      body('returnRaw').optional().isBoolean().withMessage('returnRaw must be boolean'),
+      // Validates weekOf / weeksAgo and rejects weeks that haven't started
+      body().custom(({ weekOf, weeksAgo } = {}) => {
+        weeklyReportService.resolveWeek({ weekOf, weeksAgo });
+        return true;
+      }),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      let lock = null;
+      try {
+        const { weekOf, weeksAgo, returnRaw } = req.body || {};
+        const weekRange = weeklyReportService.resolveWeek({ weekOf, weeksAgo });
+
+        if (returnRaw === true || returnRaw === 'true') {
+          logger.info(`Weekly average raw report requested: week of ${weekRange.startDate}`);
+          const data = await weeklyReportService.build(weekRange);
+          return res.json({ success: true, data });
         }
-      };
-      
-      // Send to Slack
-      const sent = await slackService.sendWeeklyAverageReport(weeklyData);
-      
-      if (sent && sent.ok) {
-        logger.info('Weekly average report sent to Slack successfully');
+
+        logger.info(`Weekly average report triggered via API: week of ${weekRange.startDate}`);
+        // The run lock guards the current week's daily post; past weeks are re-sent on request
+        if (weekRange.weekToDate) {
+          const claim = await acquireRunLock('weekly-avg', req, res);
+          if (!claim) return;
+          ({ lock } = claim);
+        }
+
+        const result = await reportRunner.runWeeklyAverage(undefined, weekRange);
+        await releaseRunLock(lock, 'completed');
+        
         res.json({ 
           success: true, 
           message: 'Weekly average report sent to Slack successfully',
-          data: {
-            period: weeklyData.period,
-            startTime: weeklyData.startTime,
-            endTime: weeklyData.endTime,
-            workingDays: weeklyData.workingDays,
-            summary: weeklyData.summary
-          }
+          data: result
         });
-      } else {
-        const errMsg = sent && sent.error ? sent.error : 'Failed to send weekly average report to Slack';
-        logger.error('Failed to send weekly average report to Slack:', errMsg);
-        res.status(500).json({ success: false, error: errMsg });
+      } catch (error) {
+        await releaseRunLock(lock, 'failed');
+        if (error.result) {
+          // Report was built but Slack rejected it
+          return res.status(500).json({ success: false, error: error.result.slack?.error || error.message });
+        }
+        const sanitized = sanitizeError(error, logger);
+        res.status(500).json(sanitized);
       }
+    }
+  );
+
+  /**
+   * @swagger
+   * /report/monthly:
+   *   post:
+   *     summary: Generate monthly KPI report
+   *     description: Builds per-agent totals, daily averages over the month's working days, the number of days each KPI was hit, and a ranking within each agent category. The current month is reported month to date. Sent to Slack in the background unless returnRaw is true.
+   *     tags: [Reports]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/MonthlyReportRequest'
+   *     responses:
+   *       200:
+   *         description: Report data (returnRaw true)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       202:
+   *         description: Report started as a background job; poll statusUrl for the result
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       400:
+   *         description: Bad request - invalid month
+   *       401:
+   *         description: Unauthorized
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   *       500:
+   *         description: Internal server error
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   */
+  router.post(
+    '/report/monthly',
+    [
+      body('month').optional().isString().custom(month => {
+        monthlyReportService.resolveMonth(month);
+        return true;
+      }),
+      body('returnRaw').optional().isBoolean().withMessage('returnRaw must be boolean'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      try {
+        const month = req.body.month || 'current';
+        const { returnRaw } = req.body;
+
+        if (returnRaw === true || returnRaw === 'true') {
+          logger.info(`Monthly raw report requested: ${month}`);
+          const data = await monthlyReportService.build(monthlyReportService.resolveMonth(month));
+          return res.json({ success: true, data });
+        }
+
+        const job = jobManager.start('report-monthly', { month }, ctx => reportRunner.runMonthly(month, ctx));
+        logger.info(`Monthly report triggered: ${month}`, { jobId: job.id });
+        res.status(202).json({
+          success: true,
+          message: 'Monthly report started; will complete in background (a month of Aircall calls may take a few minutes).',
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+      } catch (error) {
+        const sanitized = sanitizeError(error, logger);
+        res.status(500).json(sanitized);
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /report/leaderboard:
+   *   post:
+   *     summary: Generate leaderboard
+   *     description: Ranks agents within each category by the chosen metrics (in order) over today, this week or this month, with KPI streaks (consecutive working days meeting KPIs) and personal bests over the last 30 working days. Posted to Slack with medals for the top three in the background unless returnRaw is true.
+   *     tags: [Reports]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *     requestBody:
+   *       required: false
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/LeaderboardRequest'
+   *     responses:
+   *       200:
+   *         description: Leaderboard data (returnRaw true)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       202:
+   *         description: Leaderboard started as a background job; poll statusUrl for the result
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       400:
+   *         description: Bad request - invalid period or metrics
+   *       401:
+   *         description: Unauthorized
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   *       500:
+   *         description: Internal server error
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   */
+  router.post(
+    '/report/leaderboard',
+    [
+      body().custom(({ period, metrics } = {}) => {
+        leaderboardService.resolve({ period, metrics });
+        return true;
+      }),
+      body('returnRaw').optional().isBoolean().withMessage('returnRaw must be boolean'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      try {
+        const { period, metrics, returnRaw } = req.body;
+        const range = leaderboardService.resolve({ period, metrics });
+
+        if (returnRaw === true || returnRaw === 'true') {
+          logger.info(`Leaderboard raw data requested: ${range.period}`);
+          const data = await leaderboardService.build(range);
+          return res.json({ success: true, data });
+        }
+
+        const job = jobManager.start(
+          'report-leaderboard',
+          { period: range.period, metrics: range.metrics },
+          ctx => reportRunner.runLeaderboard(range, ctx)
+        );
+        logger.info(`Leaderboard triggered: ${range.period}`, { jobId: job.id });
+        res.status(202).json({
+          success: true,
+          message: 'Leaderboard started; will complete in background.',
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+      } catch (error) {
+        const sanitized = sanitizeError(error, logger);
+        res.status(500).json(sanitized);
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /report/dm:
+   *   post:
+   *     summary: Send KPI status DMs
+   *     description: DMs each opted-in agent their numbers for today so far, KPI gaps and trend vs previous working days, and each roster manager (when the manager field is an email) a digest of their team. Slack users are found by email. Runs in the background; the job result counts DMs sent, skipped and failed. Runs at most once per day; repeat calls are skipped unless force=true.
+   *     tags: [Reports]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/IdempotencyKey'
+   *       - in: query
+   *         name: force
+   *         schema:
+   *           type: boolean
+   *         description: Send even if today's run lock for the DMs is taken
+   *     responses:
+   *       200:
+   *         description: Skipped; the DMs already went out (or are going out) today
+   *       202:
+   *         description: DMs started as a background job; poll statusUrl for the result
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       401:
+   *         description: Unauthorized
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   *       500:
+   *         description: Internal server error
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Error'
+   */
+  router.post('/report/dm', async (req, res) => {
+    try {
+      const claim = await acquireRunLock('dm', req, res);
+      if (!claim) return;
+
+      const run = ctx => reportRunner.runDirectMessages(ctx);
+      const job = jobManager.start(
+        'report-dm',
+        { trigger: 'api', runDate: claim.lock?.runDate || null },
+        claim.lock ? runLockService.guard(claim.lock, run) : run
+      );
+      logger.info('KPI DMs triggered', { jobId: job.id });
+      res.status(202).json({
+        success: true,
+        message: 'KPI DMs started; will complete in background.',
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
+      });
     } catch (error) {
       const sanitized = sanitizeError(error, logger);
       res.status(500).json(sanitized);
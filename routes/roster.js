@@ -0,0 +1,215 @@
+const express = require('express');
+const { param, query, body, validationResult } = require('express-validator');
+const { sanitizeError } = require('../utils/errorHandler');
+
+module.exports = (logger, rosterService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /roster/agents:
+   *   get:
+   *     summary: List roster agents
+   *     description: Agents keyed by Aircall user id. Agents not on the roster fall back to the DISPO_AGENTS / ACQUISITION_AGENTS / EXCLUDED_USERS env vars.
+   *     tags: [Roster]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: active
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *           enum: [dispo, acquisition, other]
+   *       - in: query
+   *         name: team
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Roster agents
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get(
+    '/roster/agents',
+    [
+      query('active').optional().isBoolean().toBoolean(),
+      query('category').optional().isIn(['dispo', 'acquisition', 'other']),
+      query('team').optional().isString()
+    ],
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { active, category, team } = req.query;
+      res.json({
+        success: true,
+        persistent: rosterService.isPersistent(),
+        data: rosterService.list({ active, category, team })
+      });
+    }
+  );
+
+  /**
+   * @swagger
+   * /roster/agents/{agentId}:
+   *   get:
+   *     summary: Get a roster agent
+   *     tags: [Roster]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Aircall user id
+   *     responses:
+   *       200:
+   *         description: Agent found
+   *       404:
+   *         description: Agent is not on the roster
+   */
+  router.get('/roster/agents/:agentId', [param('agentId').trim().notEmpty()], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const agent = rosterService.get(req.params.agentId);
+    if (!agent) {
+      return res.status(404).json({ success: false, error: 'Agent is not on the roster' });
+    }
+    res.json({ success: true, data: agent });
+  });
+
+  /**
+   * @swagger
+   * /roster/agents/{agentId}:
+   *   put:
+   *     summary: Add or replace a roster agent
+   *     description: Takes effect on the next report without a restart.
+   *     tags: [Roster]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Aircall user id
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               email:
+   *                 type: string
+   *               category:
+   *                 type: string
+   *                 enum: [dispo, acquisition, other]
+   *               team:
+   *                 type: string
+   *               manager:
+   *                 type: string
+   *               startDate:
+   *                 type: string
+   *                 format: date
+   *               active:
+   *                 type: boolean
+   *                 description: Inactive agents are left out of reports
+   *     responses:
+   *       200:
+   *         description: Agent saved
+   *       400:
+   *         description: Invalid agent
+   */
+  router.put(
+    '/roster/agents/:agentId',
+    [
+      param('agentId').trim().notEmpty(),
+      body('name').optional({ nullable: true }).isString(),
+      body('email').optional({ nullable: true }).isEmail(),
+      body('category').optional().isIn(['dispo', 'acquisition', 'other']),
+      body('team').optional({ nullable: true }).isString(),
+      body('manager').optional({ nullable: true }).isString(),
+      body('startDate').optional({ nullable: true }).isISO8601(),
+      body('active').optional().isBoolean()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      let agent;
+      try {
+        agent = await rosterService.upsert(req.params.agentId, req.body || {});
+      } catch (error) {
+        if (!error.code) {
+          // Validation failures from the service have no driver error code
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        const sanitized = sanitizeError(error, logger);
+        return res.status(500).json(sanitized);
+      }
+
+      logger.info('Roster agent saved', { agentId: agent.agentId, category: agent.category, active: agent.active });
+      res.json({ success: true, data: agent });
+    }
+  );
+
+  /**
+   * @swagger
+   * /roster/agents/{agentId}:
+   *   delete:
+   *     summary: Remove an agent from the roster
+   *     description: The agent falls back to the env var lists afterwards.
+   *     tags: [Roster]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: agentId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Agent removed
+   *       404:
+   *         description: Agent is not on the roster
+   */
+  router.delete('/roster/agents/:agentId', [param('agentId').trim().notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const removed = await rosterService.remove(req.params.agentId);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Agent is not on the roster' });
+      }
+      logger.info('Roster agent removed', { agentId: req.params.agentId });
+      res.json({ success: true });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  return router;
+};
@@ -1,7 +1,7 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { param, query, validationResult } = require('express-validator');
 
-module.exports = function(logger, reportScheduler, generateReport, slackService, supabaseSyncService) {
+module.exports = function(logger, reportScheduler) {
   const router = express.Router();
 
   /**
@@ -9,7 +9,7 @@ module.exports = function(logger, reportScheduler, generateReport, slackService,
    * /scheduler/status:
    *   get:
    *     summary: Get scheduler status
-   *     description: Returns the current status of the report scheduler
+   *     description: Returns whether the scheduler is running and, per report type, its cron expression, timezone, next run and last run
    *     tags: [Scheduler]
    *     security:
    *       - bearerAuth: []
@@ -138,177 +138,87 @@ module.exports = function(logger, reportScheduler, generateReport, slackService,
 
   /**
    * @swagger
-   * /scheduler/trigger/afternoon:
+   * /scheduler/trigger/{type}:
    *   post:
-   *     summary: Manually trigger afternoon report
-   *     description: Manually triggers the afternoon report generation and sending
+   *     summary: Manually trigger a scheduled report
+   *     description: Starts the report as a background job and returns 202 with the job id; poll GET /jobs/{id} for the outcome. If the report already ran (or is running) today, or for pacing at this checkpoint time, nothing is started and the existing run lock is returned.
    *     tags: [Scheduler]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: type
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [afternoon, night, weekly-avg, pacing, nightly-sync]
+   *       - in: query
+   *         name: force
+   *         schema:
+   *           type: boolean
+   *         description: Run even if today's run lock is taken
    *     responses:
    *       200:
-   *         description: Afternoon report triggered successfully
-   *         content:
-   *           application/json:
-   *             schema:
-   *               $ref: '#/components/schemas/Success'
-   *       401:
-   *         description: Unauthorized
-   *         content:
-   *           application/json:
-   *             schema:
-   *               $ref: '#/components/schemas/Error'
-   *       500:
-   *         description: Internal server error
-   *         content:
-   *           application/json:
-   *             schema:
-   *               $ref: '#/components/schemas/Error'
-   */
-  router.post('/scheduler/trigger/afternoon', async (req, res) => {
-    try {
-      logger.info('Manual afternoon report trigger requested');
-      
-      // Generate report data
-      const data = await generateReport('afternoon');
-      
-      // Send to Slack
-      const sent = await slackService.sendActivityReport(data);
-      if (sent && sent.ok) {
-        logger.info('Afternoon report sent to Slack successfully');
-        res.json({
-          success: true,
-          message: 'Afternoon report sent to Slack successfully'
-        });
-      } else {
-        const errMsg = sent && sent.error ? sent.error : 'Failed to send afternoon report to Slack';
-        logger.error('Failed to send afternoon report to Slack:', errMsg);
-        res.status(500).json({ success: false, error: errMsg });
-      }
-    } catch (error) {
-      logger.error('Error triggering afternoon report:', error.message);
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
-
-  /**
-   * @swagger
-   * /scheduler/trigger/night:
-   *   post:
-   *     summary: Manually trigger night report
-   *     description: Starts night report in background; returns 202 immediately to avoid Heroku 30s timeout.
-   *     tags: [Scheduler]
-   *     security:
-   *       - bearerAuth: []
-   *     responses:
+   *         description: Skipped; the report already ran or is running today
    *       202:
-   *         description: Night report started; running in background
-   *         content:
-   *           application/json:
-   *             schema:
-   *               $ref: '#/components/schemas/Success'
+   *         description: Report started; running in background
+   *       400:
+   *         description: Unknown report type
    *       401:
    *         description: Unauthorized
    *         content:
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
-   *       500:
-   *         description: Internal server error
-   *         content:
-   *           application/json:
-   *             schema:
-   *               $ref: '#/components/schemas/Error'
    */
-  router.post('/scheduler/trigger/night', async (req, res) => {
-    try {
-      logger.info('Manual night report trigger requested');
-      // Return 202 immediately to avoid Heroku H12 timeout (30s). Report runs in background.
-      res.status(202).json({
-        success: true,
-        message: 'Night report started; will complete in background.'
-      });
-
-      // Run report in background
-      (async () => {
-        try {
-          const data = await generateReport('night');
-          // Slack should not block Supabase sync; if Slack send throws, we log and continue.
-          try {
-            const sent = await slackService.sendActivityReport(data);
-            if (sent && sent.ok) {
-              logger.info('Night report sent to Slack successfully');
-            } else {
-              const errMsg = sent && sent.error ? sent.error : 'Failed to send night report to Slack';
-              logger.error('Failed to send night report to Slack:', errMsg);
-            }
-          } catch (slackErr) {
-            logger.error('Night report Slack send error:', {
-              message: slackErr.message,
-              stack: slackErr.stack
-            });
-          }
-
-          // Supabase sync (server-side only). Failures should not affect Slack reporting.
-          if (supabaseSyncService?.isConfigured?.()) {
-            try {
-              const entryDateYMD = supabaseSyncService.getDefaultEntryDateYMD();
-              const { startISO, endISO } = supabaseSyncService.getNightWindowISOForEntryDate(entryDateYMD);
-
-              // If the Slack night fetch already matches the desired entry date, reuse it.
-              const slackEntryDateYMD = supabaseSyncService.getEntryDateFromActivityData(data);
-              const activityDataForSync =
-                slackEntryDateYMD === entryDateYMD ? data : await generateReport('night', startISO, endISO);
-
-              const syncResult = await supabaseSyncService.syncDailyPhoneKpisFromActivity({
-                entryDateYMD,
-                activityData: activityDataForSync
-              });
+  router.post(
+    '/scheduler/trigger/:type',
+    [
+      param('type').custom(value => {
+        if (!Object.keys(reportScheduler.getStatus().schedules).includes(value)) {
+          throw new Error('Unknown report type');
+        }
+        return true;
+      }),
+      query('force').optional().isBoolean().withMessage('force must be true or false')
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
 
-              if (syncResult?.success) {
-                logger.info('✅ Supabase nightly KPI sync complete (from /scheduler/trigger/night)', {
-                  entryDateYMD: syncResult.entryDateYMD,
-                  rowsProcessed: syncResult.usersProcessed,
-                  rowsPrepared: syncResult.rowsPrepared,
-                  rowsInsertedOrUpdated: syncResult.rowsInsertedOrUpdated,
-                  insertedCount: syncResult.insertedCount,
-                  updatedCount: syncResult.updatedCount,
-                  unresolvedCount: syncResult.unresolvedCount
-                });
-              } else {
-                logger.warn('⚠️ Supabase nightly KPI sync not successful (from /scheduler/trigger/night)', {
-                  entryDateYMD: syncResult?.entryDateYMD || entryDateYMD,
-                  rowsProcessed: syncResult?.usersProcessed,
-                  reason: syncResult?.reason || 'unknown'
-                });
-              }
-            } catch (syncErr) {
-              const entryDateYMD = supabaseSyncService.getDefaultEntryDateYMD();
-              logger.error('❌ Supabase nightly KPI sync failed (from /scheduler/trigger/night):', {
-                entryDateYMD,
-                message: syncErr.message,
-                stack: syncErr.stack
-              });
-            }
-          } else {
-            logger.info('Skipping Supabase nightly KPI sync (not configured)');
-          }
-        } catch (err) {
-          logger.error('Error running night report:', err.message, err.stack);
+      try {
+        const { skipped, job, lock } = await reportScheduler.run(req.params.type, 'manual', {
+          force: req.query.force === 'true'
+        });
+        if (skipped) {
+          return res.json({
+            success: true,
+            skipped: true,
+            message: `${req.params.type} report already ${lock?.status || 'taken'} for ${lock?.runDate}; pass force=true to send it again.`,
+            lock
+          });
         }
-      })();
-    } catch (error) {
-      logger.error('Error triggering night report:', error.message);
-      res.status(500).json({ success: false, error: error.message });
+        res.status(202).json({
+          success: true,
+          message: `${req.params.type} report started; will complete in background.`,
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+      } catch (error) {
+        logger.error(`Error triggering ${req.params.type} report:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+      }
     }
-  });
+  );
 
   /**
    * @swagger
    * /scheduler/next-runs:
    *   get:
    *     summary: Get next scheduled run times
-   *     description: Returns the next scheduled run times for afternoon and night reports
+   *     description: Returns the next run time of every enabled report type, computed from its cron expression and timezone
    *     tags: [Scheduler]
    *     security:
    *       - bearerAuth: []
@@ -330,26 +240,19 @@ module.exports = function(logger, reportScheduler, generateReport, slackService,
    *                       type: string
    *                       format: date-time
    *                       example: '2024-01-01T12:00:00.000Z'
-   *                     afternoon:
-   *                       type: object
-   *                       properties:
-   *                         nextRun:
-   *                           type: string
-   *                           format: date-time
-   *                           example: '2024-01-01T14:00:00.000Z'
-   *                         timeUntilNext:
-   *                           type: number
-   *                           example: 7200000
    *                     night:
    *                       type: object
    *                       properties:
    *                         nextRun:
    *                           type: string
    *                           format: date-time
-   *                           example: '2024-01-01T22:00:00.000Z'
+   *                           example: '2024-01-02T00:30:00.000Z'
    *                         timeUntilNext:
    *                           type: number
-   *                           example: 36000000
+   *                           example: 45000000
+   *                         timezone:
+   *                           type: string
+   *                           example: America/Chicago
    *       401:
    *         description: Unauthorized
    *         content:
@@ -367,21 +270,18 @@ module.exports = function(logger, reportScheduler, generateReport, slackService,
     try {
       const status = reportScheduler.getStatus();
       const now = new Date();
-      
-      const nextRuns = {
-        currentTime: now.toISOString(),
-        afternoon: {
-          nextRun: status.afternoonJob.nextRun,
-          timeUntilNext: status.afternoonJob.nextRun ? 
-            new Date(status.afternoonJob.nextRun) - now : null
-        },
-        night: {
-          nextRun: status.nightJob.nextRun,
-          timeUntilNext: status.nightJob.nextRun ? 
-            new Date(status.nightJob.nextRun) - now : null
-        }
-      };
-      
+
+      const nextRuns = { currentTime: now.toISOString() };
+      for (const [type, schedule] of Object.entries(status.schedules)) {
+        // Computed even while stopped so schedules can be checked before enabling them
+        const nextRun = schedule.enabled ? reportScheduler.getNextRunTime(schedule.cron, schedule.timezone, now) : null;
+        nextRuns[type] = {
+          nextRun,
+          timeUntilNext: nextRun ? new Date(nextRun) - now : null,
+          timezone: schedule.timezone
+        };
+      }
+
       res.json({
         success: true,
         data: nextRuns
@@ -393,4 +293,4 @@ module.exports = function(logger, reportScheduler, generateReport, slackService,
   });
 
   return router;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { isValidSlackSignature } = require('../utils/slackSignature');
+
+module.exports = (logger, slackCommandService, jobManager) => {
+  const router = express.Router();
+
+  // Slash commands are form-encoded; the raw body is kept for the signature check
+  const parseCommand = express.urlencoded({
+    extended: false,
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  });
+
+  const verifySignature = (req, res, next) => {
+    const signingSecret = process.env.SLACK_SIGNING_SECRET;
+    if (!signingSecret) {
+      logger.warn('Slack command received but SLACK_SIGNING_SECRET is not configured');
+      return res.status(503).json({ success: false, error: 'Slash command not configured' });
+    }
+
+    if (!isValidSlackSignature(req.rawBody, req.get('x-slack-request-timestamp'), req.get('x-slack-signature'), signingSecret)) {
+      logger.warn('Rejected Slack command with invalid signature', { ip: req.ip });
+      return res.status(401).json({ success: false, error: 'Invalid Slack signature' });
+    }
+    next();
+  };
+
+  // Every command comes from Slack's IPs, so the per-IP limits don't tell users apart
+  const commandLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.SLACK_COMMAND_RATE_LIMIT_PER_MINUTE || '5', 10),
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: req => `${req.body.team_id || ''}:${req.body.user_id || ''}`,
+    // Slack shows anything but a 200 as a failed command
+    handler: (req, res) => {
+      logger.warn('Slack command rate limited', { teamId: req.body.team_id, userId: req.body.user_id });
+      res.json({ response_type: 'ephemeral', text: '⏳ Too many `/kpi` requests. Try again in a minute.' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /slack/kpi:
+   *   post:
+   *     summary: /kpi slash command
+   *     description: Request URL for the /kpi Slack slash command (me, @agent, today [category], week [category]). Authenticated by Slack's request signature (SLACK_SIGNING_SECRET), not a JWT. Acknowledges right away; the numbers follow through the command's response_url, visible only to the user who ran it. Each Slack user may run SLACK_COMMAND_RATE_LIMIT_PER_MINUTE commands a minute (default 5).
+   *     tags: [Slack]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/x-www-form-urlencoded:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               command:
+   *                 type: string
+   *                 example: /kpi
+   *               text:
+   *                 type: string
+   *                 example: today dispo
+   *               team_id:
+   *                 type: string
+   *               user_id:
+   *                 type: string
+   *               response_url:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Ephemeral acknowledgement, usage help for unknown text, or a note that the user's rate limit was reached
+   *       401:
+   *         description: Invalid or expired Slack signature
+   *       503:
+   *         description: Slash command not configured
+   */
+  router.post('/slack/kpi', parseCommand, verifySignature, commandLimiter, (req, res) => {
+    const { command = '/kpi', text = '', user_id: userId, response_url: responseUrl } = req.body || {};
+    const parsed = slackCommandService.parse(text);
+    if (!parsed) {
+      return res.json({
+        response_type: 'ephemeral',
+        ...slackCommandService.formatUsage(text.trim() ? `Unknown option: \`${text.trim()}\`` : null)
+      });
+    }
+
+    const job = jobManager.start('slack-command', { command, text, userId }, ctx =>
+      slackCommandService.run(parsed, { userId, responseUrl }, ctx)
+    );
+    logger.info(`Slack command ${command} ${text}`.trim(), { userId, jobId: job.id });
+    res.json({ response_type: 'ephemeral', text: `⏳ Getting \`${`${command} ${text}`.trim()}\`…` });
+  });
+
+  return router;
+};
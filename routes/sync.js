@@ -1,13 +1,47 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const { sanitizeError } = require('../utils/errorHandler');
+
+const MAX_BACKFILL_DAYS = 92;
 
 function isYmdDateString(value) {
   return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
 }
 
-module.exports = function(logger, generateReport, supabaseSyncService) {
+/**
+ * Every date from `from` to `to` inclusive (YYYY-MM-DD), optionally without weekends,
+ * business holidays (services/holidayService.js) and skipped dates
+ */
+function listEntryDates(from, to, { skipWeekends = true, skipHolidays = true, skipDates = [], holidayService = null } = {}) {
+  const dates = [];
+  const skipped = [];
+  const end = Date.parse(`${to}T00:00:00Z`);
+  for (let ms = Date.parse(`${from}T00:00:00Z`); ms <= end; ms += 24 * 60 * 60 * 1000) {
+    const ymd = new Date(ms).toISOString().slice(0, 10);
+    const dayOfWeek = new Date(ms).getUTCDay();
+    if (skipWeekends && (dayOfWeek === 0 || dayOfWeek === 6)) {
+      skipped.push({ entryDateYMD: ymd, reason: 'weekend' });
+    } else if (skipHolidays && holidayService && dayOfWeek >= 1 && dayOfWeek <= 5 && !holidayService.isWorkingDay(ymd)) {
+      skipped.push({ entryDateYMD: ymd, reason: 'holiday', name: holidayService.getHoliday(ymd)?.name || null });
+    } else if (skipDates.includes(ymd)) {
+      skipped.push({ entryDateYMD: ymd, reason: 'skipped' });
+    } else {
+      dates.push(ymd);
+    }
+  }
+  return { dates, skipped };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = function(logger, supabaseSyncService, aircallService, jobManager, reportRunner, holidayService = null) {
   const router = express.Router();
 
+  // Pause between backfill days so a long range doesn't trip Aircall's rate limit
+  const backfillDayDelayMs = parseInt(process.env.SYNC_BACKFILL_DAY_DELAY_MS || '2000', 10);
+
   router.post(
     '/nightly-kpis',
     [
@@ -32,54 +66,203 @@ module.exports = function(logger, generateReport, supabaseSyncService) {
       });
 
       // Return quickly so this endpoint is safe even if Aircall fetch is slow.
+      const job = jobManager.start('sync-nightly-kpis', { entryDateYMD }, ctx =>
+        reportRunner.runNightlySync(entryDateYMD, ctx)
+      );
       res.status(202).json({
         success: true,
         message: 'Nightly KPI sync started in background',
-        entryDateYMD
+        entryDateYMD,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
       });
+    }
+  );
 
-      (async () => {
-        try {
-          if (!supabaseSyncService?.isConfigured?.()) {
-            logger.warn('Supabase sync skipped (service not configured)', { entryDateYMD });
-            return;
-          }
+  router.post(
+    '/backfill',
+    [
+      body('from').custom(value => {
+        if (!isYmdDateString(value)) throw new Error('from must be YYYY-MM-DD');
+        return true;
+      }),
+      body('to').custom((value, { req }) => {
+        if (!isYmdDateString(value)) throw new Error('to must be YYYY-MM-DD');
+        if (isYmdDateString(req.body.from) && value < req.body.from) throw new Error('to must not be before from');
+        return true;
+      }),
+      body('skipWeekends').optional().isBoolean(),
+      body('skipHolidays').optional().isBoolean(),
+      body('skipDates')
+        .optional()
+        .isArray()
+        .custom(values => {
+          if (!values.every(isYmdDateString)) throw new Error('skipDates entries must be YYYY-MM-DD');
+          return true;
+        })
+    ],
+    (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
 
-          const { startISO, endISO } = supabaseSyncService.getNightWindowISOForEntryDate(entryDateYMD);
-          const activityData = await generateReport('night', startISO, endISO);
+      if (!supabaseSyncService?.isConfigured?.()) {
+        return res.status(503).json({ success: false, error: 'Supabase not configured' });
+      }
 
-          const result = await supabaseSyncService.syncDailyPhoneKpisFromActivity({
-            entryDateYMD,
-            activityData
-          });
+      if (jobManager.hasActive('sync-backfill')) {
+        return res.status(409).json({ success: false, error: 'A backfill is already running' });
+      }
 
-          if (result?.success) {
-            logger.info('✅ Supabase nightly KPI sync complete', {
-              entryDateYMD,
-              rowsProcessed: result.usersProcessed,
-              rowsPrepared: result.rowsPrepared,
-              rowsInsertedOrUpdated: result.rowsInsertedOrUpdated,
-              insertedCount: result.insertedCount,
-              updatedCount: result.updatedCount,
-              unresolvedCount: result.unresolvedCount
-            });
-          } else {
-            logger.warn('⚠️ Supabase nightly KPI sync did not succeed', {
+      const { from, to, skipWeekends = true, skipHolidays = true, skipDates = [] } = req.body;
+      const { dates, skipped } = listEntryDates(from, to, { skipWeekends, skipHolidays, skipDates, holidayService });
+      if (dates.length > MAX_BACKFILL_DAYS) {
+        return res.status(400).json({ success: false, error: `Backfill is limited to ${MAX_BACKFILL_DAYS} days per request` });
+      }
+
+      const job = jobManager.start('sync-backfill', { from, to, skipWeekends, skipHolidays, skipDates }, async (ctx) => {
+        const days = [];
+        ctx.setProgress({ daysTotal: dates.length, daysCompleted: 0, daysFailed: 0 });
+
+        // One day at a time: each day is a full-window Aircall fetch
+        for (const [index, entryDateYMD] of dates.entries()) {
+          if (index > 0) await sleep(backfillDayDelayMs);
+
+          const startedAt = Date.now();
+          try {
+            let result;
+            try {
+              result = await reportRunner.syncEntryDate(entryDateYMD);
+            } catch (error) {
+              if (error.response?.status !== 429) throw error;
+              // Still rate limited after AircallService's own backoff: wait it out once more
+              const retryAfterSeconds = parseInt(error.response.headers?.['retry-after'] || '60', 10);
+              logger.warn(`Backfill rate limited on ${entryDateYMD}; retrying in ${retryAfterSeconds}s`);
+              await sleep(retryAfterSeconds * 1000);
+              result = await reportRunner.syncEntryDate(entryDateYMD);
+            }
+
+            days.push({
               entryDateYMD,
+              success: Boolean(result?.success),
               reason: result?.reason,
-              rowsProcessed: result?.usersProcessed || 0,
+              rowsPrepared: result?.rowsPrepared || 0,
+              insertedCount: result?.insertedCount || 0,
+              updatedCount: result?.updatedCount || 0,
               unresolvedCount: result?.unresolvedCount || 0,
-              rowsPrepared: result?.rowsPrepared || 0
+              durationMs: Date.now() - startedAt
             });
+          } catch (error) {
+            logger.error(`❌ Backfill failed for ${entryDateYMD}`, { message: error.message });
+            days.push({ entryDateYMD, success: false, error: error.message, durationMs: Date.now() - startedAt });
           }
-        } catch (err) {
-          logger.error('❌ Supabase nightly KPI sync failed', {
-            entryDateYMD,
-            message: err.message,
-            stack: err.stack
+
+          ctx.setProgress({
+            daysCompleted: days.length,
+            daysFailed: days.filter(day => !day.success).length,
+            currentDate: entryDateYMD
+          });
+        }
+
+        const failed = days.filter(day => !day.success).length;
+        logger.info(`✅ Backfill ${from}..${to} finished: ${days.length - failed} succeeded, ${failed} failed, ${skipped.length} skipped`);
+        return { days, skipped, succeededCount: days.length - failed, failedCount: failed };
+      });
+
+      logger.info('Backfill requested', { from, to, days: dates.length, jobId: job.id });
+
+      res.status(202).json({
+        success: true,
+        message: 'Backfill started in background',
+        jobId: job.id,
+        statusUrl: `/sync/backfill/${job.id}`,
+        days: dates,
+        skipped
+      });
+    }
+  );
+
+  router.get('/backfill/:jobId', (req, res) => {
+    const job = jobManager.get(req.params.jobId);
+    if (!job || job.type !== 'sync-backfill') {
+      return res.status(404).json({ success: false, error: 'Backfill job not found' });
+    }
+    res.json({ success: true, data: job });
+  });
+
+  // Current mappings plus Aircall users the nightly sync cannot map yet
+  router.get('/mappings', async (req, res) => {
+    try {
+      const { source, mappings } = await supabaseSyncService.getMappings();
+
+      let unresolved = supabaseSyncService.getLastUnresolvedUsers();
+      let unresolvedSource = 'last-sync';
+      if (aircallService) {
+        try {
+          const aircallUsers = await aircallService.getUsers();
+          unresolved = await supabaseSyncService.findUnresolvedUsers(aircallUsers);
+          unresolvedSource = 'aircall';
+        } catch (error) {
+          logger.warn('Could not list Aircall users for mapping check; showing users from recent syncs', {
+            message: error.message
           });
         }
-      })();
+      }
+
+      res.json({
+        success: true,
+        source,
+        mappingCount: mappings.length,
+        mappings,
+        unresolvedSource,
+        unresolvedCount: unresolved.length,
+        unresolved
+      });
+    } catch (error) {
+      const sanitized = sanitizeError(error, logger);
+      res.status(500).json(sanitized);
+    }
+  });
+
+  router.post(
+    '/mappings',
+    [
+      body('aircallUserId').custom(value => {
+        if ((typeof value !== 'string' && typeof value !== 'number') || String(value).trim() === '') {
+          throw new Error('aircallUserId is required');
+        }
+        return true;
+      }),
+      body('userId').exists().bail().isString().bail().notEmpty(),
+      body('teamId').exists().bail().isString().bail().notEmpty(),
+      body('aircallUserName').optional({ nullable: true }).isString(),
+      body('repName').optional({ nullable: true }).isString(),
+      body('teamName').optional({ nullable: true }).isString()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      if (!supabaseSyncService?.isConfigured?.()) {
+        return res.status(503).json({ success: false, error: 'Supabase not configured' });
+      }
+
+      try {
+        const mapping = await supabaseSyncService.upsertMapping(req.body);
+        logger.info('Aircall user mapping saved', {
+          aircallUserId: mapping.aircallUserId,
+          aircallUserName: mapping.aircallUserName,
+          userId: mapping.userId,
+          teamId: mapping.teamId
+        });
+        res.json({ success: true, data: mapping });
+      } catch (error) {
+        const sanitized = sanitizeError(error, logger);
+        res.status(500).json(sanitized);
+      }
     }
   );
 
@@ -0,0 +1,64 @@
+const express = require('express');
+const crypto = require('crypto');
+const monitoring = require('../monitoring');
+
+/**
+ * Constant-time comparison of the webhook token Aircall sends in each payload
+ */
+function isValidWebhookToken(received, expected) {
+  if (typeof received !== 'string' || !expected) return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = (logger, liveActivityService) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /webhooks/aircall:
+   *   post:
+   *     summary: Receive Aircall call events
+   *     description: Accepts Aircall call.created, call.answered and call.ended webhooks and updates per-agent live counters. Authenticated by the Aircall webhook token (AIRCALL_WEBHOOK_TOKEN), not a JWT.
+   *     tags: [Webhooks]
+   *     security: []
+   *     responses:
+   *       200:
+   *         description: Event accepted
+   *       401:
+   *         description: Invalid webhook token
+   *       503:
+   *         description: Webhook receiver not configured
+   */
+  router.post('/webhooks/aircall', (req, res) => {
+    const expectedToken = process.env.AIRCALL_WEBHOOK_TOKEN;
+    if (!expectedToken) {
+      logger.warn('Aircall webhook received but AIRCALL_WEBHOOK_TOKEN is not configured');
+      return res.status(503).json({ success: false, error: 'Webhook receiver not configured' });
+    }
+
+    const event = req.body || {};
+    if (!isValidWebhookToken(event.token, expectedToken)) {
+      logger.warn('Rejected Aircall webhook with invalid token', { ip: req.ip, event: event.event });
+      monitoring.recordAircallWebhookEvent(event.event || 'unknown', 'rejected');
+      return res.status(401).json({ success: false, error: 'Invalid webhook token' });
+    }
+
+    try {
+      const result = liveActivityService.handleEvent(event);
+      monitoring.recordAircallWebhookEvent(event.event || 'unknown', result.applied ? 'applied' : 'ignored');
+      if (!result.applied) {
+        logger.debug(`Aircall webhook ignored: ${event.event} (${result.reason})`);
+      }
+      // Always acknowledge so Aircall does not retry events we intentionally ignore.
+      res.json({ success: true, applied: result.applied });
+    } catch (error) {
+      logger.error('Error handling Aircall webhook:', { event: event.event, message: error.message });
+      monitoring.recordAircallWebhookEvent(event.event || 'unknown', 'error');
+      res.status(500).json({ success: false, error: 'Failed to process webhook' });
+    }
+  });
+
+  return router;
+};
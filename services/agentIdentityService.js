@@ -0,0 +1,163 @@
+const winston = require('winston');
+
+const LISTS = ['excluded', 'dispo', 'acquisition'];
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Classify an env var entry: Aircall user id (digits), email, or name
+ */
+function parseEntry(raw) {
+  const value = String(raw).trim();
+  if (/^\d+$/.test(value)) return { raw: value, type: 'id', value };
+  if (value.includes('@')) return { raw: value, type: 'email', value: value.toLowerCase() };
+  return { raw: value, type: 'name', value: normalizeName(value) };
+}
+
+/**
+ * Whole-name match only: "Joel Schrock" matches that full name, and a single-word
+ * entry like "Derek" matches a first name. No substrings, so "Al" never matches "Alex".
+ */
+function nameMatches(entry, user) {
+  const name = normalizeName(user.name);
+  if (!name) return false;
+  if (name === entry.value) return true;
+  return !entry.value.includes(' ') && name.split(' ')[0] === entry.value;
+}
+
+function strongMatches(entry, user) {
+  if (entry.type === 'id') return String(user.id) === entry.value;
+  if (entry.type === 'email') return !!user.email && String(user.email).toLowerCase() === entry.value;
+  return false;
+}
+
+/**
+ * Resolves Aircall users against the EXCLUDED_USERS / DISPO_AGENTS / ACQUISITION_AGENTS lists.
+ *
+ * Entries can be Aircall user ids, emails or names. Ids and emails always win; names are
+ * only a fallback and are ignored when they match more than one known user. Ambiguous
+ * names, unmatched entries and users listed in both categories are collected as issues
+ * (logged once and shown on /status) instead of being guessed.
+ */
+class AgentIdentityService {
+  constructor({ excludedUsers = [], dispoAgents = [], acquisitionAgents = [] } = {}, logger = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'agent-identity-service' }
+      });
+
+    this.entries = {
+      excluded: excludedUsers.map(parseEntry),
+      dispo: dispoAgents.map(parseEntry),
+      acquisition: acquisitionAgents.map(parseEntry)
+    };
+    this.knownUsers = new Map();
+    this.issues = new Map();
+  }
+
+  /**
+   * Refresh the set of Aircall users used to detect ambiguous names, and recompute issues
+   */
+  setKnownUsers(users) {
+    this.knownUsers = new Map(users.map(user => [String(user.id), user]));
+    this.issues = new Map();
+
+    for (const user of users) {
+      this.resolve(user);
+    }
+
+    for (const list of LISTS) {
+      for (const entry of this.entries[list]) {
+        const matched = users.some(user => strongMatches(entry, user) || (entry.type === 'name' && nameMatches(entry, user)));
+        if (!matched) {
+          this.recordIssue(`${list}:${entry.raw}`, { type: 'unmatched_entry', list, entry: entry.raw, candidates: [] });
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {{ id: any, name?: string, email?: string }} user
+   * @returns {{ excluded: boolean, category: string, matchedBy: string|null }}
+   */
+  resolve(user) {
+    const matches = {};
+    for (const list of LISTS) {
+      matches[list] = this.matchList(list, user);
+    }
+
+    if (matches.excluded) {
+      return { excluded: true, category: 'other', matchedBy: matches.excluded };
+    }
+
+    if (matches.dispo && matches.acquisition) {
+      this.recordIssue(`conflict:${user.id}`, {
+        type: 'category_conflict',
+        list: 'dispo,acquisition',
+        entry: null,
+        candidates: [{ id: user.id, name: user.name, email: user.email || null }]
+      });
+      return { excluded: false, category: 'other', matchedBy: null };
+    }
+
+    if (matches.dispo) return { excluded: false, category: 'dispo', matchedBy: matches.dispo };
+    if (matches.acquisition) return { excluded: false, category: 'acquisition', matchedBy: matches.acquisition };
+    return { excluded: false, category: 'other', matchedBy: null };
+  }
+
+  /**
+   * How a user matched a list ('id', 'email' or 'name'), or null
+   */
+  matchList(list, user) {
+    const entries = this.entries[list];
+
+    const strong = entries.find(entry => strongMatches(entry, user));
+    if (strong) return strong.type;
+
+    for (const entry of entries) {
+      if (entry.type !== 'name' || !nameMatches(entry, user)) continue;
+
+      const candidates = new Map(this.knownUsers);
+      candidates.set(String(user.id), user);
+      const matching = Array.from(candidates.values()).filter(candidate => nameMatches(entry, candidate));
+      if (matching.length > 1) {
+        this.recordIssue(`${list}:${entry.raw}`, {
+          type: 'ambiguous_name',
+          list,
+          entry: entry.raw,
+          candidates: matching.map(candidate => ({ id: candidate.id, name: candidate.name, email: candidate.email || null }))
+        });
+        continue;
+      }
+      return 'name';
+    }
+
+    return null;
+  }
+
+  recordIssue(key, issue) {
+    if (this.issues.has(key)) return;
+    this.issues.set(key, issue);
+
+    if (issue.type === 'ambiguous_name') {
+      this.logger.warn(`Agent entry "${issue.entry}" (${issue.list}) matches ${issue.candidates.length} users; use an Aircall user id or email instead`, {
+        candidates: issue.candidates
+      });
+    } else if (issue.type === 'category_conflict') {
+      this.logger.warn(`Agent ${issue.candidates[0].name} (${issue.candidates[0].id}) is listed as both dispo and acquisition; treating as other`);
+    } else {
+      this.logger.warn(`Agent entry "${issue.entry}" (${issue.list}) does not match any Aircall user`);
+    }
+  }
+
+  getIssues() {
+    return Array.from(this.issues.values());
+  }
+}
+
+module.exports = AgentIdentityService;
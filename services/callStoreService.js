@@ -0,0 +1,223 @@
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+
+const UPSERT_CHUNK_SIZE = 500;
+const SELECT_PAGE_SIZE = 1000;
+
+function unixToISO(seconds) {
+  if (seconds === undefined || seconds === null) return null;
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+function isoToUnix(iso) {
+  if (!iso) return null;
+  return Math.floor(new Date(iso).getTime() / 1000);
+}
+
+/**
+ * Aircall call object -> "AircallCall" row
+ */
+function normalizeCall(call) {
+  return {
+    id: call.id,
+    userId: call.user?.id ?? null,
+    userName: call.user?.name ?? null,
+    userEmail: call.user?.email ?? null,
+    direction: call.direction,
+    status: call.status || null,
+    startedAt: unixToISO(call.started_at),
+    answeredAt: unixToISO(call.answered_at),
+    endedAt: unixToISO(call.ended_at),
+    duration: Number(call.duration || 0)
+  };
+}
+
+/**
+ * "AircallCall" row -> the subset of the Aircall call shape that reporting relies on
+ */
+function toAircallCall(row) {
+  return {
+    id: Number(row.id),
+    direction: row.direction,
+    status: row.status,
+    started_at: isoToUnix(row.startedAt),
+    answered_at: isoToUnix(row.answeredAt),
+    ended_at: isoToUnix(row.endedAt),
+    duration: row.duration || 0,
+    user: row.userId === null || row.userId === undefined
+      ? null
+      : { id: Number(row.userId), name: row.userName, email: row.userEmail }
+  };
+}
+
+/**
+ * Subtract already-synced ranges from [startTimestamp, endTimestamp]
+ * Ranges are { start, end } in unix seconds; returns the uncovered gaps in order.
+ */
+function computeMissingRanges(startTimestamp, endTimestamp, coveredRanges) {
+  const sorted = [...(coveredRanges || [])]
+    .filter(r => r.end > startTimestamp && r.start < endTimestamp)
+    .sort((a, b) => a.start - b.start);
+
+  const missing = [];
+  let cursor = startTimestamp;
+
+  for (const range of sorted) {
+    if (range.start > cursor) {
+      missing.push({ start: cursor, end: Math.min(range.start, endTimestamp) });
+    }
+    cursor = Math.max(cursor, range.end);
+    if (cursor >= endTimestamp) break;
+  }
+
+  if (cursor < endTimestamp) {
+    missing.push({ start: cursor, end: endTimestamp });
+  }
+
+  return missing;
+}
+
+class CallStoreService {
+  constructor(logger = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'call-store-service' }
+      });
+
+    // Opt-in: the AircallCall tables must exist (supabase/migrations/002_create_aircall_call_store.sql)
+    const enabled = process.env.CALL_STORE_ENABLED === 'true';
+    this.supabase = enabled ? createSupabaseClient() : null;
+    this.storeEnabled = Boolean(this.supabase);
+
+    // Calls can still be in progress near "now"; only ranges older than this are marked as synced.
+    this.settleSeconds = Number(process.env.CALL_STORE_SETTLE_MINUTES || 60) * 60;
+  }
+
+  isConfigured() {
+    return this.storeEnabled;
+  }
+
+  async getSyncedRanges(startTimestamp, endTimestamp) {
+    const { data, error } = await this.supabase
+      .from('AircallCallSyncRange')
+      .select('rangeStart, rangeEnd')
+      .lt('rangeStart', unixToISO(endTimestamp))
+      .gt('rangeEnd', unixToISO(startTimestamp));
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(r => ({ start: isoToUnix(r.rangeStart), end: isoToUnix(r.rangeEnd) }));
+  }
+
+  async recordSyncedRange(startTimestamp, endTimestamp, callCount) {
+    const { error } = await this.supabase.from('AircallCallSyncRange').insert({
+      rangeStart: unixToISO(startTimestamp),
+      rangeEnd: unixToISO(endTimestamp),
+      callCount
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  async upsertCalls(calls) {
+    const rows = (calls || []).filter(c => c && c.id && c.started_at).map(normalizeCall);
+
+    for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+      const chunk = rows.slice(i, i + UPSERT_CHUNK_SIZE);
+      const { error } = await this.supabase.from('AircallCall').upsert(chunk, { onConflict: 'id' });
+      if (error) {
+        throw error;
+      }
+    }
+
+    return rows.length;
+  }
+
+  async getStoredCalls(startTimestamp, endTimestamp) {
+    const calls = [];
+    let offset = 0;
+
+    while (true) {
+      const { data, error } = await this.supabase
+        .from('AircallCall')
+        .select('*')
+        .gte('startedAt', unixToISO(startTimestamp))
+        .lte('startedAt', unixToISO(endTimestamp))
+        .order('startedAt', { ascending: true })
+        .range(offset, offset + SELECT_PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data || [];
+      calls.push(...rows.map(toAircallCall));
+
+      if (rows.length < SELECT_PAGE_SIZE) break;
+      offset += SELECT_PAGE_SIZE;
+    }
+
+    return calls;
+  }
+
+  /**
+   * Return all calls in a window, pulling only the not-yet-synced gaps from Aircall
+   *
+   * @param {number} startTimestamp - unix seconds
+   * @param {number} endTimestamp - unix seconds
+   * @param {(start: number, end: number) => Promise<object[]>} fetchFromAircall - fetches raw calls for a gap;
+   *   a result with `truncated: true` is stored but the gap is fetched again next time
+   */
+  async getCallsForWindow(startTimestamp, endTimestamp, fetchFromAircall) {
+    const synced = await this.getSyncedRanges(startTimestamp, endTimestamp);
+    const missing = computeMissingRanges(startTimestamp, endTimestamp, synced);
+    const settledBefore = Math.floor(Date.now() / 1000) - this.settleSeconds;
+
+    this.logger.info('Call store lookup', {
+      startTimestamp,
+      endTimestamp,
+      syncedRanges: synced.length,
+      missingRanges: missing.length
+    });
+
+    // The whole window is already stored; no Aircall requests needed.
+    if (missing.length === 0) {
+      return this.getStoredCalls(startTimestamp, endTimestamp);
+    }
+
+    const liveCalls = [];
+    for (const gap of missing) {
+      const calls = await fetchFromAircall(gap.start, gap.end);
+      await this.upsertCalls(calls);
+
+      // Only the settled part of a gap can be trusted as complete, and none of a truncated fetch.
+      const settledEnd = Math.min(gap.end, settledBefore);
+      if (calls.truncated) {
+        this.logger.warn(`Aircall fetch for ${gap.start} to ${gap.end} was truncated; not recording it as synced`);
+      } else if (settledEnd > gap.start) {
+        await this.recordSyncedRange(gap.start, settledEnd, calls.length);
+      }
+      liveCalls.push(...calls);
+    }
+
+    // Stored rows cover the synced ranges; freshly fetched calls win for the gaps.
+    const byId = new Map();
+    for (const call of await this.getStoredCalls(startTimestamp, endTimestamp)) {
+      byId.set(call.id, call);
+    }
+    for (const call of liveCalls) {
+      byId.set(call.id, call);
+    }
+
+    return Array.from(byId.values());
+  }
+}
+
+module.exports = CallStoreService;
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const winston = require('winston');
+const defaultChannels = require('../config/slackChannels');
+
+const REPORT_TYPES = ['default', 'afternoon', 'night', 'custom', 'weekly-avg', 'monthly', 'leaderboard', 'pacing'];
+const CATEGORIES = ['dispo', 'acquisition', 'other'];
+// Lists of agents by category in weekly, monthly and leaderboard data
+const CATEGORY_LISTS = { dispo: 'dispoAgents', acquisition: 'acquisitionAgents', other: 'otherUsers' };
+// Team comparison metrics attached by TrendService
+const COMPARISON_METRICS = ['totalCalls', 'answeredCalls', 'totalDurationMinutes', 'inboundCalls', 'answeredInboundCalls'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function categoryOf(user) {
+  return CATEGORIES.includes(user.agentCategory) ? user.agentCategory : 'other';
+}
+
+/**
+ * Validate a route and normalize its shape; throws on invalid input
+ */
+function normalizeRoute(route, label) {
+  if (!route || typeof route.channel !== 'string' || route.channel.trim() === '') {
+    throw new Error(`${label} needs a channel id`);
+  }
+  if (route.categories === undefined || route.categories === null) {
+    return { channel: route.channel.trim(), categories: null };
+  }
+  if (!Array.isArray(route.categories) || route.categories.length === 0) {
+    throw new Error(`${label} categories must be a non-empty array`);
+  }
+  const categories = route.categories.map(category => String(category).toLowerCase());
+  const unknown = categories.filter(category => !CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown categories: ${unknown.join(', ')}. Use: ${CATEGORIES.join(', ')}`);
+  }
+  return { channel: route.channel.trim(), categories: [...new Set(categories)] };
+}
+
+/**
+ * Slack channel routes per report type (config/slackChannels.js or SLACK_CHANNELS_FILE),
+ * so each team channel gets only its own agents and a leadership channel the full report.
+ */
+class ChannelRouteService {
+  constructor(logger = null, config = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'channel-route-service' }
+      });
+
+    this.source = 'config';
+    this.setRoutes(config || this.loadFromFile());
+  }
+
+  /**
+   * Routes from SLACK_CHANNELS_FILE (JSON, same shape as config/slackChannels.js) if set,
+   * otherwise config/slackChannels.js
+   */
+  loadFromFile() {
+    const file = process.env.SLACK_CHANNELS_FILE;
+    if (!file) {
+      return defaultChannels;
+    }
+    this.source = `file:${file}`;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  setRoutes(config) {
+    const routes = new Map();
+    for (const [reportType, list] of Object.entries(config || {})) {
+      if (!REPORT_TYPES.includes(reportType)) {
+        throw new Error(`Unknown report type in Slack channel routes: ${reportType}. Use: ${REPORT_TYPES.join(', ')}`);
+      }
+      if (!Array.isArray(list)) {
+        throw new Error(`Slack channel routes for ${reportType} must be an array`);
+      }
+      routes.set(reportType, list.map((route, i) => normalizeRoute(route, `Slack channel route ${reportType}[${i}]`)));
+    }
+    this.routes = routes;
+  }
+
+  /**
+   * Routes for a report type, falling back to the default routes; empty when the report
+   * should go to SLACK_CHANNEL_ID as a whole
+   */
+  getRoutes(reportType) {
+    return this.routes.get(reportType) || this.routes.get('default') || [];
+  }
+
+  /**
+   * One line per configured report type, for the startup log
+   */
+  describe() {
+    return Array.from(this.routes.entries())
+      .filter(([, list]) => list.length > 0)
+      .map(([reportType, list]) =>
+        `${reportType} → ${list.map(route => `${route.channel}${route.categories ? ` (${route.categories.join(', ')})` : ''}`).join(', ')}`
+      );
+  }
+
+  /**
+   * A copy of report data limited to agents in the given categories. Handles activity data
+   * (a flat `users` list, with TrendService comparisons), the category-split weekly,
+   * monthly and leaderboard data, and pacing checks; team-wide figures that can't be split
+   * are dropped.
+   */
+  scopeReport(data, categories) {
+    const scoped = { ...data };
+
+    if (Array.isArray(data.users)) {
+      scoped.users = data.users.filter(user => categories.includes(categoryOf(user)));
+      if (data.comparison) {
+        scoped.comparison = this.sumComparisons(scoped.users, data.comparison);
+      }
+    }
+
+    if (Array.isArray(data.atRisk)) {
+      scoped.atRisk = data.atRisk.filter(agent => categories.includes(categoryOf(agent)));
+      if (data.evaluatedByCategory) {
+        scoped.evaluatedCount = categories.reduce((sum, category) => sum + (data.evaluatedByCategory[category] || 0), 0);
+        scoped.onPaceCount = scoped.evaluatedCount - scoped.atRisk.length;
+      }
+    }
+
+    if (Object.values(CATEGORY_LISTS).some(list => Array.isArray(data[list]))) {
+      for (const [category, list] of Object.entries(CATEGORY_LISTS)) {
+        if (!categories.includes(category)) scoped[list] = [];
+      }
+      if (data.summary) {
+        scoped.summary = this.scopeSummary(data.summary, scoped, categories);
+      }
+      // Week over week totals are for the whole team
+      if (data.weekOverWeek) {
+        scoped.weekOverWeek = null;
+      }
+    }
+
+    return scoped;
+  }
+
+  scopeSummary(summary, scoped, categories) {
+    const agents = Object.values(CATEGORY_LISTS).flatMap(list => scoped[list] || []);
+    const result = {
+      ...summary,
+      totalUsers: agents.length,
+      dispoCount: (scoped.dispoAgents || []).length,
+      acquisitionCount: (scoped.acquisitionAgents || []).length,
+      otherCount: (scoped.otherUsers || []).length
+    };
+    if (summary.dispoNotMeetingKPIs !== undefined && !categories.includes('dispo')) {
+      result.dispoNotMeetingKPIs = 0;
+    }
+    if (summary.acquisitionNotMeetingKPIs !== undefined && !categories.includes('acquisition')) {
+      result.acquisitionNotMeetingKPIs = 0;
+    }
+    if (summary.totalCalls !== undefined) {
+      result.totalCalls = agents.reduce((sum, agent) => sum + (agent.monthlyTotal ? agent.monthlyTotal.totalCalls : agent.totalCalls || 0), 0);
+    }
+    if (summary.totalDurationMinutes !== undefined) {
+      result.totalDurationMinutes = round2(agents.reduce((sum, agent) => sum + (agent.monthlyTotal ? agent.monthlyTotal.totalDurationMinutes : agent.totalDurationMinutes || 0), 0));
+    }
+    return result;
+  }
+
+  /**
+   * Team comparison (TrendService.attachDailyComparison) recomputed for a subset of users
+   */
+  sumComparisons(users, teamComparison) {
+    const sum = key => Object.fromEntries(COMPARISON_METRICS.map(metric => [
+      metric,
+      round2(users.reduce((total, user) => total + ((user.comparison && user.comparison[key][metric]) || 0), 0))
+    ]));
+    return {
+      previousDay: { date: teamComparison.previousDay.date, ...sum('previousDay') },
+      trailingAverage: { days: teamComparison.trailingAverage.days, ...sum('trailingAverage') }
+    };
+  }
+}
+
+module.exports = ChannelRouteService;
@@ -0,0 +1,104 @@
+const winston = require('winston');
+const { toBusinessYMD, getBusinessTimezone } = require('../utils/businessTime');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * KPI status by Slack DM: each opted-in agent gets their own numbers, KPI gaps and trend,
+ * and each roster manager gets a digest of their team. Slack users are found by the
+ * email on the Aircall user record (agents) or the roster `manager` field (managers, when
+ * it is an email address).
+ *
+ * Sent after the night report when SLACK_DM_ENABLED=true, or on demand through
+ * POST /report/dm; the channel report is unaffected either way.
+ */
+class DirectMessageService {
+  constructor(logger, slackService, kpiRulesService, dmPreferenceService, enabled = process.env.SLACK_DM_ENABLED === 'true') {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'direct-message-service' }
+      });
+    this.slackService = slackService;
+    this.kpiRules = kpiRulesService;
+    this.preferences = dmPreferenceService;
+    this.enabled = enabled;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * DM agents and managers for a daily report; per-recipient failures are counted, not thrown
+   *
+   * @param {object} activityData - AircallService.getUserActivity('night') output, with
+   *   TrendService comparisons when available
+   * @returns {Promise<{ agents: object, managers: object, errors: string[] }>}
+   */
+  async sendDaily(activityData) {
+    const timezone = activityData.timezone || getBusinessTimezone();
+    const date = toBusinessYMD(new Date(activityData.startTime), timezone);
+    const members = (activityData.users || []).map(user => ({
+      user,
+      evaluation: this.kpiRules.evaluate(user, user, { date })
+    }));
+
+    const result = {
+      agents: { sent: 0, optedOut: 0, unresolved: 0, failed: 0 },
+      managers: { sent: 0, unresolved: 0, failed: 0 },
+      errors: []
+    };
+
+    for (const { user, evaluation } of members) {
+      if (!this.preferences.isOptedIn(user.user_id)) {
+        result.agents.optedOut++;
+        continue;
+      }
+      await this.deliver(user.email, user.name, () => this.slackService.formatAgentDmMessage(user, evaluation, activityData), result.agents, result.errors);
+    }
+
+    const teams = new Map();
+    for (const member of members) {
+      if (!member.user.manager) continue;
+      if (!teams.has(member.user.manager)) teams.set(member.user.manager, []);
+      teams.get(member.user.manager).push(member);
+    }
+    for (const [manager, team] of teams) {
+      const email = EMAIL_PATTERN.test(manager) ? manager : null;
+      await this.deliver(email, manager, () => this.slackService.formatManagerDigestMessage(manager, team, activityData), result.managers, result.errors);
+    }
+
+    this.logger.info(`KPI DMs for ${date}`, { agents: result.agents, managers: result.managers });
+    return result;
+  }
+
+  /**
+   * Resolve a recipient's Slack user by email and DM them, counting the outcome
+   */
+  async deliver(email, label, buildMessage, counts, errors) {
+    try {
+      const slackUserId = await this.slackService.lookupUserByEmail(email);
+      if (!slackUserId) {
+        counts.unresolved++;
+        this.logger.warn(`No Slack user for ${label}${email ? ` (${email})` : ' (no email)'}; DM skipped`);
+        return;
+      }
+      const sent = await this.slackService.sendDirectMessage(slackUserId, buildMessage());
+      if (sent.ok) {
+        counts.sent++;
+      } else {
+        counts.failed++;
+        errors.push(`${label}: ${sent.error}`);
+      }
+    } catch (error) {
+      counts.failed++;
+      errors.push(`${label}: ${error.message}`);
+      this.logger.error(`DM to ${label} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = DirectMessageService;
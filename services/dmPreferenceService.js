@@ -0,0 +1,91 @@
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+
+/**
+ * Whether each agent (by Aircall user id) gets their KPI status by Slack DM. Agents
+ * without a stored preference follow SLACK_DM_DEFAULT_OPT_IN (default: not opted in).
+ *
+ * Persisted to the "AgentDmPreference" table when Supabase is configured; otherwise kept
+ * in memory only.
+ */
+class DmPreferenceService {
+  constructor(logger = null, defaultOptIn = process.env.SLACK_DM_DEFAULT_OPT_IN === 'true') {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'dm-preference-service' }
+      });
+
+    this.supabase = createSupabaseClient();
+    this.defaultOptIn = defaultOptIn;
+    this.preferences = new Map();
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  async load() {
+    if (!this.supabase) {
+      this.logger.warn('DM preferences are in-memory only (Supabase not configured)');
+      return { persistent: false, preferenceCount: this.preferences.size };
+    }
+
+    try {
+      const { data, error } = await this.supabase.from('AgentDmPreference').select('*');
+      if (error) throw error;
+      this.preferences = new Map((data || []).map(row => [String(row.agentId), { agentId: String(row.agentId), optIn: Boolean(row.optIn) }]));
+      this.logger.info(`Loaded ${this.preferences.size} DM preferences from Supabase`);
+    } catch (error) {
+      this.logger.error('Failed to load DM preferences from Supabase:', error.message);
+    }
+
+    return { persistent: true, preferenceCount: this.preferences.size };
+  }
+
+  list() {
+    return Array.from(this.preferences.values());
+  }
+
+  get(agentId) {
+    if (agentId === undefined || agentId === null) return null;
+    return this.preferences.get(String(agentId)) || null;
+  }
+
+  isOptedIn(agentId) {
+    const preference = this.get(agentId);
+    return preference ? preference.optIn : this.defaultOptIn;
+  }
+
+  async set(agentId, optIn) {
+    if (typeof optIn !== 'boolean') {
+      throw new Error('optIn must be boolean');
+    }
+    const preference = { agentId: String(agentId), optIn };
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('AgentDmPreference').upsert(preference, { onConflict: 'agentId' });
+      if (error) throw error;
+    }
+
+    this.preferences.set(preference.agentId, preference);
+    return preference;
+  }
+
+  async remove(agentId) {
+    const key = String(agentId);
+    if (!this.preferences.has(key)) return false;
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('AgentDmPreference').delete().eq('agentId', key);
+      if (error) throw error;
+    }
+
+    this.preferences.delete(key);
+    return true;
+  }
+}
+
+module.exports = DmPreferenceService;
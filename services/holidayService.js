@@ -0,0 +1,268 @@
+const fs = require('fs');
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+const defaultHolidays = require('../config/holidays');
+
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ymdToUTC(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function utcToYMD(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// n-th weekday (0 = Sunday) of a month, e.g. the 3rd Monday of January
+function nthWeekday(year, month, weekday, n) {
+  const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return Date.UTC(year, month, 1 + ((weekday - firstDay + 7) % 7) + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS;
+}
+
+/**
+ * US federal holidays; `date` gives the actual date of the holiday in a year
+ */
+const FEDERAL_HOLIDAYS = {
+  'new-years-day': { name: "New Year's Day", date: y => Date.UTC(y, 0, 1), fixed: true },
+  'mlk-day': { name: 'Martin Luther King Jr. Day', date: y => nthWeekday(y, 0, 1, 3) },
+  'presidents-day': { name: "Presidents' Day", date: y => nthWeekday(y, 1, 1, 3) },
+  'memorial-day': { name: 'Memorial Day', date: y => lastWeekday(y, 4, 1) },
+  juneteenth: { name: 'Juneteenth', date: y => Date.UTC(y, 5, 19), fixed: true },
+  'independence-day': { name: 'Independence Day', date: y => Date.UTC(y, 6, 4), fixed: true },
+  'labor-day': { name: 'Labor Day', date: y => nthWeekday(y, 8, 1, 1) },
+  'columbus-day': { name: 'Columbus Day', date: y => nthWeekday(y, 9, 1, 2) },
+  'veterans-day': { name: 'Veterans Day', date: y => Date.UTC(y, 10, 11), fixed: true },
+  thanksgiving: { name: 'Thanksgiving Day', date: y => nthWeekday(y, 10, 4, 4) },
+  christmas: { name: 'Christmas Day', date: y => Date.UTC(y, 11, 25), fixed: true }
+};
+
+/**
+ * Fixed-date holidays on a weekend are observed on the Friday before or the Monday after
+ */
+function observedDate(ms) {
+  const dayOfWeek = new Date(ms).getUTCDay();
+  if (dayOfWeek === 6) return ms - DAY_MS;
+  if (dayOfWeek === 0) return ms + DAY_MS;
+  return ms;
+}
+
+/**
+ * Validate a holiday payload and normalize its shape; throws on invalid input
+ */
+function normalizeHoliday(date, input) {
+  // Date.UTC rolls 2026-02-30 over to March, so compare the round trip
+  if (!YMD_PATTERN.test(date || '') || utcToYMD(ymdToUTC(date)) !== date) {
+    throw new Error('date must be YYYY-MM-DD');
+  }
+  const observed = input.observed === undefined || input.observed === null ? true : Boolean(input.observed);
+  if (observed && !input.name) {
+    throw new Error('name is required');
+  }
+  return {
+    date,
+    name: input.name || null,
+    observed
+  };
+}
+
+/**
+ * Business holiday calendar: built-in US federal holidays and config/holidays.js (or
+ * HOLIDAYS_FILE), adjusted by dates added or un-observed through /holidays.
+ *
+ * Adjustments are persisted to the "BusinessHoliday" table when Supabase is configured;
+ * otherwise kept in memory only.
+ */
+class HolidayService {
+  constructor(logger = null, calendar = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'holiday-service' }
+      });
+
+    this.source = 'config';
+    this.calendar = calendar || this.loadFromFile();
+    for (const id of this.calendar.federal || []) {
+      if (!FEDERAL_HOLIDAYS[id]) throw new Error(`Unknown federal holiday "${id}"`);
+    }
+    this.configHolidays = (this.calendar.holidays || []).map(h => normalizeHoliday(h.date, h));
+
+    this.supabase = createSupabaseClient();
+    this.custom = new Map();
+    this.years = new Map();
+  }
+
+  /**
+   * Calendar from HOLIDAYS_FILE (JSON, same shape as config/holidays.js) if set, otherwise config/holidays.js
+   */
+  loadFromFile() {
+    const file = process.env.HOLIDAYS_FILE;
+    if (!file) {
+      return defaultHolidays;
+    }
+    this.source = `file:${file}`;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  async load() {
+    if (!this.supabase) {
+      this.logger.warn('Holiday adjustments are in-memory only (Supabase not configured)');
+      return { source: this.source, persistent: false, customCount: this.custom.size };
+    }
+
+    try {
+      const { data, error } = await this.supabase.from('BusinessHoliday').select('*');
+      if (error) throw error;
+      this.custom = new Map((data || []).map(row => {
+        const holiday = normalizeHoliday(row.date, row);
+        return [holiday.date, holiday];
+      }));
+      this.years.clear();
+      this.logger.info(`Loaded ${this.custom.size} holiday adjustments from Supabase`);
+    } catch (error) {
+      this.logger.error('Failed to load holiday adjustments from Supabase:', error.message);
+    }
+
+    return { source: this.source, persistent: true, customCount: this.custom.size };
+  }
+
+  /**
+   * Every holiday dated in a year, including un-observed ones (observed: false), by date
+   * @returns {Array<{ date: string, name: string, source: 'federal'|'config'|'custom', observed: boolean }>}
+   */
+  list(year) {
+    return Array.from(this.getYear(year).values()).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  getYear(year) {
+    if (this.years.has(year)) return this.years.get(year);
+
+    const holidays = new Map();
+    const inYear = ymd => ymd.startsWith(`${year}-`);
+
+    for (const id of this.calendar.federal || []) {
+      const federal = FEDERAL_HOLIDAYS[id];
+      // Next year's New Year's Day can be observed on Dec 31
+      for (const y of [year, year + 1]) {
+        const actual = federal.date(y);
+        const observed = federal.fixed ? observedDate(actual) : actual;
+        const date = utcToYMD(observed);
+        if (!inYear(date)) continue;
+        holidays.set(date, {
+          date,
+          name: observed === actual ? federal.name : `${federal.name} (observed)`,
+          source: 'federal',
+          observed: true
+        });
+      }
+    }
+
+    for (const holiday of this.configHolidays) {
+      if (inYear(holiday.date)) holidays.set(holiday.date, { ...holiday, source: 'config' });
+    }
+
+    for (const holiday of this.custom.values()) {
+      if (!inYear(holiday.date)) continue;
+      const existing = holidays.get(holiday.date);
+      holidays.set(holiday.date, {
+        date: holiday.date,
+        name: holiday.name || existing?.name || null,
+        source: 'custom',
+        observed: holiday.observed
+      });
+    }
+
+    this.years.set(year, holidays);
+    return holidays;
+  }
+
+  /**
+   * The observed holiday on a date, or null
+   */
+  getHoliday(dateYMD) {
+    const holiday = this.getYear(Number(dateYMD.slice(0, 4))).get(dateYMD);
+    return holiday && holiday.observed ? holiday : null;
+  }
+
+  isHoliday(dateYMD) {
+    return this.getHoliday(dateYMD) !== null;
+  }
+
+  /**
+   * Monday-Friday and not a holiday
+   */
+  isWorkingDay(dateYMD) {
+    const dayOfWeek = new Date(ymdToUTC(dateYMD)).getUTCDay();
+    return dayOfWeek >= 1 && dayOfWeek <= 5 && !this.isHoliday(dateYMD);
+  }
+
+  /**
+   * Working days in [startYMD, endYMD]
+   */
+  countWorkingDays(startYMD, endYMD) {
+    let count = 0;
+    for (let ms = ymdToUTC(startYMD); ms <= ymdToUTC(endYMD); ms += DAY_MS) {
+      if (this.isWorkingDay(utcToYMD(ms))) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Observed holidays in [startYMD, endYMD]
+   */
+  listBetween(startYMD, endYMD) {
+    const holidays = [];
+    for (let ms = ymdToUTC(startYMD); ms <= ymdToUTC(endYMD); ms += DAY_MS) {
+      const holiday = this.getHoliday(utcToYMD(ms));
+      if (holiday) holidays.push(holiday);
+    }
+    return holidays;
+  }
+
+  /**
+   * Add a holiday, rename one, or stop observing a built-in one (observed: false)
+   */
+  async upsert(date, input) {
+    const holiday = normalizeHoliday(date, input);
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('BusinessHoliday').upsert(holiday, { onConflict: 'date' });
+      if (error) throw error;
+    }
+
+    this.custom.set(holiday.date, holiday);
+    this.years.clear();
+    return this.getYear(Number(date.slice(0, 4))).get(date);
+  }
+
+  /**
+   * Drop an adjustment; the date falls back to the built-in calendar
+   */
+  async remove(date) {
+    if (!this.custom.has(date)) return false;
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('BusinessHoliday').delete().eq('date', date);
+      if (error) throw error;
+    }
+
+    this.custom.delete(date);
+    this.years.clear();
+    return true;
+  }
+}
+
+module.exports = HolidayService;
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const MAX_KEY_LENGTH = 255;
+// Trigger endpoints that get a default key. Write-through routes such as POST /sync/mappings
+// must not: the same body later in the day is a new write, not a retry.
+const DEFAULT_KEY_PATHS = [
+  '/report/afternoon',
+  '/report/night',
+  '/report/custom',
+  '/report/weekly-avg',
+  '/report/monthly',
+  '/report/leaderboard',
+  '/report/dm',
+  '/sync/nightly-kpis',
+  '/sync/backfill'
+];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? {})).digest('hex');
+}
+
+/**
+ * Idempotency keys for trigger endpoints (POST /report/*, POST /sync/*).
+ *
+ * The first request for a key runs normally and its 2xx response is kept for
+ * IDEMPOTENCY_RETENTION_HOURS; repeats get that response back (with an
+ * Idempotent-Replayed header) instead of running again. Without an Idempotency-Key
+ * header, trigger endpoints (DEFAULT_KEY_PATHS) key on endpoint + date + request body,
+ * i.e. report type + window; other routes only use explicit keys.
+ * Keys are held in memory, per process.
+ */
+class IdempotencyService {
+  /**
+   * @param {object} logger
+   * @param {{ retentionHours?: number, today?: (reportType: string) => string, defaultKeyPaths?: string[] }} [options]
+   *   today - business date (YYYY-MM-DD) used in default keys; defaultKeyPaths - endpoints
+   *   that get a default key (DEFAULT_KEY_PATHS)
+   */
+  constructor(logger = null, options = {}) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'idempotency-service' }
+      });
+
+    const retentionHours = options.retentionHours || parseFloat(process.env.IDEMPOTENCY_RETENTION_HOURS || '24');
+    this.retentionMs = retentionHours * 60 * 60 * 1000;
+    this.today = options.today || (() => new Date().toISOString().slice(0, 10));
+    this.defaultKeyPaths = new Set(options.defaultKeyPaths || DEFAULT_KEY_PATHS);
+    this.entries = new Map();
+  }
+
+  /**
+   * Key for a request: the Idempotency-Key header, or endpoint + date + body on trigger
+   * endpoints. force=true (which also bypasses the run lock) opts out of the default key.
+   *
+   * @returns {{ key: string, explicit: boolean }|null}
+   */
+  resolveKey(req) {
+    const path = req.baseUrl + req.path;
+    const header = req.get('Idempotency-Key');
+    if (header) {
+      return { key: `${path}:${header}`, explicit: true };
+    }
+    if (req.query.force === 'true' || !this.defaultKeyPaths.has(path)) {
+      return null;
+    }
+
+    const reportType = path.split('/').filter(Boolean).pop();
+    return {
+      key: `${path}:default:${this.today(reportType)}:${hash(req.body).slice(0, 16)}`,
+      explicit: false
+    };
+  }
+
+  /**
+   * Register the start of a request
+   *
+   * @returns {{ state: 'new'|'pending'|'replay'|'mismatch', entry?: object }}
+   */
+  begin(key, fingerprint, now = Date.now()) {
+    this.prune(now);
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.entries.set(key, { fingerprint, status: 'pending', createdAt: now, response: null });
+      return { state: 'new' };
+    }
+    if (entry.fingerprint !== fingerprint) {
+      return { state: 'mismatch', entry };
+    }
+    return { state: entry.status === 'pending' ? 'pending' : 'replay', entry };
+  }
+
+  /**
+   * Keep a successful response for replay; anything else frees the key for a retry
+   */
+  complete(key, statusCode, body) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.status !== 'pending') return;
+
+    if (statusCode >= 200 && statusCode < 300) {
+      entry.status = 'completed';
+      entry.response = { statusCode, body };
+    } else {
+      this.entries.delete(key);
+    }
+  }
+
+  abandon(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.status === 'pending') {
+      this.entries.delete(key);
+    }
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.createdAt > this.retentionMs) this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Express middleware for POST trigger routes
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (req.method !== 'POST') return next();
+
+      const header = req.get('Idempotency-Key');
+      if (header !== undefined && (header.trim() === '' || header.length > MAX_KEY_LENGTH)) {
+        return res.status(400).json({
+          success: false,
+          error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      const resolved = this.resolveKey(req);
+      if (!resolved) return next();
+      const { key, explicit } = resolved;
+
+      const { state, entry } = this.begin(key, hash(req.body));
+      if (state === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+      if (state === 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: explicit
+            ? 'A request with this Idempotency-Key is still in progress'
+            : 'The same request is still in progress; retry later or pass an Idempotency-Key'
+        });
+      }
+      if (state === 'replay') {
+        this.logger.info(`Replaying ${req.method} ${req.baseUrl}${req.path} for idempotency key`, { key });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(entry.response.statusCode).json(entry.response.body);
+      }
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        this.complete(key, res.statusCode, body);
+        return json(body);
+      };
+      // Not on 'close': a caller that timed out and retries must still find the key pending.
+      // Responses sent without res.json leave nothing to replay.
+      res.on('finish', () => this.abandon(key));
+      next();
+    };
+  }
+}
+
+module.exports = IdempotencyService;
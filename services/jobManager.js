@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const FINISHED_STATES = ['succeeded', 'failed'];
+
+/**
+ * In-memory registry for background runs: each run gets an id, a state
+ * (queued/running/succeeded/failed), progress, timings and its result or error.
+ * Finished jobs beyond JOB_HISTORY_LIMIT are dropped, oldest first.
+ */
+class JobManager {
+  constructor(logger = null, options = {}) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'job-manager' }
+      });
+
+    this.historyLimit = options.historyLimit || parseInt(process.env.JOB_HISTORY_LIMIT || '200', 10);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Queue a task and start it on the next tick
+   *
+   * @param {string} type - e.g. 'sync-backfill'
+   * @param {object} params - request parameters, echoed back on the job
+   * @param {(job: { setProgress: Function }) => Promise<any>} task - resolved value becomes the job result
+   * @returns {object} job snapshot (status 'queued')
+   */
+  start(type, params, task) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    setImmediate(() => this.execute(job, task));
+    return this.snapshot(job);
+  }
+
+  async execute(job, task) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.logger.info(`Job ${job.id} (${job.type}) started`);
+
+    const context = {
+      id: job.id,
+      setProgress: (progress) => {
+        job.progress = { ...job.progress, ...progress };
+      }
+    };
+
+    try {
+      job.result = (await task(context)) ?? null;
+      job.status = 'succeeded';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = { message: error.message };
+      // Tasks can attach what they got done before failing
+      if (error.result !== undefined) job.result = error.result;
+      this.logger.error(`Job ${job.id} (${job.type}) failed`, { message: error.message, stack: error.stack });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.durationMs = Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+      if (job.status === 'succeeded') {
+        this.logger.info(`Job ${job.id} (${job.type}) succeeded in ${job.durationMs}ms`);
+      }
+    }
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * Jobs newest first
+   * @param {{ type?: string, status?: string, limit?: number }} [filters]
+   */
+  list(filters = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!filters.type || job.type === filters.type) && (!filters.status || job.status === filters.status))
+      .reverse()
+      .slice(0, filters.limit || 50)
+      .map(job => this.snapshot(job));
+  }
+
+  /**
+   * Whether a job of this type is queued or running
+   */
+  hasActive(type) {
+    return Array.from(this.jobs.values()).some(job => job.type === type && !FINISHED_STATES.includes(job.status));
+  }
+
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINISHED_STATES.includes(job.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.historyLimit))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  snapshot(job) {
+    return JSON.parse(JSON.stringify(job));
+  }
+}
+
+module.exports = JobManager;
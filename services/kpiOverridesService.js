@@ -0,0 +1,205 @@
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ymdToUTC(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function utcToYMD(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate an override payload and normalize its shape; throws on invalid input
+ */
+function normalizeOverride(agentId, input) {
+  const prorateFactor = input.prorateFactor === undefined || input.prorateFactor === null ? 1 : Number(input.prorateFactor);
+  if (!(prorateFactor > 0 && prorateFactor <= 1)) {
+    throw new Error('prorateFactor must be greater than 0 and at most 1');
+  }
+
+  const startDate = input.startDate || null;
+  if (startDate && !YMD_PATTERN.test(startDate)) {
+    throw new Error('startDate must be YYYY-MM-DD');
+  }
+
+  const rampSchedule = (input.rampSchedule || []).map(step => ({
+    week: Number(step.week),
+    factor: Number(step.factor)
+  }));
+  for (const step of rampSchedule) {
+    if (!Number.isInteger(step.week) || step.week < 1) throw new Error('rampSchedule week must be an integer >= 1');
+    if (!(step.factor > 0 && step.factor <= 1)) throw new Error('rampSchedule factor must be greater than 0 and at most 1');
+  }
+  if (rampSchedule.length > 0 && !startDate) {
+    throw new Error('startDate is required when rampSchedule is set');
+  }
+  rampSchedule.sort((a, b) => a.week - b.week);
+
+  const excusedDates = Array.from(new Set(input.excusedDates || [])).sort();
+  for (const date of excusedDates) {
+    if (!YMD_PATTERN.test(date)) throw new Error(`excusedDates entries must be YYYY-MM-DD (got ${date})`);
+  }
+
+  return {
+    agentId: String(agentId),
+    agentName: input.agentName || null,
+    prorateFactor,
+    startDate,
+    rampSchedule,
+    excusedDates,
+    note: input.note || null
+  };
+}
+
+/**
+ * Per-agent KPI adjustments: part-time proration, ramp-up by week since start date,
+ * and excused days (PTO etc.) that are left out of averages and alerts.
+ *
+ * Persisted to the "KpiAgentOverride" table when Supabase is configured; otherwise
+ * kept in memory only.
+ */
+class KpiOverridesService {
+  constructor(logger = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'kpi-overrides-service' }
+      });
+
+    this.supabase = createSupabaseClient();
+    this.overrides = new Map();
+    this.holidays = null;
+  }
+
+  /**
+   * Business holidays (services/holidayService.js) are not working days, so they never count as excused
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  async load() {
+    if (!this.supabase) {
+      this.logger.warn('KPI overrides are in-memory only (Supabase not configured)');
+      return { persistent: false, overrideCount: this.overrides.size };
+    }
+
+    try {
+      const { data, error } = await this.supabase.from('KpiAgentOverride').select('*');
+      if (error) throw error;
+      this.overrides = new Map((data || []).map(row => {
+        const override = normalizeOverride(row.agentId, row);
+        return [override.agentId, override];
+      }));
+      this.logger.info(`Loaded ${this.overrides.size} KPI agent overrides from Supabase`);
+    } catch (error) {
+      this.logger.error('Failed to load KPI agent overrides from Supabase:', error.message);
+    }
+
+    return { persistent: true, overrideCount: this.overrides.size };
+  }
+
+  list() {
+    return Array.from(this.overrides.values());
+  }
+
+  get(agentId) {
+    return this.overrides.get(String(agentId)) || null;
+  }
+
+  async upsert(agentId, input) {
+    const override = normalizeOverride(agentId, input);
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('KpiAgentOverride').upsert(override, { onConflict: 'agentId' });
+      if (error) throw error;
+    }
+
+    this.overrides.set(override.agentId, override);
+    return override;
+  }
+
+  async remove(agentId) {
+    const key = String(agentId);
+    if (!this.overrides.has(key)) return false;
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('KpiAgentOverride').delete().eq('agentId', key);
+      if (error) throw error;
+    }
+
+    this.overrides.delete(key);
+    return true;
+  }
+
+  /**
+   * Whether an agent is excused from KPIs on a date (listed PTO day, or before their start date)
+   */
+  isExcused(agentId, dateYMD) {
+    const override = this.get(agentId);
+    if (!override) return false;
+    if (override.startDate && dateYMD < override.startDate) return true;
+    return override.excusedDates.includes(dateYMD);
+  }
+
+  /**
+   * Count working days in [startYMD, endYMD] on which the agent is excused
+   */
+  countExcusedDays(agentId, startYMD, endYMD) {
+    if (!this.get(agentId)) return 0;
+
+    let count = 0;
+    for (let ms = ymdToUTC(startYMD); ms <= ymdToUTC(endYMD); ms += DAY_MS) {
+      const ymd = utcToYMD(ms);
+      const dayOfWeek = new Date(ms).getUTCDay();
+      const isWorkingDay = this.holidays ? this.holidays.isWorkingDay(ymd) : dayOfWeek >= 1 && dayOfWeek <= 5;
+      if (isWorkingDay && this.isExcused(agentId, ymd)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Multiplier for an agent's volume targets on a date, with the reasons behind it
+   * @returns {{ factor: number, reasons: string[] }}
+   */
+  getTargetAdjustment(agentId, dateYMD) {
+    const override = this.get(agentId);
+    if (!override) return { factor: 1, reasons: [] };
+
+    let factor = 1;
+    const reasons = [];
+
+    if (override.prorateFactor !== 1) {
+      factor *= override.prorateFactor;
+      reasons.push(`prorated ${Math.round(override.prorateFactor * 100)}%`);
+    }
+
+    if (override.startDate && override.rampSchedule.length > 0 && dateYMD >= override.startDate) {
+      const week = Math.floor((ymdToUTC(dateYMD) - ymdToUTC(override.startDate)) / (7 * DAY_MS)) + 1;
+      // A step applies until the next listed week; after the last listed week the agent is fully ramped.
+      const lastWeek = override.rampSchedule[override.rampSchedule.length - 1].week;
+      const step = week <= lastWeek ? override.rampSchedule.filter(s => s.week <= week).pop() : null;
+      if (step && step.factor !== 1) {
+        factor *= step.factor;
+        reasons.push(`ramp week ${week} at ${Math.round(step.factor * 100)}%`);
+      }
+    }
+
+    return { factor, reasons };
+  }
+}
+
+module.exports = KpiOverridesService;
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+const defaultKpiRules = require('../config/kpiRules');
+const { toBusinessYMD } = require('../utils/businessTime');
+
+/**
+ * Metrics a rule can reference, read from processCallData-shaped stats
+ */
+const METRICS = {
+  dials: {
+    label: 'Dials',
+    unit: '',
+    scalesWithVolume: true,
+    read: stats => stats.totalCalls || 0,
+    shortfall: n => `${n} more dials`
+  },
+  talkTimeMinutes: {
+    label: 'Talk Time',
+    unit: 'min',
+    scalesWithVolume: true,
+    read: stats => stats.totalDurationMinutes || 0,
+    shortfall: n => `${n} more minutes`
+  },
+  answerRate: {
+    label: 'Answer Rate',
+    unit: '%',
+    scalesWithVolume: false,
+    read: stats => (stats.totalCalls > 0 ? Math.round((stats.answeredCalls / stats.totalCalls) * 100) : 0),
+    shortfall: n => `${n} pts more answer rate`
+  },
+  inboundAnswered: {
+    label: 'Inbound Answered',
+    unit: '',
+    scalesWithVolume: true,
+    read: stats => stats.answeredInboundCalls || 0,
+    shortfall: n => `${n} more inbound answered`
+  }
+};
+
+const OPERATORS = {
+  '>=': (actual, target) => actual >= target,
+  '>': (actual, target) => actual > target,
+  '<=': (actual, target) => actual <= target,
+  '<': (actual, target) => actual < target,
+  '==': (actual, target) => actual === target
+};
+
+// Agent-specific rules beat team rules, which beat category rules.
+const SCOPE_PRIORITY = { agentId: 3, team: 2, category: 1 };
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate a rule and normalize its shape; throws on invalid input
+ */
+function normalizeRule(rule) {
+  const scope = rule.scope || {
+    category: rule.category || undefined,
+    team: rule.team || undefined,
+    agentId: rule.agentId || undefined
+  };
+  const scopeKeys = Object.keys(SCOPE_PRIORITY).filter(k => scope[k] !== undefined && scope[k] !== null);
+  if (scopeKeys.length !== 1) {
+    throw new Error(`KPI rule ${rule.id || '(no id)'} must have exactly one scope (category, team or agentId)`);
+  }
+
+  const metrics = rule.metrics || [];
+  if (metrics.length === 0) {
+    throw new Error(`KPI rule ${rule.id || '(no id)'} has no metrics`);
+  }
+  for (const m of metrics) {
+    if (!METRICS[m.metric]) throw new Error(`KPI rule ${rule.id}: unknown metric "${m.metric}"`);
+    if (!OPERATORS[m.operator]) throw new Error(`KPI rule ${rule.id}: unknown operator "${m.operator}"`);
+    if (typeof m.value !== 'number') throw new Error(`KPI rule ${rule.id}: value for ${m.metric} must be a number`);
+  }
+
+  const scopeKey = scopeKeys[0];
+  return {
+    id: rule.id ? String(rule.id) : `${scopeKey}:${scope[scopeKey]}:${rule.effectiveFrom || 'always'}`,
+    scopeKey,
+    scopeValue: String(scope[scopeKey]).toLowerCase(),
+    effectiveFrom: rule.effectiveFrom || null,
+    effectiveTo: rule.effectiveTo || null,
+    metrics: metrics.map(m => ({ metric: m.metric, operator: m.operator, value: m.value }))
+  };
+}
+
+class KpiRulesService {
+  constructor(logger = null, rules = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'kpi-rules-service' }
+      });
+
+    this.source = 'config';
+    this.overrides = null;
+    this.setRules(rules || this.loadFromFile());
+  }
+
+  /**
+   * Apply per-agent overrides (see services/kpiOverridesService.js) during evaluation
+   */
+  setOverridesService(overridesService) {
+    this.overrides = overridesService;
+  }
+
+  /**
+   * Rules from KPI_RULES_FILE (JSON array) if set, otherwise config/kpiRules.js
+   */
+  loadFromFile() {
+    const file = process.env.KPI_RULES_FILE;
+    if (!file) {
+      return defaultKpiRules;
+    }
+    this.source = `file:${file}`;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Replace rules from the "KpiRule" table when KPI_RULES_SOURCE=supabase.
+   * Keeps the current rules if the table is unavailable.
+   */
+  async load() {
+    if (process.env.KPI_RULES_SOURCE !== 'supabase') {
+      return { source: this.source, ruleCount: this.rules.length };
+    }
+
+    const supabase = createSupabaseClient();
+    if (!supabase) {
+      this.logger.warn('KPI_RULES_SOURCE=supabase but Supabase is not configured; using config rules');
+      return { source: this.source, ruleCount: this.rules.length };
+    }
+
+    try {
+      const { data, error } = await supabase.from('KpiRule').select('*');
+      if (error) throw error;
+      this.setRules(data || []);
+      this.source = 'supabase';
+      this.logger.info(`Loaded ${this.rules.length} KPI rules from Supabase`);
+    } catch (error) {
+      this.logger.error('Failed to load KPI rules from Supabase; keeping current rules:', error.message);
+    }
+
+    return { source: this.source, ruleCount: this.rules.length };
+  }
+
+  setRules(rules) {
+    this.rules = (rules || []).map(normalizeRule);
+  }
+
+  /**
+   * Find the rule that applies to an agent on a given date
+   *
+   * @param {{ user_id?: any, team?: string, agentCategory?: string }} user
+   * @param {string} [dateYMD] - defaults to today
+   */
+  getRuleFor(user, dateYMD = toBusinessYMD(new Date())) {
+    const candidates = this.rules.filter(rule => {
+      if (rule.effectiveFrom && dateYMD < rule.effectiveFrom) return false;
+      if (rule.effectiveTo && dateYMD > rule.effectiveTo) return false;
+
+      if (rule.scopeKey === 'agentId') return user.user_id !== undefined && rule.scopeValue === String(user.user_id).toLowerCase();
+      if (rule.scopeKey === 'team') return !!user.team && rule.scopeValue === String(user.team).toLowerCase();
+      return !!user.agentCategory && rule.scopeValue === String(user.agentCategory).toLowerCase();
+    });
+
+    candidates.sort((a, b) =>
+      SCOPE_PRIORITY[b.scopeKey] - SCOPE_PRIORITY[a.scopeKey] ||
+      String(b.effectiveFrom || '').localeCompare(String(a.effectiveFrom || ''))
+    );
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Rule that applies to a whole category (used for section headers)
+   */
+  getCategoryRule(category, dateYMD) {
+    return this.getRuleFor({ agentCategory: category }, dateYMD);
+  }
+
+  /**
+   * Evaluate an agent's stats against their rule, applying any per-agent override
+   *
+   * @param {object} user - needs user_id / team / agentCategory for rule lookup
+   * @param {object} stats - processCallData-shaped numbers (per-day averages for multi-day reports)
+   * @param {{ date?: string, ignoreExcused?: boolean }} [options] - multi-day reports pass
+   *   ignoreExcused and drop excused days from their averages instead
+   * @returns {{ hasKpis: boolean, meetsKPIs: boolean, excused: boolean, ruleId: string|null, adjustment: object, results: object[] }}
+   */
+  evaluate(user, stats, options = {}) {
+    const date = options.date || toBusinessYMD(new Date());
+    const rule = this.getRuleFor(user, date);
+    const hasOverride = Boolean(this.overrides && user.user_id !== undefined && this.overrides.get(user.user_id));
+    const adjustment = hasOverride
+      ? this.overrides.getTargetAdjustment(user.user_id, date)
+      : { factor: 1, reasons: [] };
+
+    if (!rule) {
+      return { hasKpis: false, meetsKPIs: true, excused: false, ruleId: null, adjustment, results: [] };
+    }
+
+    // Excused days (PTO, before start date) produce no status and no alerts
+    if (hasOverride && !options.ignoreExcused && this.overrides.isExcused(user.user_id, date)) {
+      return { hasKpis: false, meetsKPIs: true, excused: true, ruleId: rule.id, adjustment, results: [] };
+    }
+
+    const results = rule.metrics.map(m => {
+      const def = METRICS[m.metric];
+      const target = def.scalesWithVolume ? round2(m.value * adjustment.factor) : m.value;
+      const actual = round2(def.read(stats));
+      const passed = OPERATORS[m.operator](actual, target);
+      const gap = m.operator.startsWith('>') ? Math.max(0, target - actual) : Math.max(0, actual - target);
+      return {
+        metric: m.metric,
+        label: def.label,
+        unit: def.unit,
+        operator: m.operator,
+        target,
+        actual,
+        passed,
+        shortfall: passed ? 0 : round2(gap)
+      };
+    });
+
+    return {
+      hasKpis: true,
+      meetsKPIs: results.every(r => r.passed),
+      excused: false,
+      ruleId: rule.id,
+      adjustment,
+      results
+    };
+  }
+
+  /**
+   * Human-readable text for what an agent is missing, e.g. "5 more dials, 12 more minutes"
+   */
+  describeShortfalls(evaluation, formatNumber = n => n) {
+    return evaluation.results
+      .filter(r => !r.passed)
+      .map(r => (r.operator.startsWith('>')
+        ? METRICS[r.metric].shortfall(formatNumber(r.shortfall))
+        : `${r.label} ${formatNumber(r.shortfall)}${r.unit ? ` ${r.unit}` : ''} over limit`))
+      .join(', ');
+  }
+
+  /**
+   * Human-readable rule, e.g. "60+ dials/day AND 60+ min talk time/day"
+   */
+  describeRule(rule) {
+    if (!rule) return '';
+    return rule.metrics.map(m => {
+      const suffix = m.operator === '>=' ? '+' : '';
+      const prefix = m.operator === '>=' ? '' : `${m.operator} `;
+      switch (m.metric) {
+        case 'dials':
+          return `${prefix}${m.value}${suffix} dials/day`;
+        case 'talkTimeMinutes':
+          return `${prefix}${m.value}${suffix} min talk time/day`;
+        case 'answerRate':
+          return `${prefix}${m.value}%${suffix} answer rate`;
+        default:
+          return `${prefix}${m.value}${suffix} ${METRICS[m.metric].label.toLowerCase()}/day`;
+      }
+    }).join(' AND ');
+  }
+}
+
+module.exports = KpiRulesService;
@@ -0,0 +1,238 @@
+const winston = require('winston');
+const { organizeUsersByCategory, formatUserData } = require('../utils/reportData');
+const {
+  getBusinessTimezone,
+  toBusinessYMD,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayOfWeekYMD,
+  getWeekRange
+} = require('../utils/businessTime');
+
+// Rankable metrics, computed from AircallService.processCallData stats
+const METRICS = {
+  dials: { label: 'Dials', value: stats => stats.totalCalls },
+  talkTime: { label: 'Talk Time', value: stats => stats.totalDurationMinutes },
+  answerRate: {
+    label: 'Answer Rate',
+    value: stats => (stats.totalCalls > 0 ? Math.round((stats.answeredCalls / stats.totalCalls) * 100) : 0)
+  }
+};
+const DEFAULT_METRICS = ['dials', 'talkTime', 'answerRate'];
+const PERIODS = ['today', 'week', 'month'];
+
+// Streaks and personal bests look back this many working days
+const LOOKBACK_WORKING_DAYS = 30;
+// A day's answer rate only counts as a personal best with enough dials behind it
+const MIN_DIALS_FOR_ANSWER_RATE = 10;
+
+/**
+ * Builds the leaderboard: agents ranked within their category by the chosen metrics over
+ * today, this week or this month, with KPI streaks (consecutive working days meeting
+ * KPIs) and personal bests over the last LOOKBACK_WORKING_DAYS working days.
+ */
+class LeaderboardService {
+  constructor(logger, generateReport, kpiRulesService, aircallService) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'leaderboard-service' }
+      });
+    this.generateReport = generateReport;
+    this.kpiRules = kpiRulesService;
+    this.aircallService = aircallService;
+    this.holidays = null;
+  }
+
+  /**
+   * Skip business holidays (services/holidayService.js) in streaks
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+
+  isWorkingDay(dateYMD) {
+    if (this.holidays) return this.holidays.isWorkingDay(dateYMD);
+    const dayOfWeek = getDayOfWeekYMD(dateYMD);
+    return dayOfWeek >= 1 && dayOfWeek <= 5;
+  }
+
+  /**
+   * Validate leaderboard options and resolve the ranking window (start of the period to now)
+   *
+   * @param {{ period?: string, metrics?: string[] }} [options] - period 'today' (default),
+   *   'week' or 'month'; metrics ranked in order, from dials, talkTime and answerRate
+   */
+  resolve({ period = 'today', metrics = DEFAULT_METRICS } = {}, now = new Date()) {
+    if (!PERIODS.includes(period)) {
+      throw new Error(`period must be one of: ${PERIODS.join(', ')}`);
+    }
+    if (!Array.isArray(metrics) || metrics.length === 0) {
+      throw new Error('metrics must be a non-empty array');
+    }
+    const unknown = metrics.filter(metric => !METRICS[metric]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown metric(s): ${unknown.join(', ')}. Use: ${Object.keys(METRICS).join(', ')}`);
+    }
+
+    const timezone = getBusinessTimezone();
+    const today = toBusinessYMD(now, timezone);
+    let startDate = today;
+    let label = new Date(`${today}T12:00:00Z`).toLocaleString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+    if (period === 'week') {
+      startDate = getWeekRange(now, timezone).startDate;
+      label = `Week of ${new Date(`${startDate}T12:00:00Z`).toLocaleString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' })}`;
+    } else if (period === 'month') {
+      startDate = `${today.slice(0, 7)}-01`;
+      label = new Date(`${startDate}T12:00:00Z`).toLocaleString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    }
+
+    const startTime = businessTimeToDate(startDate, 0, 0, 0, 0, timezone);
+    return {
+      period,
+      metrics: [...new Set(metrics)],
+      label,
+      today,
+      startDate,
+      startTime,
+      endTime: now,
+      startTimeISO: startTime.toISOString(),
+      endTimeISO: now.toISOString(),
+      timezone
+    };
+  }
+
+  /**
+   * The last `count` working days up to and including a date, oldest first
+   */
+  listLookbackDays(dateYMD, count = LOOKBACK_WORKING_DAYS) {
+    const days = [];
+    // Bounded so a calendar with no working days can't loop forever
+    for (let day = dateYMD, i = 0; days.length < count && i < count * 3; day = addDaysYMD(day, -1), i++) {
+      if (this.isWorkingDay(day)) days.unshift(day);
+    }
+    return days;
+  }
+
+  /**
+   * Fetch activity for the ranking window and the streak lookback, and shape it for
+   * SlackService.sendLeaderboard
+   *
+   * @param {object} [range] - from resolve(); defaults to today ranked by every metric
+   */
+  async build(range = this.resolve()) {
+    const lookbackDays = this.listLookbackDays(range.today);
+    const fetchStartDate = lookbackDays.length > 0 && lookbackDays[0] < range.startDate ? lookbackDays[0] : range.startDate;
+    const fetchStart = businessTimeToDate(fetchStartDate, 0, 0, 0, 0, range.timezone);
+    this.logger.info(`Leaderboard ${range.period}: ranking from ${range.startTimeISO}, history from ${fetchStart.toISOString()}`);
+
+    // The lookback spans six weeks or more, past the page cap of one fetch
+    const data = await this.generateReport('Leaderboard', fetchStart.toISOString(), range.endTimeISO, { fetchByDay: true });
+    const organized = organizeUsersByCategory(data.users || []);
+
+    const processAgents = users => this.rank(users.map(user => this.processAgent(user, range, lookbackDays)), range.metrics);
+    const processedDispo = processAgents(organized.dispoAgents);
+    const processedAcquisition = processAgents(organized.acquisitionAgents);
+    const processedOther = processAgents(organized.otherUsers);
+
+    return {
+      period: range.period,
+      label: range.label,
+      startTime: range.startTimeISO,
+      endTime: range.endTimeISO,
+      timezone: range.timezone,
+      metrics: range.metrics.map(key => ({ key, label: METRICS[key].label })),
+      lookbackDays: lookbackDays.length,
+      summary: {
+        totalUsers: organized.totalUsers,
+        dispoCount: organized.dispoCount,
+        acquisitionCount: organized.acquisitionCount,
+        otherCount: organized.otherCount
+      },
+      dispoAgents: processedDispo,
+      acquisitionAgents: processedAcquisition,
+      otherUsers: processedOther
+    };
+  }
+
+  /**
+   * Ranking values for the period, KPI streaks and personal bests for one agent.
+   * Excused days and days without KPIs neither extend nor break a streak, and today
+   * only extends it once met (the day is still in progress).
+   */
+  processAgent(user, range, lookbackDays) {
+    const callsByDay = new Map();
+    const periodCalls = [];
+    for (const call of user.calls || []) {
+      if (!call.started_at) continue;
+      const day = toBusinessYMD(new Date(call.started_at * 1000), range.timezone);
+      if (!callsByDay.has(day)) callsByDay.set(day, []);
+      callsByDay.get(day).push(call);
+      if (day >= range.startDate) periodCalls.push(call);
+    }
+
+    const stats = this.aircallService.processCallData(periodCalls);
+    const values = Object.fromEntries(range.metrics.map(metric => [metric, METRICS[metric].value(stats)]));
+
+    const overrides = this.kpiRules.overrides;
+    const bests = {};
+    const priorBests = {};
+    let hasKpis = false;
+    let current = 0;
+    let best = 0;
+    for (const day of lookbackDays) {
+      const dayStats = this.aircallService.processCallData(callsByDay.get(day) || []);
+      for (const metric of range.metrics) {
+        if (metric === 'answerRate' && dayStats.totalCalls < MIN_DIALS_FOR_ANSWER_RATE) continue;
+        const value = METRICS[metric].value(dayStats);
+        if (value > 0 && (!bests[metric] || value > bests[metric].value)) {
+          bests[metric] = { value, date: day };
+          if (day < range.startDate) priorBests[metric] = bests[metric];
+        }
+      }
+
+      if (overrides && overrides.isExcused(user.user_id, day)) continue;
+      const evaluation = this.kpiRules.evaluate(user, dayStats, { date: day, ignoreExcused: true });
+      if (!evaluation.hasKpis) continue;
+      hasKpis = true;
+      if (evaluation.meetsKPIs) {
+        current++;
+        best = Math.max(best, current);
+      } else if (day !== range.today) {
+        current = 0;
+      }
+    }
+
+    // Only a best that beats an earlier one counts as set this period, not an agent's first days
+    const personalBests = Object.fromEntries(Object.entries(bests).map(([metric, { value, date }]) => [
+      metric,
+      { value, date, setThisPeriod: date >= range.startDate && Boolean(priorBests[metric]) }
+    ]));
+
+    return {
+      ...formatUserData({ ...user, ...stats, calls: periodCalls }),
+      values,
+      streak: hasKpis ? { current, best } : null,
+      personalBests
+    };
+  }
+
+  /**
+   * Order agents by each metric in turn (highest first) and number them
+   */
+  rank(agents, metrics) {
+    return [...agents]
+      .sort((a, b) => {
+        for (const metric of metrics) {
+          const diff = b.values[metric] - a.values[metric];
+          if (diff !== 0) return diff;
+        }
+        return String(a.name).localeCompare(String(b.name));
+      })
+      .map((agent, index) => ({ rank: index + 1, ...agent }));
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,127 @@
+const winston = require('winston');
+const { toBusinessYMD, getBusinessTimezone } = require('../utils/businessTime');
+
+const TRACKED_EVENTS = ['call.created', 'call.answered', 'call.ended'];
+
+/**
+ * Per-agent running counters fed by Aircall webhooks.
+ *
+ * Each agent keeps the latest version of every call seen today (keyed by call id, so
+ * replayed or out-of-order events are harmless) and its stats are recomputed with
+ * AircallService.processCallData, so live numbers match the pulled reports.
+ */
+class LiveActivityService {
+  constructor(aircallService, logger = null) {
+    this.aircallService = aircallService;
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'live-activity-service' }
+      });
+
+    this.resetDay(toBusinessYMD(new Date()));
+  }
+
+  resetDay(dayYMD) {
+    this.dayYMD = dayYMD;
+    this.agents = new Map();
+    this.lastEventAt = null;
+  }
+
+  isTrackedEvent(eventName) {
+    return TRACKED_EVENTS.includes(eventName);
+  }
+
+  /**
+   * Apply a single Aircall webhook event
+   * @returns {{ applied: boolean, reason?: string }}
+   */
+  handleEvent(event) {
+    const eventName = event?.event;
+    const call = event?.data;
+
+    if (!this.isTrackedEvent(eventName)) {
+      return { applied: false, reason: 'untracked_event' };
+    }
+    if (!call?.id || !call.user?.id) {
+      return { applied: false, reason: 'no_user' };
+    }
+
+    const today = toBusinessYMD(new Date());
+    if (today !== this.dayYMD) {
+      this.logger.info(`Live activity counters rolled over from ${this.dayYMD} to ${today}`);
+      this.resetDay(today);
+    }
+
+    const callDay = call.started_at ? toBusinessYMD(new Date(call.started_at * 1000)) : today;
+    if (callDay !== this.dayYMD) {
+      return { applied: false, reason: 'outside_current_day' };
+    }
+
+    if (this.aircallService.isUserExcluded(call.user)) {
+      return { applied: false, reason: 'excluded_user' };
+    }
+
+    const agent = this.getOrCreateAgent(call.user);
+    agent.calls.set(call.id, { ...agent.calls.get(call.id), ...call });
+
+    if (eventName === 'call.ended') {
+      agent.activeCallIds.delete(call.id);
+    } else if (eventName === 'call.answered') {
+      agent.activeCallIds.add(call.id);
+    }
+
+    // Only in-shift calls count towards the live numbers, as in the pulled reports
+    const { calls, ...shiftActivity } = this.aircallService.applyShift(agent, 'night', Array.from(agent.calls.values()));
+    agent.stats = this.aircallService.processCallData(calls);
+    agent.shiftActivity = shiftActivity;
+    agent.lastEventAt = new Date().toISOString();
+    this.lastEventAt = agent.lastEventAt;
+
+    return { applied: true };
+  }
+
+  getOrCreateAgent(user) {
+    if (!this.agents.has(user.id)) {
+      this.agents.set(user.id, {
+        user_id: user.id,
+        name: user.name,
+        email: user.email,
+        agentCategory: this.aircallService.getAgentCategory(user),
+        team: this.aircallService.getRosterEntry(user.id)?.team || null,
+        calls: new Map(),
+        activeCallIds: new Set(),
+        stats: this.aircallService.processCallData([]),
+        shiftActivity: {},
+        lastEventAt: null
+      });
+    }
+    return this.agents.get(user.id);
+  }
+
+  /**
+   * Current counters for every agent seen today
+   */
+  getSnapshot() {
+    return {
+      date: this.dayYMD,
+      timezone: getBusinessTimezone(),
+      lastEventAt: this.lastEventAt,
+      users: Array.from(this.agents.values()).map(agent => ({
+        user_id: agent.user_id,
+        name: agent.name,
+        email: agent.email,
+        agentCategory: agent.agentCategory,
+        team: agent.team,
+        ...agent.stats,
+        ...agent.shiftActivity,
+        onCall: agent.activeCallIds.size > 0,
+        lastEventAt: agent.lastEventAt
+      }))
+    };
+  }
+}
+
+module.exports = LiveActivityService;
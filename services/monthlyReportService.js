@@ -0,0 +1,251 @@
+const winston = require('winston');
+const { organizeUsersByCategory, formatUserData, isShiftInProgress } = require('../utils/reportData');
+const {
+  getBusinessTimezone,
+  toBusinessYMD,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayOfWeekYMD
+} = require('../utils/businessTime');
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Builds the monthly KPI report: the month (or month to date) fetched a day at a time,
+ * per-agent totals, daily averages over the month's working days, the number of days
+ * each KPI was hit, and a ranking within each agent category.
+ */
+class MonthlyReportService {
+  constructor(logger, generateReport, kpiRulesService, aircallService) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'monthly-report-service' }
+      });
+    this.generateReport = generateReport;
+    this.kpiRules = kpiRulesService;
+    this.aircallService = aircallService;
+    this.holidays = null;
+  }
+
+  /**
+   * Leave business holidays (services/holidayService.js) out of the working days
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+
+  /**
+   * Date range of a month in business time; the current month runs to `now` (month to date)
+   *
+   * @param {string} [month] - 'current', 'previous' or YYYY-MM
+   */
+  resolveMonth(month = 'current', now = new Date()) {
+    const timezone = getBusinessTimezone();
+    const today = toBusinessYMD(now, timezone);
+    const currentMonth = today.slice(0, 7);
+
+    let key;
+    if (!month || month === 'current') {
+      key = currentMonth;
+    } else if (month === 'previous') {
+      key = addDaysYMD(`${currentMonth}-01`, -1).slice(0, 7);
+    } else {
+      const match = MONTH_PATTERN.exec(month);
+      if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new Error('month must be "current", "previous" or YYYY-MM');
+      }
+      key = month;
+    }
+    if (key > currentMonth) {
+      throw new Error(`month ${key} has not started yet`);
+    }
+
+    const [year, monthNumber] = key.split('-').map(Number);
+    const nextMonth = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+    const monthToDate = key === currentMonth;
+    const startDate = `${key}-01`;
+    const endDate = monthToDate ? today : addDaysYMD(`${nextMonth}-01`, -1);
+    const startTime = businessTimeToDate(startDate, 0, 0, 0, 0, timezone);
+    const endTime = monthToDate ? now : businessTimeToDate(endDate, 23, 59, 59, 999, timezone);
+
+    return {
+      month: key,
+      label: new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      monthToDate,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      startTimeISO: startTime.toISOString(),
+      endTimeISO: endTime.toISOString(),
+      timezone
+    };
+  }
+
+  /**
+   * Working days in [startYMD, endYMD]: Monday-Friday less business holidays
+   */
+  listWorkingDays(startYMD, endYMD) {
+    const days = [];
+    for (let day = startYMD; day <= endYMD; day = addDaysYMD(day, 1)) {
+      const isWorkingDay = this.holidays
+        ? this.holidays.isWorkingDay(day)
+        : getDayOfWeekYMD(day) >= 1 && getDayOfWeekYMD(day) <= 5;
+      if (isWorkingDay) days.push(day);
+    }
+    return days;
+  }
+
+  /**
+   * Fetch a month's activity and shape it for SlackService.sendMonthlyReport
+   *
+   * @param {object} [monthRange] - from resolveMonth(); defaults to the current month to date
+   */
+  async build(monthRange = this.resolveMonth()) {
+    this.logger.info(`Monthly report ${monthRange.month}: ${monthRange.startTimeISO} to ${monthRange.endTimeISO}`);
+
+    // A month of calls can exceed the page cap of one fetch
+    const data = await this.generateReport('Monthly', monthRange.startTimeISO, monthRange.endTimeISO, { fetchByDay: true });
+
+    const workingDays = this.listWorkingDays(monthRange.startDate, monthRange.endDate);
+    const holidays = this.holidays ? this.holidays.listBetween(monthRange.startDate, monthRange.endDate) : [];
+    const organized = organizeUsersByCategory(data.users || []);
+
+    // Month to date, today counts once the agent's shift is over
+    const inProgressDay = user =>
+      monthRange.monthToDate && isShiftInProgress(user, monthRange.endDate, monthRange.endTime, monthRange.timezone)
+        ? monthRange.endDate
+        : null;
+    const processAgents = users => this.rank(users.map(user =>
+      this.processAgent(user, workingDays, monthRange.timezone, inProgressDay(user))
+    ));
+    const processedDispo = processAgents(organized.dispoAgents);
+    const processedAcquisition = processAgents(organized.acquisitionAgents);
+    const processedOther = processAgents(organized.otherUsers);
+
+    const allAgents = [...processedDispo, ...processedAcquisition, ...processedOther];
+    const ruleFor = category => this.kpiRules.getCategoryRule(category, monthRange.startDate);
+
+    return {
+      period: 'Monthly',
+      month: monthRange.month,
+      label: monthRange.label,
+      monthToDate: monthRange.monthToDate,
+      startTime: monthRange.startTimeISO,
+      endTime: monthRange.endTimeISO,
+      timezone: monthRange.timezone,
+      workingDays: workingDays.length,
+      holidays: holidays.map(({ date, name }) => ({ date, name })),
+      summary: {
+        totalUsers: organized.totalUsers,
+        dispoCount: organized.dispoCount,
+        acquisitionCount: organized.acquisitionCount,
+        otherCount: organized.otherCount,
+        totalCalls: allAgents.reduce((sum, agent) => sum + agent.monthlyTotal.totalCalls, 0),
+        totalDurationMinutes: round2(allAgents.reduce((sum, agent) => sum + agent.monthlyTotal.totalDurationMinutes, 0))
+      },
+      dispoAgents: processedDispo,
+      acquisitionAgents: processedAcquisition,
+      otherUsers: processedOther,
+      kpiRuleDescriptions: {
+        dispo: this.kpiRules.describeRule(ruleFor('dispo')),
+        acquisition: this.kpiRules.describeRule(ruleFor('acquisition'))
+      }
+    };
+  }
+
+  /**
+   * Totals, daily averages and per-day KPI results for one agent. Each working day is
+   * evaluated against the rule in effect that day; excused days are left out.
+   *
+   * @param {string|null} [inProgressDay] - day whose shift hasn't ended: kept in the totals,
+   *   left out of the KPI days and daily averages
+   */
+  processAgent(user, workingDays, timezone, inProgressDay = null) {
+    const overrides = this.kpiRules.overrides;
+    const callsByDay = new Map();
+    for (const call of user.calls || []) {
+      if (!call.started_at) continue;
+      const day = toBusinessYMD(new Date(call.started_at * 1000), timezone);
+      if (!callsByDay.has(day)) callsByDay.set(day, []);
+      callsByDay.get(day).push(call);
+    }
+
+    let excusedDays = 0;
+    let evaluatedDays = 0;
+    let daysMet = 0;
+    const metricDays = new Map();
+    const completedDays = workingDays.filter(day => day !== inProgressDay);
+    for (const day of completedDays) {
+      if (overrides && overrides.isExcused(user.user_id, day)) {
+        excusedDays++;
+        continue;
+      }
+
+      const stats = this.aircallService.processCallData(callsByDay.get(day) || []);
+      const evaluation = this.kpiRules.evaluate(user, stats, { date: day, ignoreExcused: true });
+      if (!evaluation.hasKpis) continue;
+
+      evaluatedDays++;
+      if (evaluation.meetsKPIs) daysMet++;
+      for (const result of evaluation.results) {
+        const counts = metricDays.get(result.metric) || { metric: result.metric, label: result.label, daysHit: 0 };
+        if (result.passed) counts.daysHit++;
+        metricDays.set(result.metric, counts);
+      }
+    }
+
+    const agentWorkingDays = Math.max(0, completedDays.length - excusedDays);
+    const perDay = value => (agentWorkingDays > 0 ? round2(value / agentWorkingDays) : 0);
+    const partialDay = inProgressDay
+      ? this.aircallService.processCallData(callsByDay.get(inProgressDay) || [])
+      : { totalCalls: 0, totalDurationMinutes: 0 };
+
+    return {
+      ...formatUserData(user),
+      monthlyTotal: {
+        totalCalls: user.totalCalls,
+        totalDurationMinutes: user.totalDurationMinutes,
+        answeredCalls: user.answeredCalls,
+        inboundCalls: user.inboundCalls || 0,
+        outboundCalls: user.outboundCalls || 0
+      },
+      dailyAverage: {
+        dialsPerDay: perDay(user.totalCalls - partialDay.totalCalls),
+        talkTimePerDay: perDay(user.totalDurationMinutes - partialDay.totalDurationMinutes)
+      },
+      workingDays: agentWorkingDays,
+      excusedDays,
+      dayInProgress: inProgressDay,
+      kpi: {
+        hasKpis: evaluatedDays > 0,
+        evaluatedDays,
+        daysMet,
+        metrics: Array.from(metricDays.values())
+      }
+    };
+  }
+
+  /**
+   * Order agents by share of KPI days met, then dials and talk time per day, and number them
+   */
+  rank(agents) {
+    const hitRate = agent => (agent.kpi.evaluatedDays > 0 ? agent.kpi.daysMet / agent.kpi.evaluatedDays : -1);
+    return [...agents]
+      .sort((a, b) =>
+        hitRate(b) - hitRate(a) ||
+        b.dailyAverage.dialsPerDay - a.dailyAverage.dialsPerDay ||
+        b.dailyAverage.talkTimePerDay - a.dailyAverage.talkTimePerDay
+      )
+      .map((agent, index) => ({ rank: index + 1, ...agent }));
+  }
+}
+
+module.exports = MonthlyReportService;
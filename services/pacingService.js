@@ -0,0 +1,134 @@
+const winston = require('winston');
+const { organizeUsersByCategory } = require('../utils/reportData');
+const {
+  getBusinessTimezone,
+  getZonedParts,
+  toBusinessYMD,
+  businessTimeToDate
+} = require('../utils/businessTime');
+
+// Shift hours used when no shifts are configured (the night report's 7 AM - 7 PM)
+const DEFAULT_SHIFT = { start: '07:00', end: '19:00' };
+// Projections from the first minutes of a shift are mostly noise
+const MIN_ELAPSED_FRACTION = 0.1;
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Intraday pacing: at a checkpoint, projects each agent's calls so far to the end of their
+ * shift at the same rate and flags agents projected to miss their KPI targets.
+ *
+ * Stats come from AircallService.processCallData for the business day up to now; volume
+ * metrics are scaled by the share of the shift elapsed, so rates such as answer rate keep
+ * their current value.
+ */
+class PacingService {
+  constructor(logger, generateReport, kpiRulesService) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'pacing-service' }
+      });
+    this.generateReport = generateReport;
+    this.kpiRules = kpiRulesService;
+  }
+
+  /**
+   * Share of a shift elapsed at a minute of the day, between 0 and 1
+   */
+  getElapsedFraction(shift, minuteOfDay) {
+    const start = toMinutes(shift.start);
+    const end = toMinutes(shift.end);
+    return Math.min(1, Math.max(0, (minuteOfDay - start) / (end - start)));
+  }
+
+  /**
+   * End-of-shift stats if the agent keeps today's pace
+   */
+  project(stats, elapsedFraction) {
+    const scale = value => round2((value || 0) / elapsedFraction);
+    return {
+      ...stats,
+      totalCalls: scale(stats.totalCalls),
+      answeredCalls: scale(stats.answeredCalls),
+      totalDurationMinutes: scale(stats.totalDurationMinutes),
+      answeredInboundCalls: scale(stats.answeredInboundCalls)
+    };
+  }
+
+  /**
+   * Pacing check for today up to `now`
+   *
+   * @returns {Promise<object>} { date, checkpoint, timezone, evaluatedCount, onPaceCount, atRisk[] }
+   */
+  async check(now = new Date()) {
+    const timezone = getBusinessTimezone();
+    const date = toBusinessYMD(now, timezone);
+    const parts = getZonedParts(now, timezone);
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    const checkpoint = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+
+    const startTime = businessTimeToDate(date, 0, 0, 0, 0, timezone);
+    this.logger.info(`Pacing check ${date} ${checkpoint}: ${startTime.toISOString()} to ${now.toISOString()}`);
+    const data = await this.generateReport('Pacing', startTime.toISOString(), now.toISOString());
+    const organized = organizeUsersByCategory(data.users || []);
+
+    const atRisk = [];
+    let evaluatedCount = 0;
+    // Per category too, so channels routed to one category can report their own counts
+    const evaluatedByCategory = { dispo: 0, acquisition: 0 };
+    for (const user of [...organized.dispoAgents, ...organized.acquisitionAgents]) {
+      const shift = user.shift || DEFAULT_SHIFT;
+      const elapsedFraction = this.getElapsedFraction(shift, minuteOfDay);
+      if (elapsedFraction < MIN_ELAPSED_FRACTION) continue;
+
+      const projected = this.project(user, elapsedFraction);
+      const evaluation = this.kpiRules.evaluate(user, projected, { date });
+      if (!evaluation.hasKpis) continue;
+
+      evaluatedCount++;
+      evaluatedByCategory[user.agentCategory]++;
+      if (evaluation.meetsKPIs) continue;
+      atRisk.push({
+        name: user.name,
+        user_id: user.user_id,
+        agentCategory: user.agentCategory,
+        team: user.team || null,
+        shift: { start: shift.start, end: shift.end },
+        elapsedPercent: Math.round(elapsedFraction * 100),
+        actual: { totalCalls: user.totalCalls, totalDurationMinutes: user.totalDurationMinutes },
+        projected: { totalCalls: projected.totalCalls, totalDurationMinutes: projected.totalDurationMinutes },
+        evaluation,
+        // What is still needed by end of shift, from the actual numbers so far
+        remaining: this.kpiRules.evaluate(user, user, { date })
+      });
+    }
+
+    // Furthest behind first: most metrics missed, then lowest projected dials
+    atRisk.sort((a, b) =>
+      b.evaluation.results.filter(r => !r.passed).length - a.evaluation.results.filter(r => !r.passed).length ||
+      a.projected.totalCalls - b.projected.totalCalls
+    );
+
+    return {
+      date,
+      checkpoint,
+      timezone,
+      evaluatedCount,
+      evaluatedByCategory,
+      onPaceCount: evaluatedCount - atRisk.length,
+      atRisk
+    };
+  }
+}
+
+module.exports = PacingService;
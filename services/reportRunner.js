@@ -0,0 +1,460 @@
+const winston = require('winston');
+
+/**
+ * The background work behind /report/night, /report/custom, /report/monthly, /report/leaderboard,
+ * /report/dm and /sync/*. Each run reports progress through the job context and resolves to a summary
+ * that becomes the job result; a failed run throws with the partial summary attached as `error.result`.
+ */
+class ReportRunner {
+  constructor(logger, generateReport, slackService, supabaseSyncService, weeklyReportService, monthlyReportService = null, trendService = null, leaderboardService = null, pacingService = null, directMessageService = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'report-runner' }
+      });
+    this.generateReport = generateReport;
+    this.slackService = slackService;
+    this.supabaseSyncService = supabaseSyncService;
+    this.weeklyReportService = weeklyReportService;
+    this.monthlyReportService = monthlyReportService;
+    this.trendService = trendService;
+    this.leaderboardService = leaderboardService;
+    this.pacingService = pacingService;
+    this.directMessageService = directMessageService;
+    this.runLock = null;
+  }
+
+  /**
+   * Share the daily 'dm' run lock (services/runLockService.js) with POST /report/dm, so the
+   * night run and an on-demand run don't both DM agents on the same day
+   */
+  setRunLock(runLockService) {
+    this.runLock = runLockService;
+  }
+
+  summarize(data) {
+    const users = data.users || [];
+    return {
+      period: data.period,
+      startTime: data.startTime,
+      endTime: data.endTime,
+      timezone: data.timezone,
+      totalUsers: users.length,
+      dispoCount: users.filter(user => user.agentCategory === 'dispo').length,
+      acquisitionCount: users.filter(user => user.agentCategory === 'acquisition').length
+    };
+  }
+
+  /**
+   * Job result for a SlackService send: routed reports keep their per-channel deliveries, and
+   * a partial delivery (SlackService.sendReport) counts as sent with the failed channels in error
+   * @returns {{ ok: boolean, partial?: boolean, error?: string, deliveries?: object[] }}
+   */
+  slackResult(sent, fallbackError) {
+    const deliveries = sent && sent.deliveries ? { deliveries: sent.deliveries } : {};
+    if (sent && sent.ok) {
+      return sent.partial ? { ok: true, partial: true, error: sent.error, ...deliveries } : { ok: true, ...deliveries };
+    }
+    return { ok: false, error: sent && sent.error ? sent.error : fallbackError, ...deliveries };
+  }
+
+  /**
+   * Send an activity report to Slack; never throws
+   * @returns {{ ok: boolean, partial?: boolean, error?: string, deliveries?: object[] }}
+   */
+  async sendToSlack(data, label) {
+    try {
+      const slack = this.slackResult(
+        await this.slackService.sendActivityReport(data, label.toLowerCase()),
+        `Failed to send ${label.toLowerCase()} report to Slack`
+      );
+      if (slack.ok) {
+        this.logger.info(`${label} report sent to Slack${slack.partial ? ` except ${slack.error}` : ' successfully'}`);
+      } else {
+        this.logger.error(`Failed to send ${label.toLowerCase()} report to Slack:`, slack.error);
+      }
+      return slack;
+    } catch (error) {
+      this.logger.error(`${label} report Slack send error:`, {
+        message: error.message,
+        stack: error.stack
+      });
+      return { ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pull the night window for one entry date from Aircall and upsert its DailyKpiEntry rows
+   * @param {string} entryDateYMD
+   * @param {object} [activityData] - reuse an already fetched night report for the same date
+   */
+  async syncEntryDate(entryDateYMD, activityData = null) {
+    let data = activityData;
+    if (!data || this.supabaseSyncService.getEntryDateFromActivityData(data) !== entryDateYMD) {
+      const { startISO, endISO } = this.supabaseSyncService.getNightWindowISOForEntryDate(entryDateYMD);
+      data = await this.generateReport('night', startISO, endISO);
+    }
+
+    return this.supabaseSyncService.syncDailyPhoneKpisFromActivity({
+      entryDateYMD,
+      activityData: data
+    });
+  }
+
+  /**
+   * Afternoon report sent to Slack
+   */
+  async runAfternoon(ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    const data = await this.generateReport('afternoon');
+    const summary = this.summarize(data);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: summary.totalUsers });
+    const slack = await this.sendToSlack(data, 'Afternoon');
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({ ...summary, slack });
+  }
+
+  /**
+   * Weekly average report sent to Slack
+   * @param {object} [weekRange] - from WeeklyReportService.resolveWeek(); defaults to the current week
+   */
+  async runWeeklyAverage(ctx = { setProgress: () => {} }, weekRange = this.weeklyReportService.resolveWeek()) {
+    ctx.setProgress({ stage: 'fetching' });
+    const weeklyData = await this.weeklyReportService.build(weekRange);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: weeklyData.summary.totalUsers });
+    let slack;
+    try {
+      slack = this.slackResult(await this.slackService.sendWeeklyAverageReport(weeklyData), 'Failed to send weekly average report to Slack');
+    } catch (error) {
+      slack = { ok: false, error: error.message };
+    }
+    if (slack.ok) {
+      this.logger.info('Weekly average report sent to Slack successfully');
+    } else {
+      this.logger.error('Failed to send weekly average report to Slack:', slack.error);
+    }
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({
+      period: weeklyData.period,
+      weekOf: weeklyData.weekOf,
+      weekToDate: weeklyData.weekToDate,
+      startTime: weeklyData.startTime,
+      endTime: weeklyData.endTime,
+      timezone: weeklyData.timezone,
+      workingDays: weeklyData.workingDays,
+      summary: weeklyData.summary,
+      slack
+    });
+  }
+
+  /**
+   * Monthly KPI report sent to Slack
+   * @param {string} [month] - 'current' (month to date), 'previous' or YYYY-MM
+   */
+  async runMonthly(month = 'current', ctx = { setProgress: () => {} }) {
+    const monthRange = this.monthlyReportService.resolveMonth(month);
+
+    ctx.setProgress({ stage: 'fetching' });
+    const monthlyData = await this.monthlyReportService.build(monthRange);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: monthlyData.summary.totalUsers });
+    let slack;
+    try {
+      slack = this.slackResult(await this.slackService.sendMonthlyReport(monthlyData), 'Failed to send monthly report to Slack');
+    } catch (error) {
+      slack = { ok: false, error: error.message };
+    }
+    if (slack.ok) {
+      this.logger.info(`Monthly report for ${monthlyData.month} sent to Slack successfully`);
+    } else {
+      this.logger.error('Failed to send monthly report to Slack:', slack.error);
+    }
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({
+      period: monthlyData.period,
+      month: monthlyData.month,
+      monthToDate: monthlyData.monthToDate,
+      startTime: monthlyData.startTime,
+      endTime: monthlyData.endTime,
+      timezone: monthlyData.timezone,
+      workingDays: monthlyData.workingDays,
+      summary: monthlyData.summary,
+      slack
+    });
+  }
+
+  /**
+   * Leaderboard for a period (POST /report/leaderboard) sent to Slack
+   *
+   * @param {object} range - from LeaderboardService.resolve()
+   */
+  async runLeaderboard(range, ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    const leaderboard = await this.leaderboardService.build(range);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: leaderboard.summary.totalUsers });
+    let slack;
+    try {
+      slack = this.slackResult(await this.slackService.sendLeaderboard(leaderboard), 'Failed to send leaderboard to Slack');
+    } catch (error) {
+      slack = { ok: false, error: error.message };
+    }
+    if (slack.ok) {
+      this.logger.info(`Leaderboard (${leaderboard.period}) sent to Slack successfully`);
+    } else {
+      this.logger.error('Failed to send leaderboard to Slack:', slack.error);
+    }
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({
+      period: leaderboard.period,
+      startTime: leaderboard.startTime,
+      endTime: leaderboard.endTime,
+      timezone: leaderboard.timezone,
+      metrics: leaderboard.metrics.map(metric => metric.key),
+      summary: leaderboard.summary,
+      slack
+    });
+  }
+
+  /**
+   * KPI status DMs to agents and managers for a daily report; never throws
+   */
+  async sendDirectMessages(data) {
+    try {
+      return await this.directMessageService.sendDaily(data);
+    } catch (error) {
+      this.logger.error('KPI DMs failed:', error.message);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * sendDirectMessages under today's 'dm' run lock; skipped when the DMs already went out.
+   * Partly failed sends still complete the lock, so a retry doesn't DM everyone again.
+   */
+  async sendDirectMessagesOnce(data) {
+    if (!this.runLock) {
+      return this.sendDirectMessages(data);
+    }
+
+    const { acquired, lock } = await this.runLock.acquire('dm', { trigger: 'night' });
+    if (!acquired) {
+      this.logger.warn(`Skipping KPI DMs: already ${lock?.status || 'taken'} for ${lock?.runDate}`);
+      return { skipped: true, reason: `already ${lock?.status || 'taken'} for ${lock?.runDate}` };
+    }
+
+    const directMessages = await this.sendDirectMessages(data);
+    await this.runLock.release(lock, directMessages.error ? 'failed' : 'completed');
+    return directMessages;
+  }
+
+  /**
+   * KPI status DMs for today so far (POST /report/dm)
+   */
+  async runDirectMessages(ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    const data = await this.generateReport('night');
+    await this.addComparison(data);
+
+    ctx.setProgress({ stage: 'messaging', usersProcessed: (data.users || []).length });
+    const directMessages = await this.directMessageService.sendDaily(data);
+
+    ctx.setProgress({ stage: 'done' });
+    return { ...this.summarize(data), directMessages };
+  }
+
+  /**
+   * Intraday pacing checkpoint: project today's activity to end of shift and post the
+   * agents at risk of missing KPIs in the day's pacing thread
+   */
+  async runPacing(ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    const pacing = await this.pacingService.check();
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: pacing.evaluatedCount });
+    let slack;
+    try {
+      slack = this.slackResult(await this.slackService.sendPacingAlert(pacing), 'Failed to send pacing alert to Slack');
+    } catch (error) {
+      slack = { ok: false, error: error.message };
+    }
+    if (slack.ok) {
+      this.logger.info(`Pacing alert for ${pacing.date} ${pacing.checkpoint} sent to Slack (${pacing.atRisk.length} at risk)`);
+    } else {
+      this.logger.error('Failed to send pacing alert to Slack:', slack.error);
+    }
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({
+      date: pacing.date,
+      checkpoint: pacing.checkpoint,
+      timezone: pacing.timezone,
+      evaluatedCount: pacing.evaluatedCount,
+      atRiskCount: pacing.atRisk.length,
+      atRisk: pacing.atRisk.map(agent => agent.name),
+      slack
+    });
+  }
+
+  /**
+   * Add previous-day and trailing-average comparisons to a daily report; never throws,
+   * the report goes out without them if the comparison fetch fails
+   */
+  async addComparison(data) {
+    if (!this.trendService) return;
+    try {
+      await this.trendService.attachDailyComparison(data);
+    } catch (error) {
+      this.logger.warn('Daily comparison unavailable, sending report without trends:', error.message);
+    }
+  }
+
+  /**
+   * Night report: Aircall fetch, Slack send, then the Supabase nightly sync.
+   * Slack failures do not block the sync; the run fails afterwards so the job shows it.
+   */
+  async runNight(ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    const data = await this.generateReport('night');
+    const summary = this.summarize(data);
+    this.logger.info('Night report data ready', summary);
+
+    ctx.setProgress({ stage: 'comparing' });
+    await this.addComparison(data);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: summary.totalUsers });
+    const slack = await this.sendToSlack(data, 'Night');
+
+    let directMessages;
+    if (this.directMessageService?.isEnabled()) {
+      ctx.setProgress({ stage: 'messaging' });
+      directMessages = await this.sendDirectMessagesOnce(data);
+    }
+
+    ctx.setProgress({ stage: 'syncing' });
+    let supabaseSync;
+    if (this.supabaseSyncService?.isConfigured?.()) {
+      const entryDateYMD = this.supabaseSyncService.getDefaultEntryDateYMD();
+      try {
+        // If the Slack night fetch already matches the desired entry date, it is reused.
+        supabaseSync = await this.syncEntryDate(entryDateYMD, data);
+        this.logSyncResult(supabaseSync, entryDateYMD, '/report/night');
+      } catch (syncErr) {
+        this.logger.error('❌ Supabase nightly KPI sync failed (from /report/night):', {
+          entryDateYMD,
+          message: syncErr.message,
+          stack: syncErr.stack
+        });
+        supabaseSync = { success: false, entryDateYMD, error: syncErr.message };
+      }
+    } else {
+      this.logger.info('Skipping Supabase nightly KPI sync (not configured)');
+      supabaseSync = { success: false, skipped: true, reason: 'Supabase not configured' };
+    }
+
+    ctx.setProgress({ stage: 'done' });
+    const result = { ...summary, slack, directMessages, supabaseSync: this.compactSyncResult(supabaseSync) };
+    const problems = [];
+    if (!slack.ok) problems.push(`Slack send failed: ${slack.error}`);
+    if (!supabaseSync.success && !supabaseSync.skipped) {
+      problems.push(`Supabase sync failed: ${supabaseSync.error || supabaseSync.reason || 'unknown'}`);
+    }
+    if (problems.length > 0) {
+      const error = new Error(problems.join('; '));
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Custom time range report sent to Slack
+   */
+  async runCustom({ name, startTime, endTime, applyShifts = false }, ctx = { setProgress: () => {} }) {
+    ctx.setProgress({ stage: 'fetching' });
+    this.logger.info(`Starting custom report generation: ${name} from ${startTime} to ${endTime}`);
+    const data = await this.generateReport(name, startTime, endTime, { applyShifts });
+    const summary = this.summarize(data);
+    this.logger.info('Custom report data ready', summary);
+
+    ctx.setProgress({ stage: 'sending', usersProcessed: summary.totalUsers });
+    const slack = await this.sendToSlack(data, 'Custom');
+
+    ctx.setProgress({ stage: 'done' });
+    return this.finish({ ...summary, slack });
+  }
+
+  /**
+   * Return a Slack-sending run's result, or throw it attached to the error if Slack failed
+   */
+  finish(result) {
+    if (!result.slack.ok) {
+      const error = new Error(`Slack send failed: ${result.slack.error}`);
+      error.result = result;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Supabase nightly KPI sync for one entry date (POST /sync/nightly-kpis)
+   */
+  async runNightlySync(entryDateYMD, ctx = { setProgress: () => {} }) {
+    if (!this.supabaseSyncService?.isConfigured?.()) {
+      this.logger.warn('Supabase sync skipped (service not configured)', { entryDateYMD });
+      return { success: false, skipped: true, reason: 'Supabase not configured', entryDateYMD };
+    }
+
+    ctx.setProgress({ stage: 'syncing' });
+    const result = await this.syncEntryDate(entryDateYMD);
+    ctx.setProgress({ stage: 'done', usersProcessed: result?.usersProcessed || 0 });
+    this.logSyncResult(result, entryDateYMD, '/sync/nightly-kpis');
+
+    if (!result?.success) {
+      const error = new Error(`Supabase nightly KPI sync did not succeed: ${result?.reason || 'unknown'}`);
+      error.result = this.compactSyncResult(result);
+      throw error;
+    }
+    return this.compactSyncResult(result);
+  }
+
+  logSyncResult(result, entryDateYMD, source) {
+    if (result?.success) {
+      this.logger.info(`✅ Supabase nightly KPI sync complete (from ${source})`, {
+        entryDateYMD: result.entryDateYMD,
+        rowsProcessed: result.usersProcessed,
+        rowsPrepared: result.rowsPrepared,
+        rowsInsertedOrUpdated: result.rowsInsertedOrUpdated,
+        insertedCount: result.insertedCount,
+        updatedCount: result.updatedCount,
+        unresolvedCount: result.unresolvedCount
+      });
+    } else {
+      this.logger.warn(`⚠️ Supabase nightly KPI sync did not succeed (from ${source})`, {
+        entryDateYMD: result?.entryDateYMD || entryDateYMD,
+        rowsProcessed: result?.usersProcessed || 0,
+        reason: result?.reason || 'unknown',
+        unresolvedCount: result?.unresolvedCount || 0
+      });
+    }
+  }
+
+  /**
+   * Sync result without the per-user arrays, for job results
+   */
+  compactSyncResult(result) {
+    if (!result) return null;
+    const { unresolvedAircallUsers, ...rest } = result;
+    return { ...rest, unresolvedAircallUsers: (unresolvedAircallUsers || []).slice(0, 50) };
+  }
+}
+
+module.exports = ReportRunner;
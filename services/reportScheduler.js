@@ -1,10 +1,59 @@
 const cron = require('node-cron');
-const axios = require('axios');
+const { CronExpressionParser } = require('cron-parser');
 const winston = require('winston');
+const monitoring = require('../monitoring');
+const defaultSchedules = require('../config/schedules');
+const { getBusinessTimezone, getZonedParts, toBusinessYMD } = require('../utils/businessTime');
 
+// Scheduled runs share job types with the matching HTTP triggers, so GET /jobs shows both
+const JOB_TYPES = {
+  afternoon: 'report-afternoon',
+  night: 'report-night',
+  'weekly-avg': 'report-weekly-avg',
+  pacing: 'report-pacing',
+  'nightly-sync': 'sync-nightly-kpis'
+};
+
+function envKey(type) {
+  return type.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * config/schedules.js with SCHEDULE_<TYPE>_CRON / _TIMEZONE / _ENABLED overrides applied
+ */
+function resolveSchedules(defaults = defaultSchedules, env = process.env) {
+  const defaultTimezone = env.SCHEDULER_TIMEZONE || env.BUSINESS_TIMEZONE || getBusinessTimezone();
+  const schedules = {};
+
+  for (const [type, schedule] of Object.entries(defaults)) {
+    const key = envKey(type);
+    const enabledEnv = env[`SCHEDULE_${key}_ENABLED`];
+    schedules[type] = {
+      cron: env[`SCHEDULE_${key}_CRON`] || schedule.cron,
+      timezone: env[`SCHEDULE_${key}_TIMEZONE`] || schedule.timezone || defaultTimezone,
+      enabled: enabledEnv !== undefined ? enabledEnv === 'true' : schedule.enabled !== false,
+      skipHolidays: schedule.skipHolidays !== false,
+      lockPerCheckpoint: Boolean(schedule.lockPerCheckpoint)
+    };
+  }
+
+  return schedules;
+}
+
+/**
+ * In-process scheduler: one cron task per report type, each run started through the
+ * job manager so scheduled runs are visible in GET /jobs. With a run lock, every replica
+ * can run the scheduler and only the first one to claim a (report type, date) sends it.
+ */
 class ReportScheduler {
-  constructor(baseUrl, logger, reportGenerator = null) {
-    this.baseUrl = baseUrl;
+  /**
+   * @param {object} logger
+   * @param {import('./jobManager')} jobManager
+   * @param {Object<string, (ctx: object) => Promise<any>>} runners - task per report type
+   * @param {import('./runLockService')} [runLockService]
+   * @param {object} [schedules] - defaults to resolveSchedules()
+   */
+  constructor(logger, jobManager, runners, runLockService = null, schedules = resolveSchedules()) {
     this.logger = logger || winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -21,240 +70,185 @@ class ReportScheduler {
         })
       ]
     });
-    
-    this.reportGenerator = reportGenerator;
-    this.afternoonJob = null;
-    this.nightJob = null;
+
+    this.jobManager = jobManager;
+    this.runners = runners;
+    this.runLock = runLockService;
+    this.holidays = null;
+    this.schedules = schedules;
+    this.tasks = new Map();
+    this.lastRuns = new Map();
+
+    this.validateSchedules();
   }
 
   /**
-   * Start the scheduler
+   * Skip scheduled runs on business holidays (services/holidayService.js) for schedules with skipHolidays
    */
-  start() {
-    this.logger.info('Starting report scheduler...');
-    
-    // Schedule afternoon report: Weekdays at 1:01 PM local time
-    this.afternoonJob = cron.schedule('1 13 * * 1-5', () => {
-      this.runAfternoonReport();
-    });
-    
-    // Schedule night report: Weekdays at 6:30 PM local time
-    this.nightJob = cron.schedule('30 18 * * 1-5', () => {
-      this.runNightReport();
-    });
-    
-    this.logger.info('Report scheduler started successfully');
-    this.logger.info('Afternoon report scheduled: Weekdays at 1:01 PM local time');
-    this.logger.info('Night report scheduled: Weekdays at 6:30 PM local time');
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
   }
 
   /**
-   * Stop the scheduler
+   * Fail fast on unknown report types, bad cron expressions or unknown timezones
    */
-  stop() {
-    if (this.afternoonJob) {
-      this.afternoonJob.stop();
-      this.logger.info('Afternoon report job stopped');
-    }
-    
-    if (this.nightJob) {
-      this.nightJob.stop();
-      this.logger.info('Night report job stopped');
+  validateSchedules() {
+    for (const [type, schedule] of Object.entries(this.schedules)) {
+      if (!this.runners[type]) {
+        throw new Error(`No runner for scheduled report type "${type}"`);
+      }
+      if (!cron.validate(schedule.cron)) {
+        throw new Error(`Invalid cron expression for ${type}: "${schedule.cron}"`);
+      }
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (error) {
+        throw new Error(`Invalid timezone for ${type}: "${schedule.timezone}"`);
+      }
     }
-    
-    this.logger.info('Report scheduler stopped');
   }
 
   /**
-   * Run the afternoon report
+   * Start the scheduler
    */
-  async runAfternoonReport() {
-    try {
-      this.logger.info('🕐 Running scheduled afternoon report...');
-      
-      if (this.reportGenerator) {
-        // Use direct report generator if available
-        await this.reportGenerator('afternoon');
-        this.logger.info('✅ Afternoon report completed successfully');
-      } else {
-        // Use scheduler trigger endpoint
-        const response = await axios.post(`${this.baseUrl}/scheduler/trigger/afternoon`, {}, {
-          timeout: 30000, // 30 second timeout
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        if (response.data.success) {
-          this.logger.info('✅ Afternoon report completed successfully');
-        } else {
-          this.logger.error('❌ Afternoon report failed:', response.data.error);
-        }
+  start() {
+    if (this.isRunning()) {
+      this.logger.info('Report scheduler already running');
+      return;
+    }
+
+    this.logger.info('Starting report scheduler...');
+
+    for (const [type, schedule] of Object.entries(this.schedules)) {
+      if (!schedule.enabled) {
+        this.logger.info(`Scheduled ${type} report disabled`);
+        continue;
       }
-      
-    } catch (error) {
-      this.logger.error('❌ Error running afternoon report:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
+
+      const task = cron.schedule(schedule.cron, () => {
+        this.run(type, 'schedule').catch(error => {
+          this.logger.error(`Scheduled ${type} report could not be started:`, error.message);
+          monitoring.recordSchedulerRun(type, 'error');
+        });
+      }, {
+        timezone: schedule.timezone,
+        name: `report-${type}`
       });
+      this.tasks.set(type, task);
+      this.logger.info(`Scheduled ${type} report: "${schedule.cron}" (${schedule.timezone}), next run ${this.getNextRunTime(schedule.cron, schedule.timezone)}`);
     }
+
+    this.logger.info('Report scheduler started successfully');
   }
 
   /**
-   * Run the night report
+   * Stop the scheduler
    */
-  async runNightReport() {
-    try {
-      this.logger.info('🌙 Running scheduled night report...');
-      
-      if (this.reportGenerator) {
-        // Use direct report generator if available
-        await this.reportGenerator('night');
-        this.logger.info('✅ Night report completed successfully');
-      } else {
-        // Use scheduler trigger endpoint
-        const response = await axios.post(`${this.baseUrl}/scheduler/trigger/night`, {}, {
-          timeout: 10000, // 10s enough for 202 response; report runs in background
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        const accepted = response.status === 202;
-        if (response.data.success || accepted) {
-          this.logger.info(accepted ? '✅ Night report started (running in background)' : '✅ Night report completed successfully');
-        } else {
-          this.logger.error('❌ Night report failed:', response.data.error);
-        }
-      }
-      
-    } catch (error) {
-      this.logger.error('❌ Error running night report:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
+  stop() {
+    for (const [type, task] of this.tasks) {
+      task.stop();
+      task.destroy();
+      this.logger.info(`Scheduled ${type} report stopped`);
     }
+    this.tasks.clear();
+
+    this.logger.info('Report scheduler stopped');
   }
 
-  /**
-   * Get scheduler status
-   */
-  getStatus() {
-    return {
-      running: !!(this.afternoonJob && this.nightJob),
-      afternoonJob: {
-        scheduled: !!this.afternoonJob,
-        nextRun: this.afternoonJob ? this.getNextRunTime('1 13 * * 1-5', 'America/Chicago') : null
-      },
-      nightJob: {
-        scheduled: !!this.nightJob,
-        nextRun: this.nightJob ? this.getNextRunTime('30 18 * * 1-5', 'America/Chicago') : null
-      }
-    };
+  isRunning() {
+    return this.tasks.size > 0;
   }
 
   /**
-   * Calculate next run time for a cron expression
+   * Run a report now as a background job, unless today's run is already taken
+   * @param {string} type - key of config/schedules.js
+   * @param {'schedule'|'manual'} trigger
+   * @param {{ force?: boolean }} [options] - force skips the run lock
+   * @returns {Promise<{ skipped: boolean, reason?: string, job?: object, lock?: object, holiday?: object }>}
+   *   job snapshot, or why nothing was started (the lock held by the earlier run, or today's holiday)
    */
-  getNextRunTime(cronExpression, timezone) {
-    try {
-      // Use local timezone for calculations
-      if (cronExpression === '1 13 * * 1-5') {
-        // Afternoon report: Weekdays at 1:01 PM local time
-        return this.getNextWeekdayTime(new Date(), 13, 1);
-      } else if (cronExpression === '30 18 * * 1-5') {
-        // Night report: Weekdays at 6:30 PM local time
-        return this.getNextWeekdayTime(new Date(), 18, 30);
-      }
-      
-      return null;
-    } catch (error) {
-      this.logger.error('Error calculating next run time:', error.message, error.stack);
-      return null;
+  async run(type, trigger = 'manual', { force = false } = {}) {
+    const runner = this.runners[type];
+    if (!runner) {
+      throw new Error(`Unknown report type "${type}"`);
     }
-  }
 
-  /**
-   * Get next weekday time for a specific hour and minute in a specific timezone
-   */
-  getNextWeekdayTimeInTimezone(now, hour, minute, timezone) {
-    try {
-      // For America/Chicago timezone, use a simpler approach
-      // America/Chicago is UTC-6 (CST) or UTC-5 (CDT)
-      // We'll use the legacy method with proper offset calculation
-      
-      const nextRun = new Date(now);
-      nextRun.setHours(hour, minute, 0, 0);
-      
-      // If the time has passed today, move to next weekday
-      if (nextRun <= now) {
-        nextRun.setDate(nextRun.getDate() + 1);
+    const schedule = this.schedules[type];
+    if (trigger === 'schedule' && schedule?.skipHolidays && this.holidays) {
+      const holiday = this.holidays.getHoliday(toBusinessYMD(new Date(), schedule.timezone));
+      if (holiday) {
+        this.logger.info(`Skipping scheduled ${type} report: ${holiday.name} (${holiday.date})`);
+        monitoring.recordSchedulerRun(type, 'skipped_holiday');
+        return { skipped: true, reason: 'holiday', holiday };
       }
-      
-      // Move to next weekday if current day is weekend
-      while (nextRun.getDay() === 0 || nextRun.getDay() === 6) {
-        nextRun.setDate(nextRun.getDate() + 1);
+    }
+
+    let task = runner;
+    let runDate = null;
+    if (this.runLock && !force) {
+      const { acquired, lock } = await this.runLock.acquire(this.getLockType(type), { trigger });
+      if (!acquired) {
+        this.logger.warn(`Skipping ${type} report: already ${lock?.status || 'taken'} for ${lock?.runDate} (${lock?.holder || 'unknown holder'})`);
+        monitoring.recordReportRunSkipped(type, trigger);
+        if (trigger === 'schedule') monitoring.recordSchedulerRun(type, 'skipped');
+        return { skipped: true, reason: 'duplicate', lock };
       }
-      
-      // Convert to UTC for storage
-      // For America/Chicago, we need to account for daylight saving time
-      // Get the timezone offset for the target date
-      const targetTimeString = nextRun.toLocaleString("en-US", {timeZone: timezone});
-      const utcTimeString = nextRun.toLocaleString("en-US", {timeZone: "UTC"});
-      
-      // Calculate the offset
-      const targetDate = new Date(targetTimeString);
-      const utcDate = new Date(utcTimeString);
-      const offsetMs = targetDate.getTime() - utcDate.getTime();
-      
-      // Apply the offset to get the correct UTC time
-      const finalUtcTime = new Date(nextRun.getTime() - offsetMs);
-      
-      return finalUtcTime.toISOString();
-    } catch (error) {
-      this.logger.error('Error in getNextWeekdayTimeInTimezone:', error.message);
-      // Fallback to legacy method
-      return this.getNextWeekdayTime(now, hour, minute);
+      task = this.runLock.guard(lock, runner);
+      runDate = lock.runDate;
     }
+
+    this.logger.info(`${trigger === 'schedule' ? '🕐 Running scheduled' : '🔄 Manually triggering'} ${type} report...`);
+    const job = this.jobManager.start(JOB_TYPES[type] || `report-${type}`, { trigger, runDate, force }, task);
+    this.lastRuns.set(type, { jobId: job.id, trigger, startedAt: job.createdAt });
+    if (trigger === 'schedule') monitoring.recordSchedulerRun(type, 'started');
+    return { skipped: false, job };
   }
 
   /**
-   * Get next weekday time for a specific hour and minute (local timezone)
+   * Run lock key of a report type: the type itself (one run a day), or "type@HH:MM" for
+   * schedules with lockPerCheckpoint so each firing time runs once
    */
-  getNextWeekdayTime(now, hour, minute) {
-    const nextRun = new Date(now);
-    nextRun.setHours(hour, minute, 0, 0);
-    
-    // If the time has passed today, move to next weekday
-    if (nextRun <= now) {
-      nextRun.setDate(nextRun.getDate() + 1);
+  getLockType(type, now = new Date()) {
+    const schedule = this.schedules[type];
+    if (!schedule?.lockPerCheckpoint) {
+      return type;
     }
-    
-    // Move to next weekday if current day is weekend
-    while (nextRun.getDay() === 0 || nextRun.getDay() === 6) {
-      nextRun.setDate(nextRun.getDate() + 1);
-    }
-    
-    // Return the local time as ISO string
-    return nextRun.toISOString();
+    const parts = getZonedParts(now, schedule.timezone);
+    return `${type}@${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
   }
 
   /**
-   * Manually trigger afternoon report
+   * Next time a cron expression fires in a timezone, as an ISO string
    */
-  async triggerAfternoonReport() {
-    this.logger.info('🔄 Manually triggering afternoon report...');
-    await this.runAfternoonReport();
+  getNextRunTime(cronExpression, timezone, currentDate = new Date()) {
+    try {
+      return CronExpressionParser.parse(cronExpression, { tz: timezone, currentDate }).next().toISOString();
+    } catch (error) {
+      this.logger.error('Error calculating next run time:', error.message);
+      return null;
+    }
   }
 
   /**
-   * Manually trigger night report
+   * Get scheduler status
    */
-  async triggerNightReport() {
-    this.logger.info('🔄 Manually triggering night report...');
-    await this.runNightReport();
+  getStatus() {
+    const schedules = {};
+    for (const [type, schedule] of Object.entries(this.schedules)) {
+      const scheduled = this.tasks.has(type);
+      schedules[type] = {
+        ...schedule,
+        scheduled,
+        nextRun: scheduled ? this.getNextRunTime(schedule.cron, schedule.timezone) : null,
+        lastRun: this.lastRuns.get(type) || null
+      };
+    }
+
+    return {
+      running: this.isRunning(),
+      schedules
+    };
   }
 }
 
-module.exports = ReportScheduler; 
\ No newline at end of file
+module.exports = ReportScheduler;
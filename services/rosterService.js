@@ -0,0 +1,127 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CATEGORIES = ['dispo', 'acquisition', 'other'];
+
+/**
+ * Validate a roster entry and normalize its shape; throws on invalid input
+ */
+function normalizeAgent(agentId, input) {
+  const category = String(input.category || 'other').toLowerCase();
+  if (!CATEGORIES.includes(category)) {
+    throw new Error(`category must be one of ${CATEGORIES.join(', ')}`);
+  }
+
+  const startDate = input.startDate || null;
+  if (startDate && !YMD_PATTERN.test(startDate)) {
+    throw new Error('startDate must be YYYY-MM-DD');
+  }
+
+  return {
+    agentId: String(agentId),
+    name: input.name || null,
+    email: input.email ? String(input.email).toLowerCase() : null,
+    category,
+    team: input.team || null,
+    manager: input.manager || null,
+    startDate,
+    active: input.active === undefined || input.active === null ? true : Boolean(input.active)
+  };
+}
+
+/**
+ * Team roster keyed by Aircall user id: category, team, manager, start date and active flag.
+ *
+ * Persisted to the "AgentRoster" table when Supabase is configured; otherwise kept in
+ * memory only. Emits 'change' after every write so services pick up edits without a restart.
+ */
+class RosterService extends EventEmitter {
+  constructor(logger = null) {
+    super();
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'roster-service' }
+      });
+
+    this.supabase = createSupabaseClient();
+    this.agents = new Map();
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  async load() {
+    if (!this.supabase) {
+      this.logger.warn('Roster is in-memory only (Supabase not configured)');
+      return { persistent: false, agentCount: this.agents.size };
+    }
+
+    try {
+      const { data, error } = await this.supabase.from('AgentRoster').select('*');
+      if (error) throw error;
+      this.agents = new Map((data || []).map(row => {
+        const agent = normalizeAgent(row.agentId, row);
+        return [agent.agentId, agent];
+      }));
+      this.logger.info(`Loaded ${this.agents.size} roster agents from Supabase`);
+      this.emit('change', { action: 'load' });
+    } catch (error) {
+      this.logger.error('Failed to load roster from Supabase:', error.message);
+    }
+
+    return { persistent: true, agentCount: this.agents.size };
+  }
+
+  /**
+   * @param {{ active?: boolean, category?: string, team?: string }} [filters]
+   */
+  list(filters = {}) {
+    return Array.from(this.agents.values()).filter(agent => {
+      if (filters.active !== undefined && agent.active !== filters.active) return false;
+      if (filters.category && agent.category !== filters.category) return false;
+      if (filters.team && agent.team !== filters.team) return false;
+      return true;
+    });
+  }
+
+  get(agentId) {
+    if (agentId === undefined || agentId === null) return null;
+    return this.agents.get(String(agentId)) || null;
+  }
+
+  async upsert(agentId, input) {
+    const agent = normalizeAgent(agentId, input);
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('AgentRoster').upsert(agent, { onConflict: 'agentId' });
+      if (error) throw error;
+    }
+
+    this.agents.set(agent.agentId, agent);
+    this.emit('change', { action: 'upsert', agent });
+    return agent;
+  }
+
+  async remove(agentId) {
+    const key = String(agentId);
+    const agent = this.agents.get(key);
+    if (!agent) return false;
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from('AgentRoster').delete().eq('agentId', key);
+      if (error) throw error;
+    }
+
+    this.agents.delete(key);
+    this.emit('change', { action: 'remove', agent });
+    return true;
+  }
+}
+
+module.exports = RosterService;
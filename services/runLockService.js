@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const os = require('os');
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+const { getBusinessTimezone, toBusinessYMD } = require('../utils/businessTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One run per (report type, date) across replicas and retries.
+ *
+ * A lock is a row in the "ReportRunLock" table keyed by report type and run date. The
+ * first caller inserts it and runs the report; later callers for the same day see the
+ * row and skip. Failed runs, and running locks older than RUN_LOCK_TTL_MINUTES (a
+ * replica that died mid-run), can be taken over. Without Supabase, locks are kept in
+ * memory and only dedupe within this process.
+ */
+class RunLockService {
+  /**
+   * @param {object} logger
+   * @param {{ ttlMinutes?: number, timezoneFor?: (reportType: string) => string|undefined }} [options]
+   */
+  constructor(logger = null, options = {}) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'run-lock-service' }
+      });
+
+    this.supabase = createSupabaseClient();
+    this.ttlMinutes = options.ttlMinutes || parseInt(process.env.RUN_LOCK_TTL_MINUTES || '60', 10);
+    this.timezoneFor = options.timezoneFor || (() => undefined);
+    this.holder = `${os.hostname()}:${process.pid}`;
+    this.locks = new Map();
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  /**
+   * Run date of a report type: today in the report's schedule timezone
+   */
+  getRunDate(reportType, now = new Date()) {
+    const timezone = this.timezoneFor(reportType) || process.env.SCHEDULER_TIMEZONE || getBusinessTimezone();
+    return toBusinessYMD(now, timezone);
+  }
+
+  /**
+   * Try to take the lock for today's run of a report type
+   *
+   * @param {string} reportType - e.g. 'night'
+   * @param {{ trigger?: string, now?: Date }} [options]
+   * @returns {Promise<{ acquired: boolean, lock: object }>} the new lock, or the existing one when not acquired
+   */
+  async acquire(reportType, { trigger = 'manual', now = new Date() } = {}) {
+    const lock = {
+      reportType,
+      runDate: this.getRunDate(reportType, now),
+      token: crypto.randomUUID(),
+      holder: this.holder,
+      trigger,
+      status: 'running',
+      acquiredAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMinutes * 60 * 1000).toISOString(),
+      finishedAt: null
+    };
+
+    if (this.supabase) {
+      try {
+        return await this.acquirePersistent(lock, now);
+      } catch (error) {
+        // Better a possible duplicate than a missed report
+        this.logger.error('Run lock unavailable in Supabase, falling back to in-process lock:', error.message);
+      }
+    }
+
+    return this.acquireInMemory(lock, now);
+  }
+
+  async acquirePersistent(lock, now) {
+    const { error: insertError } = await this.supabase.from('ReportRunLock').insert(lock);
+    if (!insertError) {
+      return { acquired: true, lock };
+    }
+    if (insertError.code !== '23505') throw insertError;
+
+    // Row exists: take it over only if the earlier run failed or its holder went away
+    const { data: takenOver, error: updateError } = await this.supabase
+      .from('ReportRunLock')
+      .update(lock)
+      .eq('reportType', lock.reportType)
+      .eq('runDate', lock.runDate)
+      .or(`status.eq.failed,and(status.eq.running,expiresAt.lt.${now.toISOString()})`)
+      .select();
+    if (updateError) throw updateError;
+    if (takenOver && takenOver.length > 0) {
+      return { acquired: true, lock };
+    }
+
+    const { data: existing, error: selectError } = await this.supabase
+      .from('ReportRunLock')
+      .select('*')
+      .eq('reportType', lock.reportType)
+      .eq('runDate', lock.runDate)
+      .maybeSingle();
+    if (selectError) throw selectError;
+    return { acquired: false, lock: existing || null };
+  }
+
+  acquireInMemory(lock, now) {
+    this.prune(now);
+
+    const key = `${lock.reportType}:${lock.runDate}`;
+    const existing = this.locks.get(key);
+    const takeOver = !existing ||
+      existing.status === 'failed' ||
+      (existing.status === 'running' && Date.parse(existing.expiresAt) < now.getTime());
+
+    if (!takeOver) {
+      return { acquired: false, lock: { ...existing } };
+    }
+    this.locks.set(key, lock);
+    return { acquired: true, lock };
+  }
+
+  /**
+   * Mark a run finished. Completed runs keep the lock for the rest of the day; failed runs free it for a retry.
+   *
+   * @param {object} lock - from acquire()
+   * @param {'completed'|'failed'} status
+   */
+  async release(lock, status) {
+    const finishedAt = new Date().toISOString();
+
+    const local = this.locks.get(`${lock.reportType}:${lock.runDate}`);
+    if (local && local.token === lock.token) {
+      local.status = status;
+      local.finishedAt = finishedAt;
+    }
+
+    if (!this.supabase) return;
+    try {
+      const { error } = await this.supabase
+        .from('ReportRunLock')
+        .update({ status, finishedAt })
+        .eq('reportType', lock.reportType)
+        .eq('runDate', lock.runDate)
+        .eq('token', lock.token);
+      if (error) throw error;
+    } catch (error) {
+      this.logger.error(`Failed to release run lock for ${lock.reportType} ${lock.runDate}:`, error.message);
+    }
+  }
+
+  /**
+   * Wrap a run so the lock is released with its outcome
+   *
+   * @param {object} lock - from acquire()
+   * @param {(...args: any[]) => Promise<any>} task
+   */
+  guard(lock, task) {
+    return async (...args) => {
+      try {
+        const result = await task(...args);
+        await this.release(lock, 'completed');
+        return result;
+      } catch (error) {
+        await this.release(lock, 'failed');
+        throw error;
+      }
+    };
+  }
+
+  prune(now) {
+    const cutoff = toBusinessYMD(new Date(now.getTime() - 7 * DAY_MS), 'UTC');
+    for (const [key, lock] of this.locks) {
+      if (lock.runDate < cutoff) this.locks.delete(key);
+    }
+  }
+}
+
+module.exports = RunLockService;
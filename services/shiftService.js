@@ -0,0 +1,223 @@
+const fs = require('fs');
+const winston = require('winston');
+const defaultShifts = require('../config/shifts');
+const {
+  getBusinessTimezone,
+  getZonedParts,
+  businessTimeToDate,
+  addDaysYMD
+} = require('../utils/businessTime');
+
+const TIME_PATTERN = /^(\d{2}):(\d{2})$/;
+const DEFAULT_AFTERNOON = { start: '09:00', end: '13:00' };
+
+// Agent-specific shifts beat team shifts, which beat category shifts.
+const SCOPE_PRIORITY = { agentId: 3, team: 2, category: 1 };
+
+/**
+ * 'HH:MM' to minutes after midnight; throws on invalid input
+ */
+function parseTime(value, label) {
+  const match = TIME_PATTERN.exec(value || '');
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`${label} must be HH:MM between 00:00 and 24:00`);
+  }
+  return minutes;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseWindow(input, label) {
+  const start = parseTime(input.start, `${label} start`);
+  const end = parseTime(input.end, `${label} end`);
+  if (end <= start) {
+    throw new Error(`${label} must end after it starts`);
+  }
+  return { start, end };
+}
+
+/**
+ * Validate a shift and normalize its shape; throws on invalid input
+ */
+function normalizeShift(shift, defaultAfternoon) {
+  const label = `Shift ${shift.id || '(no id)'}`;
+  const scope = shift.scope || {};
+  const scopeKeys = Object.keys(SCOPE_PRIORITY).filter(k => scope[k] !== undefined && scope[k] !== null);
+  if (scopeKeys.length !== 1) {
+    throw new Error(`${label} must have exactly one scope (category, team or agentId)`);
+  }
+
+  const hours = parseWindow(shift, label);
+  const afternoon = shift.afternoon
+    ? parseWindow(shift.afternoon, `${label} afternoon`)
+    : { start: Math.max(hours.start, defaultAfternoon.start), end: Math.min(hours.end, defaultAfternoon.end) };
+  if (afternoon.end <= afternoon.start) {
+    throw new Error(`${label} does not overlap the default afternoon window; set "afternoon" explicitly`);
+  }
+
+  const scopeKey = scopeKeys[0];
+  return {
+    id: shift.id ? String(shift.id) : `${scopeKey}:${scope[scopeKey]}`,
+    scopeKey,
+    scopeValue: String(scope[scopeKey]).toLowerCase(),
+    ...hours,
+    afternoon
+  };
+}
+
+/**
+ * Shift hours per category, roster team or agent (config/shifts.js or SHIFTS_FILE).
+ *
+ * The afternoon and night reports fetch a window wide enough for every shift and then
+ * count each agent's calls against their own hours; calls outside the agent's shift are
+ * kept apart as after-hours activity.
+ */
+class ShiftService {
+  constructor(logger = null, config = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'shift-service' }
+      });
+
+    this.source = 'config';
+    this.setShifts(config || this.loadFromFile());
+  }
+
+  /**
+   * Shifts from SHIFTS_FILE (JSON, same shape as config/shifts.js) if set, otherwise config/shifts.js
+   */
+  loadFromFile() {
+    const file = process.env.SHIFTS_FILE;
+    if (!file) {
+      return defaultShifts;
+    }
+    this.source = `file:${file}`;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  setShifts(config) {
+    const defaults = config.default || {};
+    const hours = parseWindow(defaults, 'Default shift');
+    const afternoon = parseWindow(defaults.afternoon || DEFAULT_AFTERNOON, 'Default shift afternoon');
+    this.defaultShift = { id: 'default', scopeKey: null, scopeValue: null, ...hours, afternoon };
+    this.shifts = (config.shifts || []).map(shift => normalizeShift(shift, afternoon));
+  }
+
+  /**
+   * Shift that applies to an agent
+   *
+   * @param {{ user_id?: any, team?: string, agentCategory?: string }} user
+   */
+  getShiftFor(user) {
+    const candidates = this.shifts.filter(shift => {
+      if (shift.scopeKey === 'agentId') return user.user_id !== undefined && shift.scopeValue === String(user.user_id).toLowerCase();
+      if (shift.scopeKey === 'team') return !!user.team && shift.scopeValue === String(user.team).toLowerCase();
+      return !!user.agentCategory && shift.scopeValue === String(user.agentCategory).toLowerCase();
+    });
+
+    candidates.sort((a, b) => SCOPE_PRIORITY[b.scopeKey] - SCOPE_PRIORITY[a.scopeKey]);
+    return candidates[0] || this.defaultShift;
+  }
+
+  /**
+   * Hours of a shift in a report period: the afternoon window for 'afternoon', the whole shift otherwise
+   */
+  getPeriodHours(shift, period) {
+    return period === 'afternoon' ? shift.afternoon : shift;
+  }
+
+  /**
+   * Hours a report covers on a business day, as shown in its header: from the earliest
+   * start to the latest end of every agent's hours for the period
+   *
+   * @returns {{ startTime: Date, endTime: Date }}
+   */
+  getReportWindow(period, dateYMD, timezone = getBusinessTimezone()) {
+    const windows = [this.defaultShift, ...this.shifts].map(shift => this.getPeriodHours(shift, period));
+    const start = Math.min(...windows.map(w => w.start));
+    const end = Math.max(...windows.map(w => w.end));
+    return {
+      startTime: businessTimeToDate(dateYMD, Math.floor(start / 60), start % 60, 0, 0, timezone),
+      endTime: businessTimeToDate(dateYMD, Math.floor(end / 60), end % 60, 0, 0, timezone)
+    };
+  }
+
+  /**
+   * Window to fetch calls for on a business day: the report window for 'afternoon', the
+   * whole day otherwise so after-hours calls are included
+   *
+   * @returns {{ startTime: Date, endTime: Date }}
+   */
+  getFetchWindow(period, dateYMD, timezone = getBusinessTimezone()) {
+    if (period === 'afternoon') {
+      return this.getReportWindow(period, dateYMD, timezone);
+    }
+    return {
+      startTime: businessTimeToDate(dateYMD, 0, 0, 0, 0, timezone),
+      endTime: businessTimeToDate(addDaysYMD(dateYMD, 1), 0, 0, 0, 0, timezone)
+    };
+  }
+
+  /**
+   * Split an agent's calls by their shift. Calls are matched on the wall-clock time they
+   * started in the business timezone, so multi-day ranges use the shift on each day.
+   *
+   * @param {object} user - needs user_id / team / agentCategory for shift lookup
+   * @param {string} period - 'afternoon' counts only the afternoon window as in shift
+   * @param {object[]} calls - Aircall calls
+   * @returns {{ shift: object, inShift: object[], afterHours: object[] }} calls in shift but
+   *   outside the afternoon window are in neither list
+   */
+  splitCalls(user, period, calls, timezone = getBusinessTimezone()) {
+    const shift = this.getShiftFor(user);
+    const counted = this.getPeriodHours(shift, period);
+    const inShift = [];
+    const afterHours = [];
+
+    for (const call of calls) {
+      if (!call.started_at) {
+        inShift.push(call);
+        continue;
+      }
+      const p = getZonedParts(new Date(call.started_at * 1000), timezone);
+      const minute = p.hour * 60 + p.minute;
+      if (minute >= counted.start && minute < counted.end) {
+        inShift.push(call);
+      } else if (minute < shift.start || minute >= shift.end) {
+        afterHours.push(call);
+      }
+    }
+
+    return { shift: this.describe(shift), inShift, afterHours };
+  }
+
+  /**
+   * Shift hours as shown in reports, e.g. { id: 'acquisition', start: '08:00', end: '17:00' }
+   */
+  describe(shift) {
+    return {
+      id: shift.id,
+      start: formatTime(shift.start),
+      end: formatTime(shift.end),
+      afternoon: { start: formatTime(shift.afternoon.start), end: formatTime(shift.afternoon.end) }
+    };
+  }
+
+  /**
+   * Every configured shift, default first
+   */
+  list() {
+    return [this.defaultShift, ...this.shifts].map(shift => ({
+      ...this.describe(shift),
+      scope: shift.scopeKey ? { [shift.scopeKey]: shift.scopeValue } : null
+    }));
+  }
+}
+
+module.exports = ShiftService;
@@ -0,0 +1,238 @@
+const winston = require('winston');
+const { getBusinessTimezone, toBusinessYMD, businessTimeToDate } = require('../utils/businessTime');
+
+const CATEGORIES = ['dispo', 'acquisition', 'other'];
+// Slack accepts this many replies per response_url
+const MAX_RESPONSES = 5;
+// Escaped user mention, e.g. <@U024BE7LH> or <@U024BE7LH|alex>
+const MENTION_PATTERN = /^<@([A-Z0-9]+)(?:\|[^>]*)?>$/;
+// Commands within this long of each other share one fetch of each report (and of the trend days)
+const REPORT_CACHE_TTL_MS = 2 * 60 * 1000;
+
+const USAGE = [
+  '*Usage:*',
+  '• `/kpi me` - your numbers today so far',
+  '• `/kpi @agent` - an agent\'s numbers today so far',
+  '• `/kpi today [dispo|acquisition|other]` - the team today so far',
+  '• `/kpi week [dispo|acquisition|other]` - weekly averages so far'
+].join('\n');
+
+/**
+ * The /kpi slash command: today's or this week's numbers on demand, answered only to the
+ * person who asked (via the command's response_url) with the same formatters as the
+ * channel reports and DMs.
+ */
+class SlackCommandService {
+  constructor(logger, generateReport, slackService, kpiRulesService, weeklyReportService, trendService = null, channelRouteService = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'slack-command-service' }
+      });
+    this.generateReport = generateReport;
+    this.slackService = slackService;
+    this.kpiRules = kpiRulesService;
+    this.weeklyReportService = weeklyReportService;
+    this.trendService = trendService;
+    this.channelRoutes = channelRouteService;
+    this.reportCache = new Map();
+  }
+
+  formatUsage(note = null) {
+    return { text: note ? `${note}\n${USAGE}` : USAGE };
+  }
+
+  /**
+   * Parse the command text; null when it isn't a known form
+   *
+   * @returns {{ command: 'me'|'agent'|'today'|'week', agent?: string, category?: string } | null}
+   */
+  parse(text) {
+    const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+    const [first, ...rest] = words;
+    if (!first) return null;
+
+    const keyword = first.toLowerCase();
+    if (keyword === 'me' && rest.length === 0) {
+      return { command: 'me' };
+    }
+    if (keyword === 'today' || keyword === 'week') {
+      if (rest.length > 1) return null;
+      const category = rest[0] ? rest[0].toLowerCase() : null;
+      if (category && !CATEGORIES.includes(category)) return null;
+      return { command: keyword, category };
+    }
+    if (first.startsWith('<@') || first.startsWith('@')) {
+      return { command: 'agent', agent: words.join(' ') };
+    }
+    return null;
+  }
+
+  /**
+   * Build the reply to a parsed command and post it to response_url; on errors the user
+   * gets a generic reply and the details go to the log and the job record
+   *
+   * @param {object} parsed - from parse()
+   * @param {{ userId: string, responseUrl: string }} request - Slack user who ran the command
+   */
+  async run(parsed, { userId, responseUrl }, ctx = { setProgress: () => {} }) {
+    try {
+      ctx.setProgress({ stage: 'fetching' });
+      const messages = await this.buildMessages(parsed, userId);
+
+      ctx.setProgress({ stage: 'responding' });
+      const sent = messages.slice(0, MAX_RESPONSES);
+      for (const [index, message] of sent.entries()) {
+        const response = await this.slackService.respondToCommand(responseUrl, { ...message, replace_original: index === 0 });
+        if (!response.ok) {
+          throw new Error(response.error);
+        }
+      }
+
+      ctx.setProgress({ stage: 'done' });
+      return { command: parsed.command, messages: sent.length, truncated: messages.length > sent.length };
+    } catch (error) {
+      this.logger.error(`/kpi ${parsed.command} failed:`, error.message);
+      await this.slackService.respondToCommand(responseUrl, { text: '⚠️ Couldn\'t get those numbers right now. Try again in a few minutes.', replace_original: true });
+      throw error;
+    }
+  }
+
+  async buildMessages(parsed, userId) {
+    if (parsed.command === 'week') {
+      const weeklyData = await this.getWeek();
+      return [this.slackService.formatWeeklyAverageMessage(this.scope(weeklyData, parsed.category))];
+    }
+
+    const data = await this.getToday();
+    if (parsed.command === 'today') {
+      // Replies to a command follow one another, not in a thread
+      const messages = this.slackService.formatActivityMessages(this.scope(data, parsed.category), { threaded: false });
+      if (messages.length > MAX_RESPONSES) {
+        messages[MAX_RESPONSES - 1] = { text: '…and more. Narrow it down with `/kpi today dispo` (or acquisition / other).' };
+      }
+      return messages;
+    }
+
+    const { user, error } = parsed.command === 'me'
+      ? await this.findBySlackUser(data.users || [], userId, 'you')
+      : await this.findAgent(data.users || [], parsed.agent);
+    if (!user) {
+      return [{ text: error }];
+    }
+    return [await this.formatAgent(user, data, parsed.command === 'me' ? 'Your KPIs' : `${user.name}'s KPIs`)];
+  }
+
+  /**
+   * Today's report so far, from the start of the business day to now
+   */
+  async getToday(now = new Date()) {
+    return this.cached('today', () => {
+      const timezone = getBusinessTimezone();
+      const startOfDay = businessTimeToDate(toBusinessYMD(now, timezone), 0, 0, 0, 0, timezone);
+      return this.generateReport('Today', startOfDay.toISOString(), now.toISOString());
+    }, now);
+  }
+
+  /**
+   * This week's averages so far, without the week-over-week comparison and its second fetch
+   */
+  async getWeek(now = new Date()) {
+    return this.cached('week', () =>
+      this.weeklyReportService.build(this.weeklyReportService.resolveWeek({}, now), { weekOverWeek: false }),
+    now);
+  }
+
+  /**
+   * Report data loaded at most once per REPORT_CACHE_TTL_MS; commands arriving while it
+   * loads wait for the same fetch, and a failed fetch isn't kept
+   */
+  cached(key, load, now = new Date()) {
+    const entry = this.reportCache.get(key);
+    if (entry && entry.expiresAt > now.getTime()) {
+      return entry.promise;
+    }
+
+    const promise = load();
+    this.reportCache.set(key, { promise, expiresAt: now.getTime() + REPORT_CACHE_TTL_MS });
+    promise.catch(() => {
+      if (this.reportCache.get(key)?.promise === promise) this.reportCache.delete(key);
+    });
+    return promise;
+  }
+
+  scope(data, category) {
+    if (!category || !this.channelRoutes) return data;
+    return this.channelRoutes.scopeReport(data, [category]);
+  }
+
+  /**
+   * An agent's numbers with trend vs previous working days; the trend is left out if it
+   * can't be loaded
+   */
+  async formatAgent(user, data, title) {
+    const agent = { ...user };
+    if (this.trendService) {
+      try {
+        const compared = await this.getComparison(data);
+        agent.comparison = (compared.users || []).find(candidate => candidate.user_id === user.user_id)?.comparison;
+      } catch (error) {
+        this.logger.warn(`Could not load comparison days for ${user.name}:`, error.message);
+      }
+    }
+    const agentData = { ...data, users: [agent] };
+    const date = toBusinessYMD(new Date(data.startTime), data.timezone || getBusinessTimezone());
+    const evaluation = this.kpiRules.evaluate(agent, agent, { date });
+    return this.slackService.formatAgentDmMessage(agent, evaluation, agentData, title);
+  }
+
+  /**
+   * Copy of today's report with every agent's comparison days attached (TrendService), so
+   * the previous days are loaded once for all agents rather than per command
+   */
+  async getComparison(data) {
+    return this.cached('comparison', async () => {
+      const compared = { ...data, users: (data.users || []).map(user => ({ ...user })) };
+      await this.trendService.attachDailyComparison(compared);
+      return compared;
+    });
+  }
+
+  /**
+   * Report user matching a Slack user's email
+   */
+  async findBySlackUser(users, slackUserId, who) {
+    const email = await this.slackService.getUserEmail(slackUserId);
+    if (!email) {
+      return { error: `No email on ${who === 'you' ? 'your' : `${who}'s`} Slack profile to match an Aircall user with.` };
+    }
+    const user = users.find(candidate => candidate.email && candidate.email.toLowerCase() === email.toLowerCase());
+    return user ? { user } : { error: `No Aircall user with ${email} in today's report.` };
+  }
+
+  /**
+   * Report user for a mention (matched by email) or @name (full name, or a first name only
+   * one agent has)
+   */
+  async findAgent(users, reference) {
+    const mention = MENTION_PATTERN.exec(reference);
+    if (mention) {
+      return this.findBySlackUser(users, mention[1], 'that user');
+    }
+
+    const name = reference.replace(/^@/, '').trim().toLowerCase();
+    const fullMatch = users.find(user => String(user.name || '').toLowerCase() === name);
+    if (fullMatch) return { user: fullMatch };
+
+    const firstNameMatches = users.filter(user => String(user.name || '').toLowerCase().split(/\s+/)[0] === name);
+    if (firstNameMatches.length === 1) return { user: firstNameMatches[0] };
+    if (firstNameMatches.length > 1) {
+      return { error: `Several agents match "${reference}": ${firstNameMatches.map(user => user.name).join(', ')}. Use the full name.` };
+    }
+    return { error: `No agent named "${reference}" in today's report.` };
+  }
+}
+
+module.exports = SlackCommandService;
@@ -0,0 +1,90 @@
+const winston = require('winston');
+const { createSupabaseClient } = require('../utils/supabaseClient');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parent messages of daily Slack threads, by (kind, date, channel).
+ *
+ * Stored in the "SlackDailyThread" table when Supabase is configured so replicas and
+ * restarts reply under the same parent; otherwise kept in memory only.
+ */
+class SlackThreadService {
+  constructor(logger = null) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'slack-thread-service' }
+      });
+
+    this.supabase = createSupabaseClient();
+    this.threads = new Map();
+  }
+
+  isPersistent() {
+    return Boolean(this.supabase);
+  }
+
+  key(kind, date, channel) {
+    return `${kind}:${date}:${channel}`;
+  }
+
+  /**
+   * Parent message ts of a daily thread, or null if none was posted yet
+   *
+   * @param {string} kind - e.g. 'pacing'
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} channel - Slack channel id
+   */
+  async get(kind, date, channel) {
+    const local = this.threads.get(this.key(kind, date, channel));
+    if (local) return local;
+    if (!this.supabase) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('SlackDailyThread')
+        .select('ts')
+        .eq('kind', kind)
+        .eq('date', date)
+        .eq('channel', channel)
+        .maybeSingle();
+      if (error) throw error;
+      if (data?.ts) this.threads.set(this.key(kind, date, channel), data.ts);
+      return data?.ts || null;
+    } catch (error) {
+      this.logger.error(`Failed to read ${kind} thread for ${date} from Supabase:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the parent message of a daily thread
+   */
+  async save(kind, date, channel, ts) {
+    this.prune(date);
+    this.threads.set(this.key(kind, date, channel), ts);
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('SlackDailyThread')
+        .upsert({ kind, date, channel, ts }, { onConflict: 'kind,date,channel' });
+      if (error) throw error;
+    } catch (error) {
+      this.logger.error(`Failed to save ${kind} thread for ${date} to Supabase:`, error.message);
+    }
+  }
+
+  // Only recent days are ever replied to
+  prune(date) {
+    const cutoff = new Date(Date.parse(`${date}T00:00:00Z`) - 7 * DAY_MS).toISOString().slice(0, 10);
+    for (const key of this.threads.keys()) {
+      if (key.split(':')[1] < cutoff) this.threads.delete(key);
+    }
+  }
+}
+
+module.exports = SlackThreadService;
@@ -1,26 +1,11 @@
 const winston = require('winston');
 
-let createClient = null;
-try {
-  // eslint-disable-next-line import/no-extraneous-dependencies
-  ({ createClient } = require('@supabase/supabase-js'));
-} catch (err) {
-  // This will be handled at runtime when sync is invoked.
-}
-
+const { createSupabaseClient } = require('../utils/supabaseClient');
+const { getBusinessTimezone, toBusinessYMD, addDaysYMD, getDayWindow } = require('../utils/businessTime');
 const performanceAppUserMap = require('../config/performanceAppUserMap');
 
-function toYMDLocal(date) {
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function getPreviousLocalDateYMD(now = new Date()) {
-  const d = new Date(now);
-  d.setDate(d.getDate() - 1);
-  return toYMDLocal(d);
+function getPreviousBusinessDateYMD(now = new Date()) {
+  return addDaysYMD(toBusinessYMD(now), -1);
 }
 
 function getNightWindowISOForEntryDate(entryDateYMD, opts = {}) {
@@ -29,17 +14,15 @@ function getNightWindowISOForEntryDate(entryDateYMD, opts = {}) {
     throw new Error(`Invalid entryDate (expected YYYY-MM-DD): ${entryDateYMD}`);
   }
 
-  const [yearStr, monthStr, dayStr] = entryDateYMD.split('-');
-  const year = Number(yearStr);
-  const month = Number(monthStr) - 1; // JS months are 0-based
-  const day = Number(dayStr);
-
-  // Align with AircallService's "night" KPI window (7AM - 7PM local time).
-  const start = new Date(year, month, day, 7, 0, 0, 0);
-  const end = new Date(year, month, day, 19, 0, 0, 0);
+  // Align with AircallService's "night" window: the whole business day when shifts are
+  // configured (each agent is then counted against their own hours), else 7AM - 7PM.
+  const { startTime: start, endTime: end } = opts.shifts
+    ? opts.shifts.getFetchWindow('night', entryDateYMD)
+    : getDayWindow(entryDateYMD, 7, 19);
 
   logger?.debug?.('Computed Aircall "night" window for entry date', {
     entryDateYMD,
+    timezone: getBusinessTimezone(),
     startISO: start.toISOString(),
     endISO: end.toISOString()
   });
@@ -48,27 +31,33 @@ function getNightWindowISOForEntryDate(entryDateYMD, opts = {}) {
 }
 
 function getEntryDateFromActivityData(activityData) {
-  // AircallService emits ISO strings; derive entryDate from local date of the window start.
+  // AircallService emits ISO strings; derive entryDate from the business date of the window start.
   const startISO = activityData?.startTime;
   if (!startISO) return null;
-  const startDate = new Date(startISO);
-  return toYMDLocal(startDate);
+  return toBusinessYMD(new Date(startISO));
 }
 
-function buildMappingIndex(mappingList) {
+/**
+ * Index mappings by Aircall user id and by lowercase name. Later lists win, so table
+ * rows override entries from config/performanceAppUserMap.js.
+ */
+function buildMappingIndex(...mappingLists) {
   const index = new Map();
-  for (const m of mappingList || []) {
-    if (!m?.aircallUserName) continue;
-    index.set(String(m.aircallUserName).trim().toLowerCase(), m);
+  for (const mappingList of mappingLists) {
+    for (const m of mappingList || []) {
+      if (m?.aircallUserId) index.set(`id:${String(m.aircallUserId)}`, m);
+      if (m?.aircallUserName) index.set(`name:${String(m.aircallUserName).trim().toLowerCase()}`, m);
+    }
   }
   return index;
 }
 
-function tryResolveMapping({ aircallUserName, mappingIndex }) {
+function tryResolveMapping({ aircallUserId, aircallUserName, mappingIndex }) {
   const name = (aircallUserName || '').trim();
-  if (!name) return null;
 
-  const direct = mappingIndex.get(name.toLowerCase());
+  const direct =
+    (aircallUserId !== undefined && aircallUserId !== null ? mappingIndex.get(`id:${String(aircallUserId)}`) : null) ||
+    (name ? mappingIndex.get(`name:${name.toLowerCase()}`) : null);
   if (!direct) return null;
   if (!direct.userId || !direct.teamId) return null;
   return direct;
@@ -80,13 +69,15 @@ function aggregateDailyPhoneKpis({ entryDateYMD, activityData, mappingIndex }) {
 
   const byKpiKey = new Map();
   const unresolvedAircallUsers = [];
+  const unresolvedUsers = [];
 
   for (const user of users) {
     const aircallUserName = user?.name;
-    const resolved = tryResolveMapping({ aircallUserName, mappingIndex });
+    const resolved = tryResolveMapping({ aircallUserId: user?.user_id, aircallUserName, mappingIndex });
 
     if (!resolved) {
       unresolvedAircallUsers.push(aircallUserName);
+      unresolvedUsers.push({ aircallUserId: user?.user_id || null, aircallUserName, email: user?.email || null });
       continue;
     }
 
@@ -164,7 +155,8 @@ function aggregateDailyPhoneKpis({ entryDateYMD, activityData, mappingIndex }) {
     rows,
     usersProcessed,
     unresolvedCount: unresolvedAircallUsers.length,
-    unresolvedAircallUsers: unresolvedAircallUsers
+    unresolvedAircallUsers: unresolvedAircallUsers,
+    unresolvedUsers
   };
 }
 
@@ -178,27 +170,34 @@ class SupabaseSyncService {
         defaultMeta: { service: 'supabase-sync-service' }
       });
 
-    this.supabaseUrl = process.env.SUPABASE_URL;
-    this.supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    this.supabaseEnabled = Boolean(this.supabaseUrl && this.supabaseServiceRoleKey && createClient);
-
-    if (this.supabaseEnabled) {
-      this.supabase = createClient(this.supabaseUrl, this.supabaseServiceRoleKey, {
-        auth: {
-          persistSession: false,
-          autoRefreshToken: false,
-          detectSessionInUrl: false
-        }
-      });
-    }
+    this.supabase = createSupabaseClient();
+    this.supabaseEnabled = Boolean(this.supabase);
+
+    // Cached "AircallUserMapping" rows; refreshed after MAPPING_CACHE_TTL_MINUTES or a write
+    this.mappingCacheTtlMs = parseInt(process.env.MAPPING_CACHE_TTL_MINUTES || '10', 10) * 60 * 1000;
+    this.mappingCache = null;
+    this.mappingCacheLoadedAt = 0;
+    this.mappingSource = 'file';
+
+    // Users the last syncs could not map, keyed by Aircall user id (or name)
+    this.lastUnresolvedUsers = new Map();
+
+    this.shifts = null;
   }
 
   isConfigured() {
     return this.supabaseEnabled;
   }
 
+  /**
+   * Widen the nightly window to the whole day so per-team shifts (services/shiftService.js) apply
+   */
+  setShifts(shiftService) {
+    this.shifts = shiftService;
+  }
+
   getDefaultEntryDateYMD(now = new Date()) {
-    return getPreviousLocalDateYMD(now);
+    return getPreviousBusinessDateYMD(now);
   }
 
   getEntryDateFromActivityData(activityData) {
@@ -206,7 +205,7 @@ class SupabaseSyncService {
   }
 
   getNightWindowISOForEntryDate(entryDateYMD) {
-    return getNightWindowISOForEntryDate(entryDateYMD, { logger: this.logger });
+    return getNightWindowISOForEntryDate(entryDateYMD, { logger: this.logger, shifts: this.shifts });
   }
 
   async upsertDailyPhoneKpis({ entryDateYMD, rows }) {
@@ -270,6 +269,83 @@ class SupabaseSyncService {
     };
   }
 
+  /**
+   * Mappings from the "AircallUserMapping" table (cached), or [] when unavailable
+   */
+  async getStoredMappings({ forceRefresh = false } = {}) {
+    if (!this.supabaseEnabled) {
+      this.mappingSource = 'file';
+      return [];
+    }
+
+    const fresh = this.mappingCache && Date.now() - this.mappingCacheLoadedAt < this.mappingCacheTtlMs;
+    if (fresh && !forceRefresh) {
+      return this.mappingCache;
+    }
+
+    try {
+      const { data, error } = await this.supabase.from('AircallUserMapping').select('*');
+      if (error) throw error;
+      this.mappingCache = data || [];
+      this.mappingCacheLoadedAt = Date.now();
+      this.mappingSource = 'supabase';
+    } catch (error) {
+      // Keep serving the previous cache (or the file) if the table is unavailable
+      this.logger.error('Failed to load Aircall user mappings from Supabase:', error.message);
+      if (!this.mappingCache) this.mappingSource = 'file';
+    }
+
+    return this.mappingCache || [];
+  }
+
+  /**
+   * Table mappings merged over config/performanceAppUserMap.js
+   */
+  async getMappings(options = {}) {
+    const stored = await this.getStoredMappings(options);
+    return {
+      source: this.mappingSource,
+      mappings: [...performanceAppUserMap, ...stored],
+      mappingIndex: buildMappingIndex(performanceAppUserMap, stored)
+    };
+  }
+
+  /**
+   * Which of the given Aircall users ({ id, name, email }) have no mapping
+   */
+  async findUnresolvedUsers(aircallUsers) {
+    const { mappingIndex } = await this.getMappings();
+    return aircallUsers
+      .filter(user => !tryResolveMapping({ aircallUserId: user.id, aircallUserName: user.name, mappingIndex }))
+      .map(user => ({ aircallUserId: user.id, aircallUserName: user.name, email: user.email || null }));
+  }
+
+  getLastUnresolvedUsers() {
+    return Array.from(this.lastUnresolvedUsers.values());
+  }
+
+  async upsertMapping(mapping) {
+    if (!this.supabaseEnabled) {
+      throw new Error('Supabase not configured');
+    }
+
+    const row = {
+      aircallUserId: String(mapping.aircallUserId),
+      aircallUserName: mapping.aircallUserName || null,
+      userId: String(mapping.userId),
+      teamId: String(mapping.teamId),
+      repName: mapping.repName || null,
+      teamName: mapping.teamName || null
+    };
+
+    const { error } = await this.supabase.from('AircallUserMapping').upsert(row, { onConflict: 'aircallUserId' });
+    if (error) throw error;
+
+    await this.getStoredMappings({ forceRefresh: true });
+    this.lastUnresolvedUsers.delete(row.aircallUserId);
+    return row;
+  }
+
   async syncDailyPhoneKpisFromActivity({ entryDateYMD, activityData }) {
     if (!entryDateYMD) {
       throw new Error('entryDateYMD is required for syncDailyPhoneKpisFromActivity');
@@ -285,13 +361,17 @@ class SupabaseSyncService {
       };
     }
 
-    const mappingIndex = buildMappingIndex(performanceAppUserMap);
-    const { rows, usersProcessed, unresolvedCount, unresolvedAircallUsers } = aggregateDailyPhoneKpis({
+    const { mappingIndex } = await this.getMappings();
+    const { rows, usersProcessed, unresolvedCount, unresolvedAircallUsers, unresolvedUsers } = aggregateDailyPhoneKpis({
       entryDateYMD,
       activityData,
       mappingIndex
     });
 
+    for (const user of unresolvedUsers) {
+      this.lastUnresolvedUsers.set(String(user.aircallUserId || user.aircallUserName), { ...user, lastSeenEntryDate: entryDateYMD });
+    }
+
     if (unresolvedCount > 0) {
       this.logger.warn('Unresolved Aircall users skipped during Supabase sync', {
         entryDateYMD,
@@ -0,0 +1,147 @@
+const winston = require('winston');
+const {
+  getBusinessTimezone,
+  toBusinessYMD,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayOfWeekYMD,
+  getDayWindow
+} = require('../utils/businessTime');
+
+const TRAILING_DAYS = 5;
+const COMPARED_METRICS = ['totalCalls', 'answeredCalls', 'totalDurationMinutes', 'inboundCalls', 'answeredInboundCalls'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function pickMetrics(stats) {
+  return Object.fromEntries(COMPARED_METRICS.map(metric => [metric, stats[metric] || 0]));
+}
+
+function sumMetrics(list) {
+  return Object.fromEntries(COMPARED_METRICS.map(metric => [metric, round2(list.reduce((sum, stats) => sum + stats[metric], 0))]));
+}
+
+function averageMetrics(list) {
+  return Object.fromEntries(COMPARED_METRICS.map(metric => [
+    metric,
+    list.length > 0 ? round2(list.reduce((sum, stats) => sum + stats[metric], 0) / list.length) : 0
+  ]));
+}
+
+/**
+ * Comparison numbers for the End of Day report: each agent's and the team's previous
+ * working day and trailing average over the last TRAILING_DAYS working days.
+ *
+ * The comparison days are pulled in one window through AircallService.getCallsForWindow
+ * (so the call store serves them when configured) and counted with the same shift hours
+ * as the report itself.
+ */
+class TrendService {
+  constructor(logger, aircallService) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'trend-service' }
+      });
+    this.aircallService = aircallService;
+    this.holidays = null;
+  }
+
+  /**
+   * Skip business holidays (services/holidayService.js) when looking back
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+
+  isWorkingDay(dateYMD) {
+    if (this.holidays) return this.holidays.isWorkingDay(dateYMD);
+    const dayOfWeek = getDayOfWeekYMD(dateYMD);
+    return dayOfWeek >= 1 && dayOfWeek <= 5;
+  }
+
+  /**
+   * The `count` working days before a date, most recent first
+   */
+  getPreviousWorkingDays(dateYMD, count = TRAILING_DAYS) {
+    const days = [];
+    // Bounded so a calendar with no working days can't loop forever
+    for (let day = addDaysYMD(dateYMD, -1), i = 0; days.length < count && i < 60; day = addDaysYMD(day, -1), i++) {
+      if (this.isWorkingDay(day)) days.push(day);
+    }
+    return days;
+  }
+
+  /**
+   * Add `comparison` to a daily report and to each of its users:
+   * { previousDay: { date, ...metrics }, trailingAverage: { days, ...metrics } }
+   *
+   * @param {object} activityData - AircallService.getUserActivity('night') output
+   * @returns {Promise<object>} the same activityData
+   */
+  async attachDailyComparison(activityData, trailingDays = TRAILING_DAYS) {
+    const timezone = activityData.timezone || getBusinessTimezone();
+    const reportDate = toBusinessYMD(new Date(activityData.startTime), timezone);
+    const previousDays = this.getPreviousWorkingDays(reportDate, trailingDays);
+    if (previousDays.length === 0) {
+      return activityData;
+    }
+
+    const windowStart = businessTimeToDate(previousDays[previousDays.length - 1], 0, 0, 0, 0, timezone);
+    const windowEnd = businessTimeToDate(addDaysYMD(previousDays[0], 1), 0, 0, 0, 0, timezone);
+    this.logger.info(`Loading comparison days ${previousDays[previousDays.length - 1]} to ${previousDays[0]} for ${reportDate}`);
+
+    const calls = await this.aircallService.getCallsForWindow(
+      Math.floor(windowStart.getTime() / 1000),
+      Math.floor(windowEnd.getTime() / 1000)
+    );
+    const callsByUser = this.aircallService.groupCallsByUser(calls);
+
+    const teamDaily = previousDays.map(() => []);
+    for (const user of activityData.users || []) {
+      const daily = this.getDailyStats(user, callsByUser.get(user.user_id) || [], previousDays, timezone);
+      daily.forEach((stats, i) => teamDaily[i].push(stats));
+      user.comparison = {
+        previousDay: { date: previousDays[0], ...daily[0] },
+        trailingAverage: { days: previousDays.length, ...averageMetrics(daily) }
+      };
+    }
+
+    const teamTotals = teamDaily.map(sumMetrics);
+    activityData.comparison = {
+      previousDay: { date: previousDays[0], ...teamTotals[0] },
+      trailingAverage: { days: previousDays.length, ...averageMetrics(teamTotals) }
+    };
+    return activityData;
+  }
+
+  /**
+   * An agent's metrics on each of the given days, counted like the night report
+   * (their shift hours when shifts are configured, else 7 AM - 7 PM)
+   */
+  getDailyStats(user, calls, days, timezone) {
+    const { calls: counted } = this.aircallService.applyShift(user, 'night', calls, timezone);
+    const callsByDay = new Map();
+    for (const call of counted) {
+      if (!call.started_at) continue;
+      const day = toBusinessYMD(new Date(call.started_at * 1000), timezone);
+      if (!callsByDay.has(day)) callsByDay.set(day, []);
+      callsByDay.get(day).push(call);
+    }
+
+    return days.map(day => {
+      let dayCalls = callsByDay.get(day) || [];
+      if (!this.aircallService.shifts) {
+        const { startTime, endTime } = getDayWindow(day, 7, 19, timezone);
+        dayCalls = dayCalls.filter(call => call.started_at * 1000 >= startTime.getTime() && call.started_at * 1000 < endTime.getTime());
+      }
+      return pickMetrics(this.aircallService.processCallData(dayCalls));
+    });
+  }
+}
+
+module.exports = TrendService;
@@ -0,0 +1,311 @@
+const winston = require('winston');
+const { organizeUsersByCategory, formatUserData, isShiftInProgress } = require('../utils/reportData');
+const {
+  getWeekRange,
+  toBusinessYMD,
+  getBusinessTimezone,
+  getZonedParts,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayOfWeekYMD
+} = require('../utils/businessTime');
+
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WEEKS_AGO = 104;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Builds the weekly average report: one Aircall fetch for Monday-Friday (or Monday to now
+ * for the current week), per-agent daily averages over the elapsed working days, and KPI
+ * evaluation against the rules effective at the start of the week. Today only counts
+ * toward an agent's averages once their shift has ended.
+ */
+class WeeklyReportService {
+  constructor(logger, generateReport, kpiRulesService, aircallService) {
+    this.logger =
+      logger ||
+      winston.createLogger({
+        level: 'info',
+        format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+        defaultMeta: { service: 'weekly-report-service' }
+      });
+    this.generateReport = generateReport;
+    this.kpiRules = kpiRulesService;
+    this.aircallService = aircallService;
+    this.holidays = null;
+  }
+
+  /**
+   * Leave business holidays (services/holidayService.js) out of the weekly divisor
+   */
+  setHolidays(holidayService) {
+    this.holidays = holidayService;
+  }
+
+  /**
+   * Current week range (Monday 00:00 to Friday 23:59:59.999 business time)
+   */
+  getCurrentWeekRange(now = new Date()) {
+    return getWeekRange(now);
+  }
+
+  /**
+   * Week containing a date (weekOf, YYYY-MM-DD) or `weeksAgo` weeks before this one.
+   * A week still in progress ends at `now`, so only its elapsed days are reported.
+   *
+   * @param {{ weekOf?: string, weeksAgo?: number|string }} [options] - at most one; defaults to the current week
+   */
+  resolveWeek({ weekOf, weeksAgo } = {}, now = new Date()) {
+    const hasWeekOf = weekOf !== undefined && weekOf !== null && weekOf !== '';
+    const hasWeeksAgo = weeksAgo !== undefined && weeksAgo !== null && weeksAgo !== '';
+    if (hasWeekOf && hasWeeksAgo) {
+      throw new Error('Pass either weekOf or weeksAgo, not both');
+    }
+
+    const today = toBusinessYMD(now);
+    let day = today;
+    if (hasWeekOf) {
+      if (!YMD_PATTERN.test(weekOf) || Number.isNaN(Date.parse(weekOf))) {
+        throw new Error('weekOf must be YYYY-MM-DD');
+      }
+      day = weekOf;
+    } else if (hasWeeksAgo) {
+      const n = Number(weeksAgo);
+      if (!Number.isInteger(n) || n < 0 || n > MAX_WEEKS_AGO) {
+        throw new Error(`weeksAgo must be an integer between 0 and ${MAX_WEEKS_AGO}`);
+      }
+      day = addDaysYMD(today, -7 * n);
+    }
+
+    // Noon avoids any DST edge when mapping the day back to an instant
+    const weekRange = getWeekRange(businessTimeToDate(day, 12));
+    if (weekRange.startDate > today) {
+      throw new Error(`week of ${weekRange.startDate} has not started yet`);
+    }
+    if (weekRange.endTime <= now) {
+      return { ...weekRange, weekToDate: false };
+    }
+
+    // Week in progress: report through now and through today's date
+    return {
+      ...weekRange,
+      endTime: now,
+      endTimeISO: now.toISOString(),
+      endDate: today,
+      weekToDate: true
+    };
+  }
+
+  /**
+   * Working days in [startYMD, endYMD] of one week: Monday-Friday less business holidays
+   */
+  countWorkingDays(startYMD, endYMD) {
+    return this.holidays
+      ? this.holidays.countWorkingDays(startYMD, endYMD)
+      : Math.min(5, getDayOfWeekYMD(endYMD) || 5);
+  }
+
+  isWorkingDay(ymd) {
+    return this.holidays ? this.holidays.isWorkingDay(ymd) : getDayOfWeekYMD(ymd) >= 1 && getDayOfWeekYMD(ymd) <= 5;
+  }
+
+  /**
+   * The same span one week earlier: a week to date is compared with the previous week
+   * up to the same weekday and time of day
+   */
+  getPreviousWeekRange(weekRange) {
+    const timezone = weekRange.timezone || getBusinessTimezone();
+    const startDate = addDaysYMD(weekRange.startDate, -7);
+    const endDate = addDaysYMD(weekRange.endDate, -7);
+    const end = getZonedParts(weekRange.endTime, timezone);
+    const startTime = businessTimeToDate(startDate, 0, 0, 0, 0, timezone);
+    const endTime = businessTimeToDate(endDate, end.hour, end.minute, end.second, weekRange.endTime.getTime() % 1000, timezone);
+    return {
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      startTimeISO: startTime.toISOString(),
+      endTimeISO: endTime.toISOString(),
+      timezone
+    };
+  }
+
+  /**
+   * Team totals of a week, and per working day so weeks with holidays compare fairly
+   */
+  summarizeTeam(users, workingDays) {
+    const totalCalls = users.reduce((sum, user) => sum + user.totalCalls, 0);
+    const totalDurationMinutes = round2(users.reduce((sum, user) => sum + user.totalDurationMinutes, 0));
+    return {
+      workingDays,
+      totalCalls,
+      totalDurationMinutes,
+      dialsPerDay: workingDays > 0 ? round2(totalCalls / workingDays) : 0,
+      talkTimePerDay: workingDays > 0 ? round2(totalDurationMinutes / workingDays) : 0
+    };
+  }
+
+  /**
+   * Team week-over-week change: fetches the previous week's span and compares team totals
+   * per working day; null if the previous week can't be fetched
+   */
+  async buildWeekOverWeek(weekRange, current) {
+    const previousRange = this.getPreviousWeekRange(weekRange);
+    try {
+      const data = await this.generateReport('Weekly Average', previousRange.startTimeISO, previousRange.endTimeISO);
+      const previous = this.summarizeTeam(data.users || [], this.countWorkingDays(previousRange.startDate, previousRange.endDate));
+      const change = metric => ({
+        change: round2(current[metric] - previous[metric]),
+        percent: previous[metric] > 0 ? Math.round(((current[metric] - previous[metric]) / previous[metric]) * 100) : null
+      });
+      return {
+        previousWeekOf: previousRange.startDate,
+        current,
+        previous,
+        dialsPerDay: change('dialsPerDay'),
+        talkTimePerDay: change('talkTimePerDay')
+      };
+    } catch (error) {
+      this.logger.warn(`Week-over-week comparison unavailable for week of ${previousRange.startDate}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a week's activity and shape it for SlackService.sendWeeklyAverageReport
+   *
+   * @param {{ weekOverWeek?: boolean }} [options] - weekOverWeek false skips the previous
+   *   week's fetch and leaves the comparison out
+   */
+  async build(weekRange = this.resolveWeek(), { weekOverWeek: compareWeeks = true } = {}) {
+    this.logger.info(`Weekly report: ${weekRange.startTimeISO} to ${weekRange.endTimeISO}`);
+
+    // Get data for the week
+    const data = await this.generateReport('Weekly Average', weekRange.startTimeISO, weekRange.endTimeISO);
+
+    // KPI rules effective at the start of the week
+    const reportDate = weekRange.startDate || toBusinessYMD(weekRange.startTime);
+    const weekEndDate = weekRange.endDate || toBusinessYMD(weekRange.endTime);
+
+    // Calculate daily averages over the week's elapsed working days (Monday-Friday less holidays)
+    const workingDays = this.countWorkingDays(reportDate, weekEndDate);
+    const holidays = this.holidays ? this.holidays.listBetween(reportDate, weekEndDate) : [];
+    const organized = organizeUsersByCategory(data.users || []);
+    const overrides = this.kpiRules.overrides;
+    const timezone = weekRange.timezone || getBusinessTimezone();
+    const todayIsWorkingDay = Boolean(weekRange.weekToDate) && this.isWorkingDay(weekEndDate);
+
+    // Process each category and calculate averages
+    const processWeeklyData = (users, evaluateKpis) => {
+      return users.map(user => {
+        // Today's partial day stays out of the averages until the agent's shift ends
+        const dayInProgress = todayIsWorkingDay && isShiftInProgress(user, weekEndDate, weekRange.endTime, timezone);
+        const lastCountedDate = dayInProgress ? addDaysYMD(weekEndDate, -1) : weekEndDate;
+        const partialDay = dayInProgress
+          ? this.aircallService.processCallData((user.calls || []).filter(call =>
+            call.started_at && toBusinessYMD(new Date(call.started_at * 1000), timezone) === weekEndDate
+          ))
+          : { totalCalls: 0, totalDurationMinutes: 0, answeredCalls: 0, answeredInboundCalls: 0 };
+
+        // Excused days (PTO, before start date) are left out of the agent's averages
+        const excusedDays = overrides ? overrides.countExcusedDays(user.user_id, reportDate, lastCountedDate) : 0;
+        const agentWorkingDays = Math.max(0, workingDays - (dayInProgress ? 1 : 0) - excusedDays);
+        const perDay = value => (agentWorkingDays > 0 ? value / agentWorkingDays : 0);
+
+        const avgDialsPerDay = perDay(user.totalCalls - partialDay.totalCalls);
+        const avgTalkTimePerDay = perDay(user.totalDurationMinutes - partialDay.totalDurationMinutes);
+
+        // Daily targets are compared against daily averages
+        const dailyAverageStats = {
+          totalCalls: avgDialsPerDay,
+          totalDurationMinutes: avgTalkTimePerDay,
+          answeredCalls: perDay(user.answeredCalls - partialDay.answeredCalls),
+          answeredInboundCalls: perDay((user.answeredInboundCalls || 0) - partialDay.answeredInboundCalls)
+        };
+
+        let kpi;
+        if (evaluateKpis) {
+          kpi = agentWorkingDays > 0
+            ? this.kpiRules.evaluate(user, dailyAverageStats, { date: reportDate, ignoreExcused: true })
+            : { hasKpis: false, meetsKPIs: true, excused: true, ruleId: null, adjustment: { factor: 1, reasons: [] }, results: [] };
+        }
+
+        return {
+          ...formatUserData(user),
+          weeklyTotal: {
+            totalCalls: user.totalCalls,
+            totalDurationMinutes: user.totalDurationMinutes,
+            answeredCalls: user.answeredCalls,
+            inboundCalls: user.inboundCalls || 0,
+            outboundCalls: user.outboundCalls || 0
+          },
+          dailyAverage: {
+            dialsPerDay: Math.round(avgDialsPerDay * 100) / 100,
+            talkTimePerDay: Math.round(avgTalkTimePerDay * 100) / 100
+          },
+          workingDays: agentWorkingDays,
+          excusedDays,
+          dayInProgress,
+          kpi
+        };
+      });
+    };
+
+    const processedDispo = processWeeklyData(organized.dispoAgents, true);
+    const processedAcquisition = processWeeklyData(organized.acquisitionAgents, true);
+    const processedOther = processWeeklyData(organized.otherUsers, false);
+
+    // Check Dispo and Acquisition agent KPIs against the configured rules
+    const dispoRule = this.kpiRules.getCategoryRule('dispo', reportDate);
+    const acquisitionRule = this.kpiRules.getCategoryRule('acquisition', reportDate);
+    const ruleTargets = rule => ({
+      dialsPerDay: rule?.metrics.find(m => m.metric === 'dials')?.value,
+      talkTimePerDay: rule?.metrics.find(m => m.metric === 'talkTimeMinutes')?.value
+    });
+    const notMeetingKPIs = agents => agents.filter(agent => agent.kpi.hasKpis && !agent.kpi.meetsKPIs);
+
+    const weekOverWeek = compareWeeks
+      ? await this.buildWeekOverWeek(
+        { ...weekRange, startDate: reportDate, endDate: weekEndDate },
+        this.summarizeTeam(data.users || [], workingDays)
+      )
+      : null;
+
+    return {
+      period: 'Weekly Average',
+      startTime: weekRange.startTimeISO,
+      endTime: weekRange.endTimeISO,
+      weekOf: reportDate,
+      weekToDate: Boolean(weekRange.weekToDate),
+      timezone,
+      workingDays: workingDays,
+      holidays: holidays.map(({ date, name }) => ({ date, name })),
+      summary: {
+        totalUsers: organized.totalUsers,
+        dispoCount: organized.dispoCount,
+        acquisitionCount: organized.acquisitionCount,
+        otherCount: organized.otherCount,
+        dispoNotMeetingKPIs: notMeetingKPIs(processedDispo).length,
+        acquisitionNotMeetingKPIs: notMeetingKPIs(processedAcquisition).length
+      },
+      weekOverWeek,
+      dispoAgents: processedDispo,
+      acquisitionAgents: processedAcquisition,
+      otherUsers: processedOther,
+      kpiThresholds: {
+        dispo: ruleTargets(dispoRule),
+        acquisition: ruleTargets(acquisitionRule)
+      },
+      kpiRuleDescriptions: {
+        dispo: this.kpiRules.describeRule(dispoRule),
+        acquisition: this.kpiRules.describeRule(acquisitionRule)
+      }
+    };
+  }
+}
+
+module.exports = WeeklyReportService;
@@ -0,0 +1,47 @@
+-- Local store of normalized Aircall calls, so reports can be computed without re-pulling Aircall.
+-- Idempotency: primary key is the Aircall call id.
+
+create table if not exists public."AircallCall" (
+  id bigint primary key,
+  "userId" bigint,
+  "userName" text,
+  "userEmail" text,
+  direction text not null,
+  status text,
+  "startedAt" timestamptz not null,
+  "answeredAt" timestamptz,
+  "endedAt" timestamptz,
+  duration int not null default 0,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+create index if not exists "AircallCall_startedAt_idx" on public."AircallCall" ("startedAt");
+create index if not exists "AircallCall_userId_startedAt_idx" on public."AircallCall" ("userId", "startedAt");
+
+-- Time ranges that have been fully pulled from Aircall into "AircallCall".
+create table if not exists public."AircallCallSyncRange" (
+  id text primary key default gen_random_uuid()::text,
+  "rangeStart" timestamptz not null,
+  "rangeEnd" timestamptz not null,
+  "callCount" int not null default 0,
+  "syncedAt" timestamptz not null default now(),
+  constraint "AircallCallSyncRange_bounds_check" check ("rangeEnd" > "rangeStart")
+);
+
+create index if not exists "AircallCallSyncRange_bounds_idx"
+  on public."AircallCallSyncRange" ("rangeStart", "rangeEnd");
+
+create or replace function public.set_aircall_call_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_aircall_call_updated_at on public."AircallCall";
+create trigger trg_aircall_call_updated_at
+before update on public."AircallCall"
+for each row
+execute function public.set_aircall_call_updated_at();
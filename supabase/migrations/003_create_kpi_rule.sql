@@ -0,0 +1,18 @@
+-- KPI rules evaluated by the daily and weekly Slack reports (KPI_RULES_SOURCE=supabase).
+-- Exactly one of category / team / "agentId" scopes a rule; the most specific match wins.
+
+create table if not exists public."KpiRule" (
+  id text primary key default gen_random_uuid()::text,
+  category text,
+  team text,
+  "agentId" text,
+  "effectiveFrom" date,
+  "effectiveTo" date,
+  -- [{ "metric": "dials", "operator": ">=", "value": 60 }, ...]
+  metrics jsonb not null,
+  "createdAt" timestamptz not null default now(),
+  constraint "KpiRule_single_scope_check"
+    check (num_nonnulls(category, team, "agentId") = 1)
+);
+
+create index if not exists "KpiRule_effectiveFrom_idx" on public."KpiRule" ("effectiveFrom");
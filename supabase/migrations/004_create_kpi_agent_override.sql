@@ -0,0 +1,33 @@
+-- Per-agent KPI overrides (part-time proration, ramp-up schedules, excused days / PTO).
+-- Keyed by Aircall user id; managed through /kpi/overrides.
+
+create table if not exists public."KpiAgentOverride" (
+  "agentId" text primary key,
+  "agentName" text,
+  -- Multiplier applied to volume targets (e.g. 0.5 for a half-time agent)
+  "prorateFactor" numeric not null default 1,
+  "startDate" date,
+  -- [{ "week": 1, "factor": 0.25 }, { "week": 3, "factor": 0.5 }] (1-based weeks since startDate;
+  -- a step lasts until the next one, full targets after the last)
+  "rampSchedule" jsonb not null default '[]'::jsonb,
+  -- ["2026-10-20", ...] days left out of averages and alerts
+  "excusedDates" jsonb not null default '[]'::jsonb,
+  note text,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now(),
+  constraint "KpiAgentOverride_prorateFactor_check" check ("prorateFactor" > 0 and "prorateFactor" <= 1)
+);
+
+create or replace function public.set_kpi_agent_override_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_kpi_agent_override_updated_at on public."KpiAgentOverride";
+create trigger trg_kpi_agent_override_updated_at
+before update on public."KpiAgentOverride"
+for each row
+execute function public.set_kpi_agent_override_updated_at();
@@ -0,0 +1,31 @@
+-- Team roster, keyed by Aircall user id; managed through /roster/agents.
+-- Agents not listed here fall back to the DISPO_AGENTS / ACQUISITION_AGENTS / EXCLUDED_USERS env vars.
+
+create table if not exists public."AgentRoster" (
+  "agentId" text primary key,
+  name text,
+  email text,
+  category text not null default 'other',
+  team text,
+  manager text,
+  "startDate" date,
+  -- Inactive agents are left out of reports
+  active boolean not null default true,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now(),
+  constraint "AgentRoster_category_check" check (category in ('dispo', 'acquisition', 'other'))
+);
+
+create or replace function public.set_agent_roster_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_agent_roster_updated_at on public."AgentRoster";
+create trigger trg_agent_roster_updated_at
+before update on public."AgentRoster"
+for each row
+execute function public.set_agent_roster_updated_at();
@@ -0,0 +1,27 @@
+-- Aircall user -> presidential-performance-hub user/team mapping used by the nightly KPI sync.
+-- Replaces config/performanceAppUserMap.js (still read as a fallback); managed through /sync/mappings.
+
+create table if not exists public."AircallUserMapping" (
+  "aircallUserId" text primary key,
+  "aircallUserName" text,
+  "userId" text not null,
+  "teamId" text not null,
+  "repName" text,
+  "teamName" text,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+create or replace function public.set_aircall_user_mapping_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_aircall_user_mapping_updated_at on public."AircallUserMapping";
+create trigger trg_aircall_user_mapping_updated_at
+before update on public."AircallUserMapping"
+for each row
+execute function public.set_aircall_user_mapping_updated_at();
@@ -0,0 +1,31 @@
+-- One row per (report type, run date): the replica that inserts it sends the report,
+-- everyone else skips. Used by services/runLockService.js.
+
+create table if not exists public."ReportRunLock" (
+  "reportType" text not null,
+  "runDate" date not null,
+  "token" text not null,
+  "holder" text not null,
+  "trigger" text,
+  "status" text not null default 'running' check ("status" in ('running', 'completed', 'failed')),
+  "acquiredAt" timestamptz not null default now(),
+  "expiresAt" timestamptz not null,
+  "finishedAt" timestamptz,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now(),
+  primary key ("reportType", "runDate")
+);
+
+create or replace function public.set_report_run_lock_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_report_run_lock_updated_at on public."ReportRunLock";
+create trigger trg_report_run_lock_updated_at
+before update on public."ReportRunLock"
+for each row
+execute function public.set_report_run_lock_updated_at();
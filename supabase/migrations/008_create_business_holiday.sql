@@ -0,0 +1,24 @@
+-- Holidays added through /holidays, or built-in ones (US federal, config/holidays.js)
+-- switched off with observed = false. Read by services/holidayService.js.
+
+create table if not exists public."BusinessHoliday" (
+  "date" date primary key,
+  "name" text,
+  "observed" boolean not null default true,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+create or replace function public.set_business_holiday_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_business_holiday_updated_at on public."BusinessHoliday";
+create trigger trg_business_holiday_updated_at
+before update on public."BusinessHoliday"
+for each row
+execute function public.set_business_holiday_updated_at();
@@ -0,0 +1,11 @@
+-- Parent Slack message of a daily thread (e.g. intraday pacing alerts), so every replica
+-- and restart replies under the same message. Used by services/slackThreadService.js.
+
+create table if not exists public."SlackDailyThread" (
+  "kind" text not null,
+  "date" date not null,
+  "channel" text not null,
+  "ts" text not null,
+  "createdAt" timestamptz not null default now(),
+  primary key ("kind", "date", "channel")
+);
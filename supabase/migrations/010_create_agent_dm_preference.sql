@@ -0,0 +1,24 @@
+-- Per-agent opt-in/opt-out for KPI status DMs, keyed by Aircall user id; managed through
+-- /dm-preferences. Agents without a row follow SLACK_DM_DEFAULT_OPT_IN. Used by
+-- services/dmPreferenceService.js.
+
+create table if not exists public."AgentDmPreference" (
+  "agentId" text primary key,
+  "optIn" boolean not null,
+  "createdAt" timestamptz not null default now(),
+  "updatedAt" timestamptz not null default now()
+);
+
+create or replace function public.set_agent_dm_preference_updated_at()
+returns trigger as $$
+begin
+  new."updatedAt" = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg_agent_dm_preference_updated_at on public."AgentDmPreference";
+create trigger trg_agent_dm_preference_updated_at
+before update on public."AgentDmPreference"
+for each row
+execute function public.set_agent_dm_preference_updated_at();
@@ -30,6 +30,18 @@ const options = {
           bearerFormat: 'JWT'
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Repeats with the same key return the original response (Idempotent-Replayed: true) instead of running again. Defaults to endpoint + date + request body; force=true opts out of the default.'
+        }
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -91,6 +103,11 @@ const options = {
               format: 'date-time',
               example: '2024-01-01T12:00:00.000Z'
             },
+            timezone: {
+              type: 'string',
+              description: 'BUSINESS_TIMEZONE that report windows and dates are computed in',
+              example: 'America/Chicago'
+            },
             excludedUsers: {
               type: 'array',
               items: {
@@ -98,6 +115,33 @@ const options = {
               },
               example: ['Joel Schrock']
             },
+            agentIdentityIssues: {
+              type: 'array',
+              description: 'EXCLUDED_USERS / DISPO_AGENTS / ACQUISITION_AGENTS entries that matched several Aircall users, none, or conflicting categories',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['ambiguous_name', 'unmatched_entry', 'category_conflict']
+                  },
+                  list: {
+                    type: 'string',
+                    example: 'dispo'
+                  },
+                  entry: {
+                    type: 'string',
+                    example: 'Derek'
+                  },
+                  candidates: {
+                    type: 'array',
+                    items: {
+                      type: 'object'
+                    }
+                  }
+                }
+              }
+            },
             endpoints: {
               type: 'object',
               properties: {
@@ -145,25 +189,122 @@ const options = {
               type: 'string',
               description: 'Optional name for the report',
               example: 'Custom Report'
+            },
+            applyShifts: {
+              type: 'boolean',
+              description: 'Count only calls within each agent\'s shift hours, with the rest as after-hours activity (default false)',
+              example: false
             }
           }
         },
-        SchedulerStatus: {
+        WeeklyReportRequest: {
           type: 'object',
           properties: {
-            isRunning: {
-              type: 'boolean',
-              example: true
+            weekOf: {
+              type: 'string',
+              format: 'date',
+              description: 'Any date in the week to report (YYYY-MM-DD); defaults to the current week',
+              example: '2026-10-05'
+            },
+            weeksAgo: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Report the week this many weeks before the current one (0 = current week); not combined with weekOf',
+              example: 1
             },
-            nextAfternoonRun: {
+            returnRaw: {
+              type: 'boolean',
+              description: 'Return the report data instead of sending it to Slack',
+              example: false
+            }
+          }
+        },
+        MonthlyReportRequest: {
+          type: 'object',
+          properties: {
+            month: {
               type: 'string',
-              format: 'date-time',
-              example: '2024-01-01T14:00:00.000Z'
+              description: '"current" (month to date, default), "previous" or YYYY-MM',
+              example: '2026-09'
             },
-            nextNightRun: {
+            returnRaw: {
+              type: 'boolean',
+              description: 'Return the report data instead of sending it to Slack',
+              example: false
+            }
+          }
+        },
+        LeaderboardRequest: {
+          type: 'object',
+          properties: {
+            period: {
               type: 'string',
-              format: 'date-time',
-              example: '2024-01-01T22:00:00.000Z'
+              enum: ['today', 'week', 'month'],
+              description: 'Ranking window, up to now (default today)',
+              example: 'week'
+            },
+            metrics: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['dials', 'talkTime', 'answerRate']
+              },
+              description: 'Metrics to rank by, in order; later metrics break ties (default all three)',
+              example: ['dials', 'talkTime']
+            },
+            returnRaw: {
+              type: 'boolean',
+              description: 'Return the leaderboard data instead of sending it to Slack',
+              example: false
+            }
+          }
+        },
+        SchedulerStatus: {
+          type: 'object',
+          properties: {
+            running: {
+              type: 'boolean',
+              example: true
+            },
+            schedules: {
+              type: 'object',
+              description: 'Keyed by report type (afternoon, night, weekly-avg, pacing, nightly-sync)',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  cron: {
+                    type: 'string',
+                    example: '30 18 * * 1-5'
+                  },
+                  timezone: {
+                    type: 'string',
+                    example: 'America/Chicago'
+                  },
+                  enabled: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  scheduled: {
+                    type: 'boolean',
+                    example: true
+                  },
+                  nextRun: {
+                    type: 'string',
+                    format: 'date-time',
+                    nullable: true,
+                    example: '2024-01-01T00:30:00.000Z'
+                  },
+                  lastRun: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                      jobId: { type: 'string' },
+                      trigger: { type: 'string', enum: ['schedule', 'manual'] },
+                      startedAt: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                }
+              }
             }
           }
         }
@@ -1,3 +1,821 @@
+const assert = require('assert');
+
+function testBusinessTimezoneWindows() {
+  const businessTime = require('./utils/businessTime');
+  const AircallService = require('./AircallService');
+  const SupabaseSyncService = require('./services/supabaseSyncService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const originalTZ = process.env.TZ;
+  const originalBusinessTZ = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = 'America/Chicago';
+
+  try {
+    // Same answers whatever zone the server runs in
+    for (const serverTZ of ['UTC', 'America/Chicago', 'Asia/Tokyo']) {
+      process.env.TZ = serverTZ;
+      const aircall = new AircallService('id', 'token');
+      const sync = new SupabaseSyncService(silentLogger);
+      const nightWindow = (nowISO) => {
+        const range = aircall.getTimeRange('night', null, null, new Date(nowISO));
+        return [range.startTime.toISOString(), range.endTime.toISOString(), range.timezone];
+      };
+
+      // Ordinary CST and CDT days
+      assert.deepStrictEqual(nightWindow('2026-01-15T18:00:00Z'), ['2026-01-15T13:00:00.000Z', '2026-01-16T01:00:00.000Z', 'America/Chicago']);
+      assert.deepStrictEqual(nightWindow('2026-07-01T18:00:00Z'), ['2026-07-01T12:00:00.000Z', '2026-07-02T00:00:00.000Z', 'America/Chicago']);
+
+      // Spring forward (2026-03-08): 7AM is already CDT
+      assert.deepStrictEqual(nightWindow('2026-03-08T18:00:00Z'), ['2026-03-08T12:00:00.000Z', '2026-03-09T00:00:00.000Z', 'America/Chicago']);
+      // Fall back (2026-11-01): 7AM is CST again
+      assert.deepStrictEqual(nightWindow('2026-11-01T18:00:00Z'), ['2026-11-01T13:00:00.000Z', '2026-11-02T01:00:00.000Z', 'America/Chicago']);
+
+      // Afternoon window on the spring-forward day
+      const afternoon = aircall.getTimeRange('afternoon', null, null, new Date('2026-03-08T20:00:00Z'));
+      assert.strictEqual(afternoon.startTime.toISOString(), '2026-03-08T14:00:00.000Z');
+      assert.strictEqual(afternoon.endTime.toISOString(), '2026-03-08T18:00:00.000Z');
+
+      // The Supabase sync computes the same window for an entry date
+      assert.deepStrictEqual(sync.getNightWindowISOForEntryDate('2026-03-08'), {
+        startISO: '2026-03-08T12:00:00.000Z',
+        endISO: '2026-03-09T00:00:00.000Z'
+      });
+      assert.deepStrictEqual(sync.getNightWindowISOForEntryDate('2026-11-01'), {
+        startISO: '2026-11-01T13:00:00.000Z',
+        endISO: '2026-11-02T01:00:00.000Z'
+      });
+      assert.strictEqual(sync.getEntryDateFromActivityData({ startTime: '2026-11-01T13:00:00.000Z' }), '2026-11-01');
+
+      // 10:30 PM on Mar 8 (CDT) is still Mar 8, so the previous day is Mar 7
+      assert.strictEqual(businessTime.toBusinessYMD(new Date('2026-03-09T03:30:00Z')), '2026-03-08');
+      assert.strictEqual(sync.getDefaultEntryDateYMD(new Date('2026-03-09T03:30:00Z')), '2026-03-07');
+
+      // Week containing the fall-back Sunday: Monday 00:00 CDT to Friday 23:59:59.999 CDT
+      const week = businessTime.getWeekRange(new Date('2026-11-01T18:00:00Z'));
+      assert.strictEqual(week.startTimeISO, '2026-10-26T05:00:00.000Z');
+      assert.strictEqual(week.endTimeISO, '2026-10-31T04:59:59.999Z');
+      // Week after it is all CST
+      const nextWeek = businessTime.getWeekRange(new Date('2026-11-04T18:00:00Z'));
+      assert.strictEqual(nextWeek.startTimeISO, '2026-11-02T06:00:00.000Z');
+      assert.strictEqual(nextWeek.endTimeISO, '2026-11-07T05:59:59.999Z');
+
+      // Times inside the spring-forward gap land after the jump; repeated fall-back times take the first occurrence
+      assert.strictEqual(businessTime.businessTimeToDate('2026-03-08', 2, 30).toISOString(), '2026-03-08T08:30:00.000Z');
+      assert.strictEqual(businessTime.businessTimeToDate('2026-11-01', 1, 30).toISOString(), '2026-11-01T06:30:00.000Z');
+    }
+    console.log('✅ Report windows follow BUSINESS_TIMEZONE across DST transitions');
+  } finally {
+    if (originalTZ === undefined) delete process.env.TZ; else process.env.TZ = originalTZ;
+    if (originalBusinessTZ === undefined) delete process.env.BUSINESS_TIMEZONE; else process.env.BUSINESS_TIMEZONE = originalBusinessTZ;
+  }
+}
+
+function testActivityMessageLimits() {
+  const SlackService = require('./SlackService');
+  const winston = require('winston');
+  const slack = new SlackService('token', 'C0000000000');
+  slack.logger = winston.createLogger({ silent: true });
+
+  // Mostly dispo, so one KPI alert group runs long
+  const categories = ['dispo', 'dispo', 'dispo', 'dispo', 'dispo', 'dispo', 'dispo', 'dispo', 'acquisition', 'other'];
+  for (const agentCount of [12, 30, 60]) {
+    // No calls, so every dispo and acquisition agent is in the KPI alert
+    const users = Array.from({ length: agentCount }, (_, i) => ({
+      user_id: i + 1,
+      name: `Agent Number ${i + 1}`,
+      agentCategory: categories[i % categories.length],
+      totalCalls: 0,
+      answeredCalls: 0,
+      totalDurationMinutes: 0,
+      inboundCalls: 0,
+      answeredInboundCalls: 0,
+      calls: []
+    }));
+    const messages = slack.formatActivityMessages({
+      period: 'Daily',
+      startTime: '2026-10-19T12:00:00.000Z',
+      endTime: '2026-10-20T00:00:00.000Z',
+      timezone: 'America/Chicago',
+      users
+    });
+
+    for (const message of messages) {
+      assert.ok(message.blocks.length <= 50, `${agentCount} agents: message has ${message.blocks.length} blocks`);
+      for (const block of message.blocks) {
+        if (block.type === 'section' && block.text) {
+          assert.ok(block.text.text.length <= 3000, `${agentCount} agents: section text is ${block.text.text.length} characters`);
+        }
+      }
+    }
+  }
+  console.log('✅ Activity reports stay within Slack block and section limits for 12, 30 and 60 agents');
+}
+
+function testSlackCommands() {
+  const crypto = require('crypto');
+  const { isValidSlackSignature } = require('./utils/slackSignature');
+  const SlackCommandService = require('./services/slackCommandService');
+  const winston = require('winston');
+
+  // Signed as Slack does: HMAC-SHA256 of "v0:<timestamp>:<raw body>"
+  const secret = 'test-signing-secret';
+  const body = 'command=%2Fkpi&text=today+dispo&team_id=T0001&user_id=U0001';
+  const timestamp = '1790000000';
+  const now = Number(timestamp) * 1000;
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+  assert.strictEqual(isValidSlackSignature(body, timestamp, signature, secret, now), true);
+  assert.strictEqual(isValidSlackSignature(body.replace('dispo', 'acquisition'), timestamp, signature, secret, now), false);
+  assert.strictEqual(isValidSlackSignature(body, timestamp, signature, 'another-secret', now), false);
+  // Older than five minutes, so a captured request can't be replayed
+  assert.strictEqual(isValidSlackSignature(body, timestamp, signature, secret, now + 6 * 60 * 1000), false);
+  assert.strictEqual(isValidSlackSignature(body, undefined, signature, secret, now), false);
+  console.log('✅ Slack signatures are checked for tampering and age');
+
+  const commands = new SlackCommandService(winston.createLogger({ silent: true }));
+  assert.deepStrictEqual(commands.parse('me'), { command: 'me' });
+  assert.deepStrictEqual(commands.parse('<@U024BE7LH|alex>'), { command: 'agent', agent: '<@U024BE7LH|alex>' });
+  assert.deepStrictEqual(commands.parse('@Alex Smith'), { command: 'agent', agent: '@Alex Smith' });
+  assert.deepStrictEqual(commands.parse('today'), { command: 'today', category: null });
+  assert.deepStrictEqual(commands.parse('Today Dispo'), { command: 'today', category: 'dispo' });
+  assert.deepStrictEqual(commands.parse('week'), { command: 'week', category: null });
+  assert.deepStrictEqual(commands.parse('week acquisition'), { command: 'week', category: 'acquisition' });
+  for (const text of ['', 'me too', 'today sales', 'week dispo other', 'yesterday']) {
+    assert.strictEqual(commands.parse(text), null, `"${text}" should not parse`);
+  }
+  console.log('✅ /kpi parses me, @agent, today [category] and week [category]');
+}
+
+function testKpiRules() {
+  const KpiRulesService = require('./services/kpiRulesService');
+  const winston = require('winston');
+
+  const rules = new KpiRulesService(winston.createLogger({ silent: true }), [
+    { id: 'dispo', scope: { category: 'dispo' }, metrics: [
+      { metric: 'dials', operator: '>=', value: 60 },
+      { metric: 'talkTimeMinutes', operator: '>=', value: 60 }
+    ] },
+    { id: 'dispo-2027', scope: { category: 'dispo' }, effectiveFrom: '2027-01-01', metrics: [{ metric: 'dials', operator: '>=', value: 70 }] },
+    { id: 'closers', scope: { team: 'Closers' }, effectiveTo: '2026-12-31', metrics: [{ metric: 'answerRate', operator: '>=', value: 40 }] },
+    { id: 'agent-7', scope: { agentId: 7 }, metrics: [{ metric: 'dials', operator: '>=', value: 30 }] }
+  ]);
+
+  // The most specific scope wins, then the latest effectiveFrom
+  const dispoAgent = { user_id: 1, agentCategory: 'Dispo' };
+  assert.strictEqual(rules.getRuleFor(dispoAgent, '2026-10-19').id, 'dispo');
+  assert.strictEqual(rules.getRuleFor(dispoAgent, '2027-01-04').id, 'dispo-2027');
+  assert.strictEqual(rules.getRuleFor({ ...dispoAgent, team: 'closers' }, '2026-10-19').id, 'closers');
+  assert.strictEqual(rules.getRuleFor({ ...dispoAgent, team: 'closers' }, '2027-01-04').id, 'dispo-2027');
+  assert.strictEqual(rules.getRuleFor({ user_id: 7, team: 'closers', agentCategory: 'dispo' }, '2026-10-19').id, 'agent-7');
+  assert.strictEqual(rules.getRuleFor({ user_id: 2, agentCategory: 'other' }, '2026-10-19'), null);
+
+  const evaluation = rules.evaluate(dispoAgent, { totalCalls: 55, totalDurationMinutes: 75 }, { date: '2026-10-19' });
+  assert.strictEqual(evaluation.hasKpis, true);
+  assert.strictEqual(evaluation.meetsKPIs, false);
+  assert.deepStrictEqual(evaluation.results.map(r => [r.metric, r.passed, r.shortfall]), [['dials', false, 5], ['talkTimeMinutes', true, 0]]);
+  assert.strictEqual(rules.describeShortfalls(evaluation), '5 more dials');
+  assert.strictEqual(rules.describeRule(rules.getRuleFor(dispoAgent, '2026-10-19')), '60+ dials/day AND 60+ min talk time/day');
+  assert.strictEqual(rules.evaluate({ user_id: 2, agentCategory: 'other' }, {}, { date: '2026-10-19' }).hasKpis, false);
+
+  assert.throws(() => rules.setRules([{ id: 'both', scope: { category: 'dispo', team: 'closers' }, metrics: [{ metric: 'dials', operator: '>=', value: 1 }] }]), /exactly one scope/);
+  assert.throws(() => rules.setRules([{ id: 'calls', scope: { category: 'dispo' }, metrics: [{ metric: 'calls', operator: '>=', value: 1 }] }]), /unknown metric/);
+  console.log('✅ KPI rules pick the most specific effective rule and report shortfalls');
+}
+
+async function testKpiOverrides() {
+  const KpiRulesService = require('./services/kpiRulesService');
+  const KpiOverridesService = require('./services/kpiOverridesService');
+  const HolidayService = require('./services/holidayService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const overrides = new KpiOverridesService(silentLogger);
+  // Overrides in memory, whatever SUPABASE_URL is set to
+  overrides.supabase = null;
+  await overrides.upsert(9, {
+    prorateFactor: 0.8,
+    startDate: '2026-10-05',
+    rampSchedule: [{ week: 3, factor: 0.75 }, { week: 1, factor: 0.5 }],
+    excusedDates: ['2026-10-12', '2026-10-16', '2026-10-17']
+  });
+
+  // Each ramp step applies until the next one; after the last listed week the agent is fully ramped
+  assert.deepStrictEqual(overrides.getTargetAdjustment(9, '2026-10-07'), { factor: 0.4, reasons: ['prorated 80%', 'ramp week 1 at 50%'] });
+  assert.strictEqual(overrides.getTargetAdjustment(9, '2026-10-14').factor, 0.4);
+  assert.ok(Math.abs(overrides.getTargetAdjustment(9, '2026-10-19').factor - 0.6) < 1e-9);
+  assert.deepStrictEqual(overrides.getTargetAdjustment(9, '2026-10-26'), { factor: 0.8, reasons: ['prorated 80%'] });
+  assert.deepStrictEqual(overrides.getTargetAdjustment(10, '2026-10-26'), { factor: 1, reasons: [] });
+
+  // Excused: listed working days and every working day before the start date, but not weekends or holidays
+  assert.strictEqual(overrides.isExcused(9, '2026-10-02'), true);
+  assert.strictEqual(overrides.isExcused(9, '2026-10-05'), false);
+  assert.strictEqual(overrides.countExcusedDays(9, '2026-09-28', '2026-10-04'), 5);
+  assert.strictEqual(overrides.countExcusedDays(9, '2026-10-12', '2026-10-18'), 2);
+  const holidays = new HolidayService(silentLogger, { federal: ['columbus-day'] });
+  holidays.supabase = null;
+  overrides.setHolidays(holidays);
+  assert.strictEqual(overrides.countExcusedDays(9, '2026-10-12', '2026-10-18'), 1);
+
+  // Volume targets scale with the adjustment; rates don't
+  const rules = new KpiRulesService(silentLogger, [
+    { id: 'dispo', scope: { category: 'dispo' }, metrics: [
+      { metric: 'dials', operator: '>=', value: 60 },
+      { metric: 'answerRate', operator: '>=', value: 30 }
+    ] }
+  ]);
+  rules.setOverridesService(overrides);
+  const agent = { user_id: 9, agentCategory: 'dispo' };
+  const rampUp = rules.evaluate(agent, { totalCalls: 30, answeredCalls: 6 }, { date: '2026-10-07' });
+  assert.deepStrictEqual(rampUp.results.map(r => [r.metric, r.target, r.passed]), [['dials', 24, true], ['answerRate', 30, false]]);
+  const excused = rules.evaluate(agent, { totalCalls: 0 }, { date: '2026-10-16' });
+  assert.strictEqual(excused.excused, true);
+  assert.strictEqual(excused.meetsKPIs, true);
+  assert.strictEqual(rules.evaluate(agent, { totalCalls: 0 }, { date: '2026-10-16', ignoreExcused: true }).meetsKPIs, false);
+
+  await assert.rejects(overrides.upsert(11, { prorateFactor: 1.5 }), /prorateFactor/);
+  await assert.rejects(overrides.upsert(11, { rampSchedule: [{ week: 1, factor: 0.5 }] }), /startDate is required/);
+  console.log('✅ KPI overrides prorate, ramp up and excuse agents from their targets');
+}
+
+function testAgentIdentity() {
+  const AgentIdentityService = require('./services/agentIdentityService');
+  const winston = require('winston');
+
+  const identity = new AgentIdentityService({
+    excludedUsers: ['ops@example.com'],
+    dispoAgents: ['101', 'Sam Lee', 'Al', 'Chris'],
+    acquisitionAgents: ['jo@example.com', '104', 'Nobody Here']
+  }, winston.createLogger({ silent: true }));
+  identity.setKnownUsers([
+    { id: 101, name: 'Alex Smith', email: 'alex@example.com' },
+    { id: 102, name: 'Sam Lee', email: 'sam@example.com' },
+    { id: 103, name: 'Jo Park', email: 'JO@example.com' },
+    { id: 104, name: 'Chris Diaz', email: 'chris.d@example.com' },
+    { id: 105, name: 'Chris Moss', email: 'chris.m@example.com' },
+    { id: 106, name: 'Ops Desk', email: 'ops@example.com' },
+    { id: 107, name: 'Alan Wu', email: 'alan@example.com' }
+  ]);
+
+  assert.deepStrictEqual(identity.resolve({ id: 101, name: 'Alex Smith' }), { excluded: false, category: 'dispo', matchedBy: 'id' });
+  assert.deepStrictEqual(identity.resolve({ id: 102, name: 'sam  lee' }), { excluded: false, category: 'dispo', matchedBy: 'name' });
+  assert.deepStrictEqual(identity.resolve({ id: 103, name: 'Jo Park', email: 'JO@example.com' }), { excluded: false, category: 'acquisition', matchedBy: 'email' });
+  assert.deepStrictEqual(identity.resolve({ id: 106, name: 'Ops Desk', email: 'ops@example.com' }), { excluded: true, category: 'other', matchedBy: 'email' });
+  // Names match whole names or first names only: "Al" is not Alan
+  assert.strictEqual(identity.resolve({ id: 107, name: 'Alan Wu' }).category, 'other');
+  // "Chris" matches two users, so it's ignored; 104 is still acquisition by id
+  assert.deepStrictEqual(identity.resolve({ id: 104, name: 'Chris Diaz' }), { excluded: false, category: 'acquisition', matchedBy: 'id' });
+  assert.strictEqual(identity.resolve({ id: 105, name: 'Chris Moss' }).category, 'other');
+
+  const issues = identity.getIssues().map(issue => `${issue.type}:${issue.entry}`).sort();
+  assert.deepStrictEqual(issues, ['ambiguous_name:Chris', 'unmatched_entry:Al', 'unmatched_entry:Nobody Here']);
+  console.log('✅ Agent lists match by id and email first, and flag ambiguous or unmatched names');
+}
+
+/**
+ * `count` answered outbound calls of `minutes` each at noon (Chicago) on a business day
+ */
+function callsOn(day, count, minutes = 1) {
+  const noon = Date.parse(`${day}T17:00:00Z`) / 1000;
+  return Array.from({ length: count }, (_, i) => ({
+    id: noon + i,
+    direction: 'outbound',
+    started_at: noon + i * 60,
+    answered_at: noon + i * 60 + 5,
+    duration: minutes * 60
+  }));
+}
+
+/**
+ * Report user as AircallService.getUserActivity builds it
+ */
+function reportUser(aircall, id, name, agentCategory, calls) {
+  return { user_id: id, name, agentCategory, calls, ...aircall.processCallData(calls) };
+}
+
+async function testMonthlyReport() {
+  const MonthlyReportService = require('./services/monthlyReportService');
+  const KpiRulesService = require('./services/kpiRulesService');
+  const KpiOverridesService = require('./services/kpiOverridesService');
+  const HolidayService = require('./services/holidayService');
+  const AircallService = require('./AircallService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const originalBusinessTZ = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = 'America/Chicago';
+  try {
+    const aircall = new AircallService('id', 'token');
+    aircall.logger = silentLogger;
+    const rules = new KpiRulesService(silentLogger, [
+      { id: 'dispo', scope: { category: 'dispo' }, metrics: [{ metric: 'dials', operator: '>=', value: 3 }] }
+    ]);
+    const overrides = new KpiOverridesService(silentLogger);
+    overrides.supabase = null;
+    await overrides.upsert(2, { excusedDates: ['2026-09-30'] });
+    rules.setOverridesService(overrides);
+    const holidays = new HolidayService(silentLogger, { federal: ['labor-day'] });
+    holidays.supabase = null;
+
+    const users = [
+      reportUser(aircall, 2, 'Sam Lee', 'dispo', callsOn('2026-09-01', 5)),
+      reportUser(aircall, 1, 'Alex Smith', 'dispo', [...callsOn('2026-09-01', 3), ...callsOn('2026-09-02', 3), ...callsOn('2026-09-03', 3)])
+    ];
+    const requested = [];
+    const monthly = new MonthlyReportService(silentLogger, async (...args) => {
+      requested.push(args);
+      return { users };
+    }, rules, aircall);
+    monthly.setHolidays(holidays);
+
+    const now = new Date('2026-10-19T18:00:00Z');
+    const previous = monthly.resolveMonth('previous', now);
+    assert.strictEqual(previous.month, '2026-09');
+    assert.strictEqual(previous.label, 'September 2026');
+    assert.strictEqual(previous.monthToDate, false);
+    assert.strictEqual(previous.startTimeISO, '2026-09-01T05:00:00.000Z');
+    assert.strictEqual(previous.endTimeISO, '2026-10-01T04:59:59.999Z');
+    const current = monthly.resolveMonth('current', now);
+    assert.strictEqual(current.monthToDate, true);
+    assert.strictEqual(current.endDate, '2026-10-19');
+    assert.strictEqual(monthly.resolveMonth('2025-12', now).endDate, '2025-12-31');
+    assert.throws(() => monthly.resolveMonth('2026-11', now), /has not started/);
+    assert.throws(() => monthly.resolveMonth('2026-13', now), /YYYY-MM/);
+
+    // 22 weekdays in September 2026, less Labor Day
+    const report = await monthly.build(previous);
+    assert.deepStrictEqual(requested[0], ['Monthly', previous.startTimeISO, previous.endTimeISO, { fetchByDay: true }]);
+    assert.strictEqual(report.workingDays, 21);
+    assert.deepStrictEqual(report.holidays, [{ date: '2026-09-07', name: 'Labor Day' }]);
+    assert.strictEqual(report.summary.totalCalls, 14);
+
+    // Three days met out of 21 beats one out of 20 (Sam was off on the 30th)
+    const [first, second] = report.dispoAgents;
+    assert.deepStrictEqual([first.rank, first.name, first.kpi.daysMet, first.kpi.evaluatedDays], [1, 'Alex Smith', 3, 21]);
+    assert.deepStrictEqual([second.rank, second.name, second.kpi.daysMet, second.kpi.evaluatedDays], [2, 'Sam Lee', 1, 20]);
+    assert.strictEqual(second.excusedDays, 1);
+    assert.strictEqual(first.dailyAverage.dialsPerDay, 0.43);
+    assert.strictEqual(second.dailyAverage.dialsPerDay, 0.25);
+    assert.strictEqual(report.kpiRuleDescriptions.dispo, '3+ dials/day');
+    console.log('✅ Monthly report counts working days, KPI days met and ranks agents');
+  } finally {
+    if (originalBusinessTZ === undefined) delete process.env.BUSINESS_TIMEZONE; else process.env.BUSINESS_TIMEZONE = originalBusinessTZ;
+  }
+}
+
+async function testLeaderboard() {
+  const LeaderboardService = require('./services/leaderboardService');
+  const KpiRulesService = require('./services/kpiRulesService');
+  const HolidayService = require('./services/holidayService');
+  const AircallService = require('./AircallService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const originalBusinessTZ = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = 'America/Chicago';
+  try {
+    const aircall = new AircallService('id', 'token');
+    aircall.logger = silentLogger;
+    const rules = new KpiRulesService(silentLogger, [
+      { id: 'dispo', scope: { category: 'dispo' }, metrics: [{ metric: 'dials', operator: '>=', value: 3 }] }
+    ]);
+    // Columbus Day (Oct 12) neither extends nor breaks a streak
+    const holidays = new HolidayService(silentLogger, { federal: ['columbus-day'] });
+    holidays.supabase = null;
+
+    const days = list => list.flatMap(([day, count]) => callsOn(day, count));
+    const users = [
+      reportUser(aircall, 1, 'Alex Smith', 'dispo', days([['2026-10-13', 3], ['2026-10-14', 3], ['2026-10-15', 3], ['2026-10-16', 3], ['2026-10-19', 5]])),
+      reportUser(aircall, 2, 'Sam Lee', 'dispo', days([['2026-10-09', 6], ['2026-10-19', 4]])),
+      reportUser(aircall, 3, 'Jo Park', 'dispo', days([['2026-10-15', 3], ['2026-10-16', 3], ['2026-10-19', 1]]))
+    ];
+    const requested = [];
+    const leaderboard = new LeaderboardService(silentLogger, async (...args) => {
+      requested.push(args);
+      return { users };
+    }, rules, aircall);
+    leaderboard.setHolidays(holidays);
+
+    // Monday Oct 19, 1 PM in Chicago
+    const now = new Date('2026-10-19T18:00:00Z');
+    assert.throws(() => leaderboard.resolve({ period: 'year' }, now), /period must be one of/);
+    assert.throws(() => leaderboard.resolve({ metrics: ['dials', 'revenue'] }, now), /Unknown metric\(s\): revenue/);
+    assert.strictEqual(leaderboard.resolve({ period: 'week' }, now).label, 'Week of Oct 19');
+    assert.strictEqual(leaderboard.resolve({ period: 'month' }, now).startDate, '2026-10-01');
+    const lookback = leaderboard.listLookbackDays('2026-10-19');
+    assert.strictEqual(lookback.length, 30);
+    assert.strictEqual(lookback[lookback.length - 1], '2026-10-19');
+    assert.ok(!lookback.includes('2026-10-12') && !lookback.includes('2026-10-18'));
+
+    const range = leaderboard.resolve({ period: 'today' }, now);
+    const board = await leaderboard.build(range);
+    assert.deepStrictEqual(requested[0].slice(0, 2), ['Leaderboard', `${lookback[0]}T05:00:00.000Z`]);
+    assert.deepStrictEqual(board.dispoAgents.map(agent => [agent.rank, agent.name, agent.values.dials]), [
+      [1, 'Alex Smith', 5],
+      [2, 'Sam Lee', 4],
+      [3, 'Jo Park', 1]
+    ]);
+    const [alex, sam, jo] = board.dispoAgents;
+    assert.deepStrictEqual(alex.streak, { current: 5, best: 5 });
+    assert.deepStrictEqual(sam.streak, { current: 1, best: 1 });
+    // Today isn't over, so a short day doesn't break Jo's streak yet
+    assert.deepStrictEqual(jo.streak, { current: 2, best: 2 });
+    assert.deepStrictEqual(alex.personalBests.dials, { value: 5, date: '2026-10-19', setThisPeriod: true });
+    assert.deepStrictEqual(sam.personalBests.dials, { value: 6, date: '2026-10-09', setThisPeriod: false });
+    // Under 10 dials a day, answer rate isn't a personal best
+    assert.strictEqual(alex.personalBests.answerRate, undefined);
+    console.log('✅ Leaderboard ranks by metric and tracks KPI streaks and personal bests');
+  } finally {
+    if (originalBusinessTZ === undefined) delete process.env.BUSINESS_TIMEZONE; else process.env.BUSINESS_TIMEZONE = originalBusinessTZ;
+  }
+}
+
+async function testPacing() {
+  const PacingService = require('./services/pacingService');
+  const KpiRulesService = require('./services/kpiRulesService');
+  const AircallService = require('./AircallService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const originalBusinessTZ = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = 'America/Chicago';
+  try {
+    const aircall = new AircallService('id', 'token');
+    aircall.logger = silentLogger;
+    const rules = new KpiRulesService(silentLogger, [
+      { id: 'dispo', scope: { category: 'dispo' }, metrics: [
+        { metric: 'dials', operator: '>=', value: 60 },
+        { metric: 'talkTimeMinutes', operator: '>=', value: 60 }
+      ] }
+    ]);
+    const lateShift = { ...reportUser(aircall, 4, 'Pat Kim', 'dispo', []), shift: { start: '12:30', end: '20:30' } };
+    const users = [
+      reportUser(aircall, 1, 'Alex Smith', 'dispo', callsOn('2026-10-19', 30)),
+      reportUser(aircall, 2, 'Sam Lee', 'dispo', callsOn('2026-10-19', 20)),
+      reportUser(aircall, 3, 'Jo Park', 'dispo', callsOn('2026-10-19', 25, 3)),
+      lateShift,
+      reportUser(aircall, 5, 'Lee Ray', 'acquisition', [])
+    ];
+    const requested = [];
+    const pacing = new PacingService(silentLogger, async (...args) => {
+      requested.push(args);
+      return { users };
+    }, rules);
+
+    const shift = { start: '07:00', end: '19:00' };
+    assert.strictEqual(pacing.getElapsedFraction(shift, 6 * 60), 0);
+    assert.strictEqual(pacing.getElapsedFraction(shift, 13 * 60), 0.5);
+    assert.strictEqual(pacing.getElapsedFraction(shift, 20 * 60), 1);
+
+    // 1 PM in Chicago, halfway through the default 7 AM - 7 PM shift
+    const now = new Date('2026-10-19T18:00:00Z');
+    const result = await pacing.check(now);
+    assert.deepStrictEqual(requested[0], ['Pacing', '2026-10-19T05:00:00.000Z', now.toISOString()]);
+    assert.strictEqual(result.checkpoint, '13:00');
+    // Pat's shift is only 6% in, and acquisition has no rule here
+    assert.strictEqual(result.evaluatedCount, 3);
+    assert.deepStrictEqual(result.evaluatedByCategory, { dispo: 3, acquisition: 0 });
+    assert.strictEqual(result.onPaceCount, 1);
+
+    // Furthest behind first
+    assert.deepStrictEqual(result.atRisk.map(agent => [agent.name, agent.projected.totalCalls, agent.projected.totalDurationMinutes]), [
+      ['Sam Lee', 40, 40],
+      ['Jo Park', 50, 150]
+    ]);
+    assert.strictEqual(result.atRisk[0].elapsedPercent, 50);
+    assert.strictEqual(rules.describeShortfalls(result.atRisk[0].remaining), '40 more dials, 40 more minutes');
+    console.log('✅ Pacing projects calls to the end of the shift and lists agents at risk');
+  } finally {
+    if (originalBusinessTZ === undefined) delete process.env.BUSINESS_TIMEZONE; else process.env.BUSINESS_TIMEZONE = originalBusinessTZ;
+  }
+}
+
+/**
+ * POST JSON to an app on an ephemeral port; resolves to { status, headers, body }
+ */
+async function postJSON(app, path, body, headers = {}) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function testIdempotencyDefaultKeys() {
+  const express = require('express');
+  const IdempotencyService = require('./services/idempotencyService');
+  const winston = require('winston');
+
+  const idempotency = new IdempotencyService(winston.createLogger({ silent: true }), { today: () => '2026-10-19' });
+  const stored = new Map();
+  const app = express();
+  app.use(express.json());
+  app.use(['/report', '/sync'], idempotency.middleware());
+  app.post('/sync/mappings', (req, res) => {
+    stored.set(req.body.aircallUserId, req.body.userId);
+    res.json({ success: true, mapping: req.body });
+  });
+
+  // Upserting A, B, then A again must write A last, not replay the first A
+  const mappingA = { aircallUserId: '101', userId: 'rep-a' };
+  const mappingB = { aircallUserId: '101', userId: 'rep-b' };
+  for (const mapping of [mappingA, mappingB, mappingA]) {
+    const response = await postJSON(app, '/sync/mappings', mapping);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('idempotent-replayed'), null);
+  }
+  assert.strictEqual(stored.get('101'), 'rep-a');
+  console.log('✅ POST /sync/mappings writes every upsert instead of replaying a default key');
+}
+
+async function testIdempotencyReplay() {
+  const express = require('express');
+  const IdempotencyService = require('./services/idempotencyService');
+  const winston = require('winston');
+
+  const idempotency = new IdempotencyService(winston.createLogger({ silent: true }), { today: () => '2026-10-19' });
+  let runs = 0;
+  const app = express();
+  app.use(express.json());
+  app.use(['/report', '/sync'], idempotency.middleware());
+  app.post('/report/custom', (req, res) => {
+    runs++;
+    if (req.body.fail) return res.status(500).json({ success: false, run: runs });
+    res.json({ success: true, run: runs });
+  });
+
+  // Same key and body: the first response comes back without running the report again
+  const body = { name: 'Q3 review', startTime: '2026-10-19T00:00:00Z', endTime: '2026-10-19T12:00:00Z' };
+  const first = await postJSON(app, '/report/custom', body, { 'Idempotency-Key': 'key-1' });
+  const retry = await postJSON(app, '/report/custom', body, { 'Idempotency-Key': 'key-1' });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+  assert.strictEqual(retry.status, 200);
+  assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(retry.body, first.body);
+  assert.strictEqual(runs, 1);
+
+  // The default key (endpoint + date + body) dedupes a trigger without a header
+  assert.strictEqual((await postJSON(app, '/report/custom', body)).body.run, 2);
+  const defaultRetry = await postJSON(app, '/report/custom', body);
+  assert.strictEqual(defaultRetry.headers.get('idempotent-replayed'), 'true');
+  assert.strictEqual(defaultRetry.body.run, 2);
+  assert.strictEqual((await postJSON(app, '/report/custom?force=true', body)).body.run, 3);
+
+  const mismatch = await postJSON(app, '/report/custom', { ...body, name: 'Q4 review' }, { 'Idempotency-Key': 'key-1' });
+  assert.strictEqual(mismatch.status, 422);
+  assert.strictEqual((await postJSON(app, '/report/custom', body, { 'Idempotency-Key': ' ' })).status, 400);
+  assert.strictEqual((await postJSON(app, '/report/custom', body, { 'Idempotency-Key': 'k'.repeat(256) })).status, 400);
+
+  // Failed runs aren't kept, so a retry with the same key runs again
+  const failed = await postJSON(app, '/report/custom', { ...body, fail: true }, { 'Idempotency-Key': 'key-2' });
+  const failedRetry = await postJSON(app, '/report/custom', { ...body, fail: true }, { 'Idempotency-Key': 'key-2' });
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(failedRetry.status, 500);
+  assert.strictEqual(failedRetry.headers.get('idempotent-replayed'), null);
+  assert.strictEqual(runs, 5);
+  console.log('✅ Idempotency keys replay 2xx responses, reject reused keys with another body and free failed runs');
+
+  // A key stays pending until its response is sent, then expires after the retention period
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.strictEqual(idempotency.begin('pending-key', 'fp', now).state, 'new');
+  assert.strictEqual(idempotency.begin('pending-key', 'fp', now + 1000).state, 'pending');
+  assert.strictEqual(idempotency.begin('pending-key', 'other-fp', now + 1000).state, 'mismatch');
+  idempotency.complete('pending-key', 202, { success: true });
+  assert.strictEqual(idempotency.begin('pending-key', 'fp', now + 2000).state, 'replay');
+  assert.strictEqual(idempotency.begin('pending-key', 'fp', now + idempotency.retentionMs + 1).state, 'new');
+  console.log('✅ Idempotency keys are pending while in flight and expire after the retention period');
+}
+
+async function testCallStoreGaps() {
+  const CallStoreService = require('./services/callStoreService');
+  const winston = require('winston');
+
+  // Synced ranges and stored calls kept in memory in place of the Supabase tables
+  const store = new CallStoreService(winston.createLogger({ silent: true }));
+  let synced = [];
+  let stored = [];
+  store.getSyncedRanges = async (start, end) => synced.filter(range => range.end > start && range.start < end);
+  store.recordSyncedRange = async (start, end) => { synced.push({ start, end }); };
+  store.upsertCalls = async (calls) => { stored.push(...calls); return calls.length; };
+  store.getStoredCalls = async (start, end) => stored.filter(call => call.started_at >= start && call.started_at <= end);
+
+  const fetched = [];
+  const fetchFromAircall = async (start, end) => {
+    fetched.push([start, end]);
+    return [{ id: start, started_at: start }];
+  };
+
+  // All settled: 1000..5000 with 2000..2500 and 3000..3500 (plus one outside the window) already synced
+  store.settleSeconds = 0;
+  synced = [{ start: 2000, end: 2500 }, { start: 3000, end: 3500 }, { start: 6000, end: 7000 }];
+  stored = [{ id: 2100, started_at: 2100 }, { id: 3100, started_at: 3100 }];
+  const calls = await store.getCallsForWindow(1000, 5000, fetchFromAircall);
+  assert.deepStrictEqual(fetched, [[1000, 2000], [2500, 3000], [3500, 5000]]);
+  assert.deepStrictEqual(calls.map(call => call.id).sort(), [1000, 2100, 2500, 3100, 3500]);
+
+  // The gaps were recorded, so the same window needs no Aircall requests the second time
+  fetched.length = 0;
+  await store.getCallsForWindow(1000, 5000, fetchFromAircall);
+  assert.deepStrictEqual(fetched, []);
+
+  // Overlapping and window-spanning synced ranges
+  synced = [{ start: 900, end: 1500 }, { start: 1200, end: 1800 }, { start: 4000, end: 9000 }];
+  await store.getCallsForWindow(1000, 5000, fetchFromAircall);
+  assert.deepStrictEqual(fetched, [[1800, 4000]]);
+  console.log('✅ Call store fetches only the gaps between synced ranges');
+
+  // Truncated fetches and unsettled ranges are fetched again next time
+  const now = Math.floor(Date.now() / 1000);
+  store.settleSeconds = 3600;
+  synced = [];
+  fetched.length = 0;
+  await store.getCallsForWindow(now - 7200, now, fetchFromAircall);
+  // Only the hour before the settle cutoff counts as synced
+  assert.strictEqual(synced.length, 1);
+  assert.strictEqual(synced[0].start, now - 7200);
+  assert.ok(Math.abs(synced[0].end - (now - 3600)) <= 1);
+
+  synced = [];
+  const truncated = async (start, end) => Object.assign([{ id: start, started_at: start }], { truncated: true });
+  await store.getCallsForWindow(now - 10 * 3600, now - 5 * 3600, truncated);
+  assert.deepStrictEqual(synced, []);
+  console.log('✅ Call store refetches truncated and not yet settled ranges');
+}
+
+async function testHolidays() {
+  const HolidayService = require('./services/holidayService');
+  const winston = require('winston');
+
+  const holidays = new HolidayService(winston.createLogger({ silent: true }), {
+    federal: ['new-years-day', 'mlk-day', 'memorial-day', 'independence-day', 'thanksgiving', 'christmas'],
+    holidays: [{ date: '2026-12-24', name: 'Christmas Eve' }]
+  });
+  // Adjustments in memory, whatever SUPABASE_URL is set to
+  holidays.supabase = null;
+
+  // Floating holidays
+  assert.strictEqual(holidays.getHoliday('2026-01-19').name, 'Martin Luther King Jr. Day');
+  assert.strictEqual(holidays.getHoliday('2026-05-25').name, 'Memorial Day');
+  assert.strictEqual(holidays.getHoliday('2026-11-26').name, 'Thanksgiving Day');
+  // July 4, 2026 is a Saturday: observed on Friday the 3rd, and the Saturday itself isn't a holiday
+  assert.strictEqual(holidays.getHoliday('2026-07-03').name, 'Independence Day (observed)');
+  assert.strictEqual(holidays.getHoliday('2026-07-04'), null);
+  // Christmas 2027 is a Saturday, and New Year's Day 2028 is observed on Dec 31, 2027
+  assert.strictEqual(holidays.getHoliday('2027-12-24').name, 'Christmas Day (observed)');
+  assert.strictEqual(holidays.getHoliday('2027-12-31').name, "New Year's Day (observed)");
+  assert.strictEqual(holidays.getHoliday('2028-01-01'), null);
+  // Sunday holidays move to Monday: Jan 1, 2023
+  assert.strictEqual(holidays.getHoliday('2023-01-02').name, "New Year's Day (observed)");
+  assert.strictEqual(holidays.getHoliday('2026-12-24').name, 'Christmas Eve');
+
+  assert.strictEqual(holidays.isWorkingDay('2026-11-25'), true);
+  assert.strictEqual(holidays.isWorkingDay('2026-11-26'), false);
+  assert.strictEqual(holidays.isWorkingDay('2026-11-28'), false);
+  // Thanksgiving week, then the Christmas week with Christmas Eve and Christmas Day off
+  assert.strictEqual(holidays.countWorkingDays('2026-11-23', '2026-11-29'), 4);
+  assert.strictEqual(holidays.countWorkingDays('2026-12-21', '2026-12-27'), 3);
+  assert.deepStrictEqual(holidays.listBetween('2026-12-21', '2026-12-27').map(h => h.date), ['2026-12-24', '2026-12-25']);
+  console.log('✅ Holidays fall on their observed dates and are left out of working days');
+
+  // Adjustments through /holidays: add a day, stop observing one, then drop the adjustments
+  await holidays.upsert('2026-11-27', { name: 'Day after Thanksgiving' });
+  await holidays.upsert('2026-11-26', { observed: false });
+  assert.strictEqual(holidays.getHoliday('2026-11-26'), null);
+  assert.strictEqual(holidays.list(2026).find(h => h.date === '2026-11-26').name, 'Thanksgiving Day');
+  assert.deepStrictEqual(holidays.listBetween('2026-11-23', '2026-11-29').map(h => h.date), ['2026-11-27']);
+  assert.strictEqual(holidays.countWorkingDays('2026-11-23', '2026-11-29'), 4);
+
+  assert.strictEqual(await holidays.remove('2026-11-26'), true);
+  assert.strictEqual(await holidays.remove('2026-11-26'), false);
+  assert.strictEqual(holidays.countWorkingDays('2026-11-23', '2026-11-29'), 3);
+  await assert.rejects(holidays.upsert('2026-13-01', { name: 'Bad date' }), /YYYY-MM-DD/);
+  await assert.rejects(holidays.upsert('2026-02-30', { name: 'Bad date' }), /YYYY-MM-DD/);
+  await assert.rejects(holidays.upsert('2026-11-30', {}), /name is required/);
+  console.log('✅ Holiday adjustments add, un-observe and fall back to the calendar');
+}
+
+async function testReportScheduler() {
+  const ReportScheduler = require('./services/reportScheduler');
+  const RunLockService = require('./services/runLockService');
+  const winston = require('winston');
+  const silentLogger = winston.createLogger({ silent: true });
+
+  const runs = [];
+  const runners = {
+    afternoon: async () => { runs.push('afternoon'); return { ok: true }; },
+    pacing: async () => { runs.push('pacing'); return { ok: true }; }
+  };
+  const schedules = {
+    afternoon: { cron: '1 13 * * 1-5', timezone: 'America/Chicago', enabled: true, skipHolidays: true, lockPerCheckpoint: false },
+    pacing: { cron: '0 11,14,16 * * 1-5', timezone: 'America/Chicago', enabled: true, skipHolidays: true, lockPerCheckpoint: true }
+  };
+  // Runs the task straight away instead of on the next tick
+  const pending = [];
+  const jobManager = {
+    start: (type, params, task) => {
+      pending.push(task({ setProgress() {} }));
+      return { id: `job-${pending.length}`, type, params, createdAt: new Date().toISOString() };
+    }
+  };
+
+  assert.throws(() => new ReportScheduler(silentLogger, jobManager, runners, null, { ...schedules, night: schedules.afternoon }), /No runner/);
+  assert.throws(() => new ReportScheduler(silentLogger, jobManager, runners, null, { afternoon: { ...schedules.afternoon, cron: '61 * * * *' } }), /Invalid cron/);
+  assert.throws(() => new ReportScheduler(silentLogger, jobManager, runners, null, { afternoon: { ...schedules.afternoon, timezone: 'Mars/Olympus' } }), /Invalid timezone/);
+
+  const runLock = new RunLockService(silentLogger, { timezoneFor: type => schedules[type.split('@')[0]].timezone });
+  runLock.supabase = null;
+  const scheduler = new ReportScheduler(silentLogger, jobManager, runners, runLock, schedules);
+
+  // Weekdays 1:01 PM in Chicago: from Saturday, the next run is Monday
+  assert.strictEqual(scheduler.getNextRunTime('1 13 * * 1-5', 'America/Chicago', new Date('2026-10-17T12:00:00Z')), '2026-10-19T18:01:00.000Z');
+  assert.strictEqual(scheduler.getLockType('afternoon', new Date('2026-10-19T19:00:00Z')), 'afternoon');
+  assert.strictEqual(scheduler.getLockType('pacing', new Date('2026-10-19T19:00:00Z')), 'pacing@14:00');
+
+  // One run a day; a manual trigger after the scheduled one is skipped unless forced
+  const scheduled = await scheduler.run('afternoon', 'schedule');
+  assert.strictEqual(scheduled.skipped, false);
+  assert.strictEqual(scheduled.job.params.trigger, 'schedule');
+  await Promise.all(pending);
+  const manual = await scheduler.run('afternoon', 'manual');
+  assert.strictEqual(manual.skipped, true);
+  assert.strictEqual(manual.reason, 'duplicate');
+  assert.strictEqual(manual.lock.status, 'completed');
+  assert.strictEqual((await scheduler.run('afternoon', 'manual', { force: true })).skipped, false);
+  await Promise.all(pending);
+  assert.deepStrictEqual(runs, ['afternoon', 'afternoon']);
+  assert.strictEqual(scheduler.getStatus().schedules.afternoon.lastRun.trigger, 'manual');
+
+  // Scheduled runs skip holidays; manual ones don't
+  scheduler.setHolidays({ getHoliday: date => ({ date, name: 'Company Day' }) });
+  const holiday = await scheduler.run('pacing', 'schedule');
+  assert.strictEqual(holiday.skipped, true);
+  assert.strictEqual(holiday.reason, 'holiday');
+  assert.strictEqual((await scheduler.run('pacing', 'manual')).skipped, false);
+  await Promise.all(pending);
+  assert.deepStrictEqual(runs, ['afternoon', 'afternoon', 'pacing']);
+  await assert.rejects(scheduler.run('weekly-avg'), /Unknown report type/);
+  console.log('✅ Scheduler validates schedules, runs each report once a day and skips holidays');
+}
+
+async function testRunLock() {
+  const RunLockService = require('./services/runLockService');
+  const winston = require('winston');
+
+  const runLock = new RunLockService(winston.createLogger({ silent: true }), {
+    ttlMinutes: 60,
+    timezoneFor: () => 'America/Chicago'
+  });
+  // In-process locks, whatever SUPABASE_URL is set to
+  runLock.supabase = null;
+
+  // 11 PM in Chicago is still Oct 19 there
+  const now = new Date('2026-10-20T04:00:00Z');
+  assert.strictEqual(runLock.getRunDate('night', now), '2026-10-19');
+
+  const first = await runLock.acquire('night', { trigger: 'scheduler', now });
+  assert.strictEqual(first.acquired, true);
+  assert.strictEqual(first.lock.runDate, '2026-10-19');
+  const second = await runLock.acquire('night', { trigger: 'manual', now });
+  assert.strictEqual(second.acquired, false);
+  assert.strictEqual(second.lock.token, first.lock.token);
+  assert.strictEqual(second.lock.trigger, 'scheduler');
+  // Other report types and the next day have their own locks
+  assert.strictEqual((await runLock.acquire('afternoon', { now })).acquired, true);
+  assert.strictEqual((await runLock.acquire('night', { now: new Date('2026-10-21T04:00:00Z') })).acquired, true);
+
+  // Completed runs hold the lock for the rest of the day
+  await runLock.release(first.lock, 'completed');
+  assert.strictEqual((await runLock.acquire('night', { now })).acquired, false);
+  console.log('✅ Run locks let one run per report type and day through');
+
+  // Failed runs can be retried
+  const weekly = await runLock.acquire('weekly-avg', { now });
+  await runLock.guard(weekly.lock, async () => { throw new Error('Aircall unavailable'); })().catch(() => {});
+  const retry = await runLock.acquire('weekly-avg', { now });
+  assert.strictEqual(retry.acquired, true);
+  assert.notStrictEqual(retry.lock.token, weekly.lock.token);
+  // A stale release from the failed run doesn't free the retry's lock
+  await runLock.release(weekly.lock, 'failed');
+  assert.strictEqual((await runLock.acquire('weekly-avg', { now })).acquired, false);
+
+  // A running lock is taken over only once its holder is past the TTL
+  const monthly = await runLock.acquire('monthly', { now });
+  assert.strictEqual((await runLock.acquire('monthly', { now: new Date(now.getTime() + 59 * 60 * 1000) })).acquired, false);
+  const takeover = await runLock.acquire('monthly', { now: new Date(now.getTime() + 61 * 60 * 1000) });
+  assert.strictEqual(takeover.acquired, true);
+  assert.notStrictEqual(takeover.lock.token, monthly.lock.token);
+  console.log('✅ Run locks free failed runs and take over runs past the TTL');
+}
+
 async function runTests() {
   try {
     console.log('🧪 Testing Aircall Slack Agent...');
@@ -41,6 +859,60 @@ async function runTests() {
       throw new Error('AircallService is not a constructor');
     }
     
+    // Report windows must not depend on the server TZ, including on DST transition days
+    console.log('🕐 Testing business timezone windows...');
+    testBusinessTimezoneWindows();
+    
+    // Large teams are split into messages Slack accepts
+    console.log('🧵 Testing activity report message limits...');
+    testActivityMessageLimits();
+    
+    // /kpi slash command: Slack request signatures and command text
+    console.log('💬 Testing /kpi slash command...');
+    testSlackCommands();
+    
+    // KPI rules: which rule applies, per-agent overrides and what an agent is missing
+    console.log('🎯 Testing KPI rules...');
+    testKpiRules();
+    await testKpiOverrides();
+    
+    // Agent lists: ids and emails before names
+    console.log('🪪 Testing agent identity...');
+    testAgentIdentity();
+    
+    // Monthly report: working days, KPI days met and rankings
+    console.log('📆 Testing monthly report...');
+    await testMonthlyReport();
+    
+    // Leaderboard: rankings, streaks and personal bests
+    console.log('🏆 Testing leaderboard...');
+    await testLeaderboard();
+    
+    // Intraday pacing: projections and agents at risk
+    console.log('⏱️ Testing pacing...');
+    await testPacing();
+    
+    // Idempotency keys: which routes get a default key, replays and conflicts
+    console.log('🔁 Testing idempotency keys...');
+    await testIdempotencyDefaultKeys();
+    await testIdempotencyReplay();
+    
+    // Run locks: one run per report type and day, retries after failures
+    console.log('🔒 Testing run locks...');
+    await testRunLock();
+    
+    // Scheduler: schedule validation, run locks and holidays
+    console.log('🕐 Testing report scheduler...');
+    await testReportScheduler();
+    
+    // Call store: only missing ranges are fetched from Aircall
+    console.log('🗄️ Testing call store gaps...');
+    await testCallStoreGaps();
+    
+    // Holiday calendar: observed dates and working days
+    console.log('📅 Testing holidays...');
+    await testHolidays();
+    
     console.log('✅ All tests completed successfully!');
     
   } catch (error) {
@@ -0,0 +1,161 @@
+/**
+ * Dates and reporting windows in the business timezone (BUSINESS_TIMEZONE), independent of
+ * the server's TZ. All math goes through Intl, so DST transitions are handled: a window from
+ * 7 AM to 7 PM is 12 hours of wall-clock time in the business timezone even on the day the
+ * clocks change.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Chicago';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * IANA timezone reports are computed in (BUSINESS_TIMEZONE, default America/Chicago)
+ */
+function getBusinessTimezone() {
+  return process.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Throws if an IANA timezone name is unknown
+ */
+function assertValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+  } catch (error) {
+    throw new Error(`Invalid timezone: "${timezone}"`);
+  }
+}
+
+/**
+ * Wall-clock fields of a moment in a timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} month is 1-12
+ */
+function getZonedParts(date, timezone = getBusinessTimezone()) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Offset of a timezone from UTC at a moment, in ms (e.g. -5h for CDT)
+function getOffsetMs(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * YYYY-MM-DD of a moment in a timezone
+ */
+function toBusinessYMD(date, timezone = getBusinessTimezone()) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * The moment a wall-clock time occurs on a date in a timezone.
+ * Times skipped by a spring-forward transition resolve to the same time after the jump.
+ *
+ * @param {string} ymd - YYYY-MM-DD
+ */
+function businessTimeToDate(ymd, hour = 0, minute = 0, second = 0, ms = 0, timezone = getBusinessTimezone()) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const asUTC = Date.UTC(y, m - 1, d, hour, minute, second, ms);
+
+  // The offset can differ between the guess and the answer when a DST change lies between them
+  const firstOffset = getOffsetMs(new Date(asUTC), timezone);
+  let time = asUTC - firstOffset;
+  const secondOffset = getOffsetMs(new Date(time), timezone);
+  if (secondOffset !== firstOffset) {
+    const candidate = asUTC - secondOffset;
+    time = getOffsetMs(new Date(candidate), timezone) === secondOffset
+      ? candidate
+      // Inside a spring-forward gap neither offset fits; the pre-transition offset lands after the jump
+      : asUTC - Math.min(firstOffset, secondOffset);
+  }
+  return new Date(time);
+}
+
+function addDaysYMD(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 0 = Sunday ... 6 = Saturday
+ */
+function getDayOfWeekYMD(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Window between two wall-clock hours of one business day, e.g. 7 AM - 7 PM
+ */
+function getDayWindow(ymd, startHour, endHour, timezone = getBusinessTimezone()) {
+  return {
+    startTime: businessTimeToDate(ymd, startHour, 0, 0, 0, timezone),
+    endTime: businessTimeToDate(ymd, endHour, 0, 0, 0, timezone)
+  };
+}
+
+/**
+ * Monday 00:00 to Friday 23:59:59.999 of the business week containing `now`
+ */
+function getWeekRange(now = new Date(), timezone = getBusinessTimezone()) {
+  const today = toBusinessYMD(now, timezone);
+  const dayOfWeek = getDayOfWeekYMD(today);
+  // Sunday belongs to the week that just ended
+  const monday = addDaysYMD(today, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+  const friday = addDaysYMD(monday, 4);
+
+  const startTime = businessTimeToDate(monday, 0, 0, 0, 0, timezone);
+  const endTime = businessTimeToDate(friday, 23, 59, 59, 999, timezone);
+  return {
+    startTime,
+    endTime,
+    startTimeISO: startTime.toISOString(),
+    endTimeISO: endTime.toISOString(),
+    startDate: monday,
+    endDate: friday,
+    timezone
+  };
+}
+
+module.exports = {
+  getBusinessTimezone,
+  assertValidTimezone,
+  getZonedParts,
+  toBusinessYMD,
+  businessTimeToDate,
+  addDaysYMD,
+  getDayOfWeekYMD,
+  getDayWindow,
+  getWeekRange
+};
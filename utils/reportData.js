@@ -0,0 +1,73 @@
+/**
+ * Shared shaping of report data for API responses, Slack and background runs
+ */
+const { businessTimeToDate } = require('./businessTime');
+
+// Shift end assumed for agents without one (the night report's 7 PM)
+const DEFAULT_SHIFT_END = '19:00';
+
+/**
+ * Split report users by agent category
+ */
+function organizeUsersByCategory(users) {
+  const dispoAgents = users.filter(user => user.agentCategory === 'dispo');
+  const acquisitionAgents = users.filter(user => user.agentCategory === 'acquisition');
+  const otherUsers = users.filter(user => !user.agentCategory || user.agentCategory === 'other');
+
+  return {
+    dispoAgents,
+    acquisitionAgents,
+    otherUsers,
+    totalUsers: users.length,
+    dispoCount: dispoAgents.length,
+    acquisitionCount: acquisitionAgents.length,
+    otherCount: otherUsers.length
+  };
+}
+
+/**
+ * Format user data for API responses
+ */
+function formatUserData(user) {
+  return {
+    name: user.name,
+    user_id: user.user_id,
+    email: user.email,
+    agentCategory: user.agentCategory || 'other',
+    team: user.team || null,
+    manager: user.manager || null,
+    totalCalls: user.totalCalls,
+    answeredCalls: user.answeredCalls,
+    missedCalls: user.missedCalls,
+    totalDurationMinutes: user.totalDurationMinutes,
+    outboundCalls: user.outboundCalls,
+    answeredOutboundCalls: user.answeredOutboundCalls,
+    inboundCalls: user.inboundCalls,
+    answeredInboundCalls: user.answeredInboundCalls,
+    inboundDurationMinutes: user.inboundDurationMinutes,
+    outboundDurationMinutes: user.outboundDurationMinutes,
+    callCount: user.calls ? user.calls.length : 0,
+    shift: user.shift || null,
+    afterHours: user.afterHours || null,
+    availability: user.availability,
+    error: user.error
+  };
+}
+
+/**
+ * Whether an agent's shift on a business day is still running at `now`. Reports to date
+ * leave such a day out of daily averages, which would otherwise count a partial day as a
+ * full one.
+ *
+ * @param {{ shift?: { end: string } }} user - report user; shift from AircallService.applyShift
+ */
+function isShiftInProgress(user, dayYMD, now, timezone) {
+  const [hour, minute] = ((user.shift && user.shift.end) || DEFAULT_SHIFT_END).split(':').map(Number);
+  return now < businessTimeToDate(dayYMD, hour, minute, 0, 0, timezone);
+}
+
+module.exports = {
+  organizeUsersByCategory,
+  formatUserData,
+  isShiftInProgress
+};
@@ -0,0 +1,25 @@
+/**
+ * Verification of Slack's request signatures (slash commands and other Slack requests)
+ */
+const crypto = require('crypto');
+
+// Slack signs each request; older timestamps are rejected so captured requests can't be replayed
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Verify Slack's X-Slack-Signature: HMAC-SHA256 of "v0:<timestamp>:<raw body>" with the
+ * app's signing secret, compared in constant time
+ */
+function isValidSlackSignature(rawBody, timestamp, signature, signingSecret, now = Date.now()) {
+  if (typeof rawBody !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(timestamp || '')) return false;
+  if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) return false;
+
+  const expected = `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  isValidSlackSignature
+};
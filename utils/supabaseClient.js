@@ -0,0 +1,33 @@
+let createClient = null;
+try {
+  // eslint-disable-next-line import/no-extraneous-dependencies
+  ({ createClient } = require('@supabase/supabase-js'));
+} catch (err) {
+  // Callers treat a missing dependency the same as missing env vars.
+}
+
+/**
+ * Create a server-side Supabase client from SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY
+ *
+ * @returns {object|null} Supabase client, or null when env vars or the dependency are missing
+ */
+function createSupabaseClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceRoleKey || !createClient) {
+    return null;
+  }
+
+  return createClient(supabaseUrl, supabaseServiceRoleKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false
+    }
+  });
+}
+
+module.exports = {
+  createSupabaseClient
+};